@@ -3,12 +3,26 @@
  * Uses OfflineAudioContext for high-quality offline rendering
  */
 
-import { NOTE_FREQUENCIES } from './sid-engine.js';
-
-// MIDI note to frequency conversion
-function midiToFrequency(midi) {
-  return 440 * Math.pow(2, (midi - 69) / 12);
-}
+import { NOTE_FREQUENCIES, createSIDCoreNode, connectCoreSends } from './sid-engine.js';
+import {
+  createWaveformSource,
+  createProgramSource,
+  createModulatorOscillator,
+  createRingModulator
+} from './oscillators.js';
+import { normalizeWaveform } from './waveforms.js';
+import { createFilterBank } from './filter-bank.js';
+import { scheduleEnvelope, secondsToADSR, withRegisterEnvelope, withEnvelopeMode } from './envelope.js';
+import { scheduleNotePitch, schedulePulseWidth, resolveNoteEffects, neighbourMidi, notePitchAt } from './modulation.js';
+import { hasProgram } from './instrument.js';
+import { automationAt } from './automation.js';
+import { clockRate, noteFrequency } from './tuning.js';
+import { resolveGroove, grooveOffset } from './groove.js';
+import { tempoSegments, stepToTime, tempoAt } from './tempo-map.js';
+import { normalizeMeter, wholeBars } from './meter.js';
+import { VOICES_PER_CHIP, MAX_CHIPS, defaultChipPans, chipOfVoice } from './sid-core.js';
+import { normalizeMixer, voiceGains, createVoiceMix } from './mixer.js';
+import { EFFECT_BUSES, normalizeEffects, sendGains, createEffectsBus, effectsTail } from './effects.js';
 
 // Note definitions (same as sequencer - two octaves, proper chromatic scale)
 const NOTES = [
@@ -52,124 +66,375 @@ export class AudioExporter {
    * @returns {Promise<AudioBuffer>}
    */
   async renderToBuffer(project) {
-    const { grid, voices, bpm, filter } = project;
-
-    // Calculate total duration
-    const secondsPerBeat = 60 / bpm / 4; // 16th note duration
-    const totalSteps = 64; // 4 bars
-    const duration = totalSteps * secondsPerBeat + 1; // Add 1 second for release
+    const { grid, bpm } = project;
+    const voices = project.voices?.map(params => withRegisterEnvelope(withEnvelopeMode(params)));
+    const chipModel = project.chipModel || '6581';
+    const tuning = { clock: project.clock, tuning: project.tuning };
+
+    // Multi-SID projects: each chip has its own filter and stereo position
+    const chipCount = Math.max(1, Math.min(MAX_CHIPS, project.chipCount || 1));
+    const chipPans = project.chipPan || defaultChipPans(chipCount);
+
+    // Mixer levels, pans, mutes and solos as the live engine applies them
+    const mixer = normalizeMixer(project.mixer, chipCount * VOICES_PER_CHIP);
+    const gains = voiceGains(mixer);
+
+    // Effect sends follow the mixer, as live
+    const effects = normalizeEffects(project.effects, chipCount * VOICES_PER_CHIP);
+    const sends = sendGains(effects, gains);
+
+    // Step times follow the meter's step resolution and the tempo map's
+    // changes and ramps
+    const meter = normalizeMeter(project.meter);
+    const tempo = tempoSegments(bpm, project.tempoMap, meter);
+    const gridTime = step => stepToTime(tempo, step);
+
+    // Swing and per-step offsets move each step as live playback does
+    const groove = resolveGroove(project.groove);
+    const playTime = step => Math.max(0, stepToTime(tempo, step + grooveOffset(groove, step, meter)));
+
+    // Calculate total duration: the whole grid, to the end of its last bar
+    const gridSteps = Math.max(0, ...(grid || []).flatMap(voiceGrid => voiceGrid?.map(row => row?.length || 0) ?? []));
+    const totalSteps = wholeBars(meter, gridSteps || 64);
+    // Add 1 second for release, plus the reverb and delay tails
+    const duration = gridTime(totalSteps) + 1 + effectsTail(effects, tempoAt(tempo, totalSteps));
 
     // Create offline audio context
     const offlineCtx = new OfflineAudioContext(2, this.sampleRate * duration, this.sampleRate);
 
     // Create master gain
     const masterGain = offlineCtx.createGain();
-    masterGain.gain.value = 0.7;
+    masterGain.gain.value = 0.7 * mixer.master;
     masterGain.connect(offlineCtx.destination);
 
-    // Create shared filter
-    const sharedFilter = offlineCtx.createBiquadFilter();
-    sharedFilter.type = filter?.type || 'lowpass';
-    const cutoff = filter?.cutoff ?? 80;
-    sharedFilter.frequency.value = 20 * Math.pow(1000, cutoff / 100);
-    sharedFilter.Q.value = 0.5 + ((filter?.resonance ?? 20) / 100) * 19.5;
-    sharedFilter.connect(masterGain);
+    // Reverb, delay and chorus returns
+    const effectsBus = createEffectsBus(offlineCtx, effects, bpm);
+    effectsBus.output.connect(masterGain);
+
+    // The delay follows the tempo map's changes and ramps, step by step
+    for (let step = 0, current = bpm; step <= totalSteps; step++) {
+      const stepBpm = tempoAt(tempo, step);
+      if (stepBpm !== current) {
+        effectsBus.setTempo(stepBpm, gridTime(step));
+        current = stepBpm;
+      }
+    }
+
+    // Collect notes up front so sync can look up the source voice's pitch
+    const voiceNotes = Array.from({ length: chipCount * VOICES_PER_CHIP }, (_, voiceIndex) =>
+      this.collectNotes(grid[voiceIndex], gridTime, tuning, playTime)
+    );
+
+    // Filter automation points, at their steps' times
+    const filterChanges = this.collectAutomation(project.automation, playTime);
+
+    for (let chip = 0; chip < chipCount; chip++) {
+      const base = chip * VOICES_PER_CHIP;
+      const chipVoices = voices?.slice(base, base + VOICES_PER_CHIP);
+      const chipNotes = voiceNotes.slice(base, base + VOICES_PER_CHIP);
+      const chipGains = gains.slice(base, base + VOICES_PER_CHIP);
+      const chipSends = sends.slice(base, base + VOICES_PER_CHIP);
+      const filter = {
+        type: 'lowpass',
+        cutoff: 80,
+        resonance: 20,
+        ...(project.filters?.[chip] ?? (chip === 0 ? project.filter : null))
+      };
+      const chipFilterChanges = filterChanges
+        .filter(change => chipOfVoice(change.voice) === chip)
+        .map(({ voice, ...change }) => change);
+
+      // Chip -> stereo position -> master
+      const panner = offlineCtx.createStereoPanner();
+      panner.pan.value = chipPans[chip] ?? 0;
+      panner.connect(masterGain);
+
+      // Prefer the worklet SID core - the same DSP as live playback
+      const coreNode = await createSIDCoreNode(offlineCtx, {
+        voices: chipVoices,
+        filter,
+        chipModel,
+        tuning,
+        mix: chipGains,
+        sends: chipSends,
+        events: [
+          ...this.buildCoreEvents(chipNotes),
+          ...chipFilterChanges.map(change => ({ type: 'filterParam', ...change }))
+        ]
+      });
+
+      if (coreNode) {
+        coreNode.connect(panner);
+        connectCoreSends(coreNode, effectsBus);
+      } else {
+        this.scheduleWithNodes(offlineCtx, panner, chipNotes, chipVoices, filter, chipModel, chipFilterChanges, {
+          gains: chipGains,
+          sends: chipSends,
+          effectsBus
+        }, tuning);
+      }
+
+      if (this.onProgress) {
+        this.onProgress((chip + 1) / chipCount * 0.5); // 50% for scheduling
+      }
+    }
+
+    // Render
+    const renderedBuffer = await offlineCtx.startRendering();
+
+    if (this.onProgress) {
+      this.onProgress(1); // 100%
+    }
+
+    return renderedBuffer;
+  }
+
+  /**
+   * Turn one chip's collected notes into SID core events
+   */
+  buildCoreEvents(voiceNotes) {
+    return voiceNotes.flatMap((notes, voiceIndex) =>
+      notes.map(note => ({
+        type: 'noteOn',
+        voice: voiceIndex,
+        frequency: note.frequency,
+        time: note.startTime,
+        duration: note.duration,
+        effects: note.effects
+      }))
+    );
+  }
+
+  /**
+   * Schedule one chip's notes on the Web Audio node graph (fallback when the
+   * worklet core can't be loaded)
+   * @param {Object} mixing - { gains, sends, effectsBus }: each voice's mixer gains
+   *   { left, right } and effect sends, and the bus they go to
+   * @param {Object} tuning - the project's { clock, tuning }
+   */
+  scheduleWithNodes(offlineCtx, chipOutput, voiceNotes, voices, filter, chipModel, filterChanges = [], mixing = {}, tuning = {}) {
+    const { gains = [], sends = [], effectsBus = null } = mixing;
+
+    // Create the chip's shared filter
+    const sharedFilter = createFilterBank(offlineCtx, filter, chipModel);
+    sharedFilter.output.connect(chipOutput);
+
+    // Filter automation
+    filterChanges.forEach(({ param, value, time }) => {
+      sharedFilter.setParam(param, value, time);
+    });
+
+    // Free-running modulator per voice (ring mod source for the next voice)
+    const modulators = [0, 1, 2].map(() => {
+      const modulator = createModulatorOscillator(offlineCtx);
+      modulator.start(0);
+      return modulator;
+    });
 
     // Schedule all notes for each voice
     for (let voiceIndex = 0; voiceIndex < 3; voiceIndex++) {
       const voiceParams = voices?.[voiceIndex] || {
-        waveform: 'pulse',
+        waveform: ['pulse'],
+        pulseWidth: 0.5,
         attack: 0.01,
         decay: 0.1,
         sustain: 0.7,
         release: 0.2
       };
 
-      const voiceGrid = grid[voiceIndex];
-      if (!voiceGrid) continue;
-
-      // Process each note row
-      for (let noteIndex = 0; noteIndex < voiceGrid.length; noteIndex++) {
-        const noteRow = voiceGrid[noteIndex];
-        if (!noteRow) continue;
-
-        // Find notes in this row
-        for (let step = 0; step < noteRow.length; step++) {
-          const cell = noteRow[step];
-          if (cell && (cell.length || cell === true)) {
-            const noteLength = typeof cell === 'object' ? (cell.length || 1) : 1;
-            const frequency = midiToFrequency(NOTES[noteIndex]?.midi || 60);
-            const startTime = step * secondsPerBeat;
-            const noteDuration = noteLength * secondsPerBeat;
-
-            this.scheduleNote(offlineCtx, sharedFilter, frequency, startTime, noteDuration, voiceParams);
-          }
-        }
+      // Ring mod/sync source follows the chip: voice 1 <- voice 3, 2 <- 1, 3 <- 2
+      const sourceIndex = (voiceIndex + 2) % 3;
+
+      // Filter routing (voice 3 off mutes voice 3's direct path only)
+      const useFilter = filter.routing?.[voiceIndex] ?? voiceParams.useFilter ?? true;
+      const voiceGain = gains[voiceIndex] ?? { left: 1, right: 1 };
+      const muted = (!useFilter && voiceIndex === 2 && filter.voice3Off) ||
+        (!voiceGain.left && !voiceGain.right);
+
+      // Mixer level and pan before the filter, as live
+      const mix = createVoiceMix(offlineCtx);
+      mix.setGains(voiceGain);
+      mix.output.connect(useFilter ? sharedFilter.input : chipOutput);
+      const voiceOutput = mix.input;
+
+      // Effect sends (before the filter, as the live node graph)
+      if (effectsBus && sends[voiceIndex]) {
+        EFFECT_BUSES.forEach(bus => {
+          if (!sends[voiceIndex][bus]) return;
+          const send = offlineCtx.createGain();
+          send.gain.value = sends[voiceIndex][bus];
+          voiceOutput.connect(send);
+          send.connect(effectsBus.inputs[bus]);
+        });
       }
 
-      if (this.onProgress) {
-        this.onProgress((voiceIndex + 1) / 3 * 0.5); // 50% for scheduling
+      for (const note of voiceNotes[voiceIndex]) {
+        modulators[voiceIndex].frequency.setValueAtTime(note.frequency, note.startTime);
+        if (muted) continue;
+
+        const modulation = {
+          chipModel,
+          tuning,
+          modulator: modulators[sourceIndex],
+          masterAt: voiceParams.sync ? time => this.frequencyAt(voiceNotes[sourceIndex], time) : null
+        };
+
+        this.scheduleNote(offlineCtx, voiceOutput, note, voiceParams, modulation);
       }
     }
+  }
 
-    // Render
-    const renderedBuffer = await offlineCtx.startRendering();
+  /**
+   * Collect the notes of one voice's grid, sorted by start time
+   * @param {Object} tuning - { clock, tuning } the project's pitches are rounded with
+   * @param {Function} gridTime - time of a step on the grid (note lengths are measured on it)
+   * @param {Function} playTime - time a step plays at (default the grid time, no groove)
+   * @returns {Array<{frequency: number, startTime: number, duration: number, effects: Object|null}>}
+   */
+  collectNotes(voiceGrid, gridTime, tuning = {}, playTime = gridTime) {
+    const notes = [];
+    if (!voiceGrid) return notes;
+
+    // Process each note row
+    for (let noteIndex = 0; noteIndex < voiceGrid.length; noteIndex++) {
+      const noteRow = voiceGrid[noteIndex];
+      if (!noteRow) continue;
+
+      // Find notes in this row
+      for (let step = 0; step < noteRow.length; step++) {
+        const cell = noteRow[step];
+        if (cell && (cell.length || cell === true)) {
+          const noteLength = typeof cell === 'object' ? (cell.length || 1) : 1;
+          notes.push({
+            frequency: noteFrequency(NOTES[noteIndex]?.midi || 60, tuning),
+            startTime: playTime(step),
+            duration: gridTime(step + noteLength) - gridTime(step),
+            midi: NOTES[noteIndex]?.midi || 60,
+            step,
+            noteIndex,
+            cell
+          });
+        }
+      }
+    }
 
-    if (this.onProgress) {
-      this.onProgress(1); // 100%
+    notes.sort((a, b) => a.startTime - b.startTime);
+
+    // Note effects glide from/to the voice's neighbouring notes
+    notes.forEach(note => {
+      note.effects = typeof note.cell === 'object'
+        ? resolveNoteEffects(note.cell, {
+          midi: note.midi,
+          duration: note.duration,
+          stepTime: gridTime(note.step + 1) - gridTime(note.step),
+          previousMidi: neighbourMidi(voiceGrid, NOTES, note.step, -1),
+          nextMidi: neighbourMidi(voiceGrid, NOTES, note.step, 1)
+        })
+        : null;
+    });
+
+    return notes;
+  }
+
+  /**
+   * Collect the filter automation points of all lanes, in time order
+   * @param {Function} playTime - time a step plays at
+   * @returns {Array<{voice: number, param: string, value: number|string[], time: number}>}
+   */
+  collectAutomation(automation, playTime) {
+    const steps = automation?.[0]?.cutoff?.length || 0;
+    const changes = [];
+
+    for (let step = 0; step < steps; step++) {
+      automationAt(automation, step).forEach(change => {
+        changes.push({ ...change, time: playTime(step) });
+      });
     }
 
-    return renderedBuffer;
+    return changes;
   }
 
   /**
-   * Schedule a single note
+   * Frequency a voice's oscillator is running at, at a given time
+   * (the last note started at or before it - the oscillator keeps running)
    */
-  scheduleNote(ctx, outputNode, frequency, startTime, duration, params) {
-    const { waveform, attack, decay, sustain, release } = params;
-
-    // Create oscillator
-    const osc = ctx.createOscillator();
-
-    // Set waveform
-    if (waveform === 'noise') {
-      osc.type = 'square'; // Fallback for noise
-    } else if (waveform === 'pulse') {
-      osc.type = 'square';
-    } else {
-      osc.type = waveform;
+  frequencyAt(notes, time) {
+    let frequency = null;
+    for (const note of notes) {
+      if (note.startTime > time) break;
+      frequency = note.frequency;
     }
+    return frequency;
+  }
 
-    osc.frequency.value = frequency;
+  /**
+   * Schedule a single note
+   * @param {Object} note - { frequency, startTime, duration, effects } from collectNotes
+   * @param {Object} modulation - { modulator, masterAt } from the source voice (masterAt:
+   *   its frequency at a time, when this voice syncs to it), plus chipModel
+   *   and the project's { clock, tuning }
+   */
+  scheduleNote(ctx, outputNode, note, params, modulation = {}) {
+    const { frequency, startTime, duration, effects = null } = note;
+    const { waveform, pulseWidth, attack, decay, sustain, release, ringMod } = params;
+    const { modulator = null, masterAt = null, chipModel = '6581', tuning = {} } = modulation;
 
     // Create envelope
     const envelope = ctx.createGain();
     envelope.gain.value = 0;
 
-    // Connect
-    osc.connect(envelope);
-    envelope.connect(outputNode);
-
-    // ADSR values come in as actual seconds/levels from engine
+    // ADSR values come in as register values or seconds/levels from engine
     // Provide sensible defaults
-    const attackTime = attack || 0.01;
-    const decayTime = decay || 0.1;
-    const sustainLevel = sustain || 0.7;
-    const releaseTime = release || 0.2;
+    const envelopeParams = {
+      envelopeMode: params.envelopeMode,
+      adsr: params.adsr || secondsToADSR(params),
+      attack: attack || 0.01,
+      decay: decay || 0.1,
+      sustain: sustain ?? 0.7,
+      release: release || 0.2
+    };
 
     // Apply ADSR envelope
-    envelope.gain.setValueAtTime(0, startTime);
-    envelope.gain.linearRampToValueAtTime(0.8, startTime + attackTime);
-    envelope.gain.linearRampToValueAtTime(sustainLevel * 0.8, startTime + attackTime + decayTime);
+    const endTime = scheduleEnvelope(envelope.gain, envelopeParams, startTime, duration, 0.8, clockRate(tuning.clock));
+
+    // Hard sync follows the source voice's notes through this one
+    const sync = masterAt
+      ? {
+        pitchAt: t => notePitchAt(frequency, params.pitchEnvelope, effects, t, tuning),
+        masterAt: t => masterAt(startTime + t),
+        length: endTime + 0.1 - startTime
+      }
+      : null;
+
+    // Create oscillator (same sources as live playback)
+    const osc = hasProgram(params.program)
+      ? createProgramSource(ctx, params, frequency, endTime - startTime, chipModel, effects, tuning)
+      : createWaveformSource(ctx, waveform, frequency, pulseWidth ?? 0.5, sync, chipModel);
 
-    // Release
-    const releaseStart = startTime + duration;
-    envelope.gain.setValueAtTime(sustainLevel * 0.8, releaseStart);
-    envelope.gain.linearRampToValueAtTime(0, releaseStart + releaseTime);
+    // Pitch envelope and note effects (programs step them themselves; a
+    // synced wave follows them itself)
+    if (osc.frequency) {
+      scheduleNotePitch(osc.frequency, frequency, params.pitchEnvelope, effects, startTime, endTime - startTime, tuning);
+    }
+
+    // Pulse-width sweep (sources with a fixed width ignore it)
+    if (osc.pulseWidth) {
+      schedulePulseWidth(osc.pulseWidth, params.pwm, pulseWidth ?? 0.5, startTime, endTime + 0.1 - startTime);
+    }
+
+    // Ring mod only affects the triangle, as on the chip
+    let voiceOutput = osc.output;
+    if (ringMod && normalizeWaveform(waveform).includes('triangle') && modulator) {
+      voiceOutput = createRingModulator(ctx, osc.output, modulator);
+    }
+
+    // Connect
+    voiceOutput.connect(envelope);
+    envelope.connect(outputNode);
 
     // Start and stop
     osc.start(startTime);
-    osc.stop(releaseStart + releaseTime + 0.1);
+    osc.stop(endTime + 0.1);
   }
 
   /**
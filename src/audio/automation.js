@@ -0,0 +1,84 @@
+/**
+ * Automation - Filter lanes drawn under each voice's piano grid
+ * Each voice has a cutoff, resonance and type lane with one optional point
+ * per 16th step. A point holds until the next one. Each SID chip has one
+ * filter for its three voices, so like a tracker's filter commands every
+ * lane of a chip writes the same filter and the last voice to write a step
+ * wins.
+ *
+ * Data: [voice] = { cutoff: [step] = 0-100 | null,
+ *                   resonance: [step] = 0-100 | null,
+ *                   type: [step] = ['lowpass', ...] | null }
+ */
+
+export const FILTER_LANES = ['cutoff', 'resonance', 'type'];
+
+// Filter types a type lane point steps through (click to cycle)
+export const LANE_FILTER_TYPES = [
+  { label: 'LP', type: ['lowpass'] },
+  { label: 'BP', type: ['bandpass'] },
+  { label: 'HP', type: ['highpass'] },
+  { label: 'NT', type: ['lowpass', 'highpass'] },
+  { label: 'LB', type: ['lowpass', 'bandpass'] }
+];
+
+/**
+ * Empty lanes for every voice
+ * @param {number} voices
+ * @param {number} cols - steps per lane
+ */
+export function createAutomation(voices, cols) {
+  return Array(voices).fill(null).map(() => {
+    const lanes = {};
+    FILTER_LANES.forEach(lane => {
+      lanes[lane] = Array(cols).fill(null);
+    });
+    return lanes;
+  });
+}
+
+/**
+ * Fit saved lanes to the grid (missing voices, lanes or steps are empty)
+ * @param {Array|null} data - saved automation (projects before lanes have none)
+ * @param {number} voices
+ * @param {number} cols
+ */
+export function normalizeAutomation(data, voices, cols) {
+  const automation = createAutomation(voices, cols);
+  data?.forEach((lanes, voice) => {
+    if (!automation[voice]) return;
+    FILTER_LANES.forEach(lane => {
+      lanes?.[lane]?.slice(0, cols).forEach((value, step) => {
+        automation[voice][lane][step] = value ?? null;
+      });
+    });
+  });
+  return automation;
+}
+
+/**
+ * Filter changes written at a step, in voice order (later voices win)
+ * @param {Array} automation
+ * @param {number} step
+ * @returns {Array<{ voice: number, param: string, value: number|string[] }>}
+ */
+export function automationAt(automation, step) {
+  const changes = [];
+  automation?.forEach((lanes, voice) => {
+    FILTER_LANES.forEach(param => {
+      const value = lanes[param]?.[step];
+      if (value !== null && value !== undefined) {
+        changes.push({ voice, param, value });
+      }
+    });
+  });
+  return changes;
+}
+
+/**
+ * Label for a type lane point
+ */
+export function filterTypeLabel(type) {
+  const match = LANE_FILTER_TYPES.find(entry => entry.type.join() === type?.join());
+  return match ? match.label : '';
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createAutomation, normalizeAutomation, automationAt, filterTypeLabel } from './automation.js';
+
+describe('normalizeAutomation', () => {
+  it('gives projects from before lanes empty ones', () => {
+    expect(normalizeAutomation(null, 3, 16)).toEqual(createAutomation(3, 16));
+  });
+
+  it('fits saved lanes to the voices and steps', () => {
+    const saved = [{ cutoff: [10, null, 30, 40], resonance: [5] }, null, null, { cutoff: [99] }];
+    const automation = normalizeAutomation(saved, 3, 3);
+    expect(automation).toHaveLength(3);
+    expect(automation[0].cutoff).toEqual([10, null, 30]);
+    expect(automation[0].resonance).toEqual([5, null, null]);
+    expect(automation[0].type).toEqual([null, null, null]);
+  });
+});
+
+describe('automationAt', () => {
+  it('lists a step\'s points in voice order, so later voices win', () => {
+    const automation = createAutomation(2, 4);
+    automation[0].cutoff[2] = 20;
+    automation[1].cutoff[2] = 80;
+    automation[1].type[2] = ['lowpass', 'highpass'];
+    automation[1].resonance[3] = 0;
+
+    expect(automationAt(automation, 2)).toEqual([
+      { voice: 0, param: 'cutoff', value: 20 },
+      { voice: 1, param: 'cutoff', value: 80 },
+      { voice: 1, param: 'type', value: ['lowpass', 'highpass'] }
+    ]);
+    // 0 is a point, not an empty step
+    expect(automationAt(automation, 3)).toEqual([{ voice: 1, param: 'resonance', value: 0 }]);
+    expect(automationAt(automation, 0)).toEqual([]);
+  });
+});
+
+describe('filterTypeLabel', () => {
+  it('names combined modes', () => {
+    expect(filterTypeLabel(['lowpass', 'highpass'])).toBe('NT');
+    expect(filterTypeLabel(['bandpass'])).toBe('BP');
+    expect(filterTypeLabel(null)).toBe('');
+  });
+});
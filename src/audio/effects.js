@@ -0,0 +1,277 @@
+/**
+ * Effects - Reverb, tempo-synced delay and chorus after the SID chips
+ * Not part of the chip: each voice sends to the three effects at its own
+ * level and the returns are mixed in before the master level. Shared by live
+ * playback (SIDEngine) and offline rendering (AudioExporter), so the reverb
+ * impulse is generated from a fixed seed and renders the same every time
+ *
+ * Data: { reverb: { level, size, damping },
+ *         delay: { level, division, feedback },
+ *         chorus: { level, rate, depth },
+ *         sends: [voice] = { reverb, delay, chorus } (0-1) }
+ */
+
+export const EFFECT_BUSES = ['reverb', 'delay', 'chorus'];
+
+export const DEFAULT_EFFECTS = {
+  reverb: { level: 0.6, size: 2, damping: 0.5 }, // size in seconds, damping 0-1
+  delay: { level: 0.5, division: '1/8d', feedback: 0.35 },
+  chorus: { level: 0.7, rate: 0.8, depth: 3 } // rate in Hz, depth in ms
+};
+
+// Delay times in beats (quarter notes) per division
+export const DELAY_DIVISIONS = {
+  '1/16': 0.25,
+  '1/8': 0.5,
+  '1/8d': 0.75,
+  '1/4': 1,
+  '1/4d': 1.5,
+  '1/2': 2
+};
+
+// Send level a voice gets when an effect is switched on without a level
+export const DEFAULT_SEND = 0.3;
+
+const MAX_DELAY_TIME = 4; // seconds (a half note at 30 BPM)
+const CHORUS_BASE_DELAY = 0.015; // seconds
+const REVERB_SEED = 0x5eed;
+
+/**
+ * Empty sends for every voice
+ */
+function createSends(voices) {
+  return Array(voices).fill(null).map(() => ({ reverb: 0, delay: 0, chorus: 0 }));
+}
+
+/**
+ * Default effects for a number of voices (every send off)
+ */
+export function createEffects(voices) {
+  return {
+    reverb: { ...DEFAULT_EFFECTS.reverb },
+    delay: { ...DEFAULT_EFFECTS.delay },
+    chorus: { ...DEFAULT_EFFECTS.chorus },
+    sends: createSends(voices)
+  };
+}
+
+/**
+ * Fit saved effects to the voices (projects from before the bus have none)
+ */
+export function normalizeEffects(data, voices) {
+  const effects = createEffects(voices);
+  EFFECT_BUSES.forEach(bus => {
+    Object.assign(effects[bus], data?.[bus]);
+  });
+  if (!(effects.delay.division in DELAY_DIVISIONS)) {
+    effects.delay.division = DEFAULT_EFFECTS.delay.division;
+  }
+  data?.sends?.slice(0, voices).forEach((sends, voice) => {
+    EFFECT_BUSES.forEach(bus => {
+      const value = sends?.[bus];
+      if (Number.isFinite(value)) effects.sends[voice][bus] = Math.max(0, Math.min(1, value));
+    });
+  });
+  return effects;
+}
+
+/**
+ * Delay time in seconds for a division at a tempo
+ */
+export function delayTime(division, bpm) {
+  const beats = DELAY_DIVISIONS[division] ?? DELAY_DIVISIONS[DEFAULT_EFFECTS.delay.division];
+  return Math.min(MAX_DELAY_TIME, (60 / bpm) * beats);
+}
+
+/**
+ * Seconds the effects ring on after the last note (for export length)
+ */
+export function effectsTail(effects, bpm) {
+  const sending = bus => effects?.sends?.some(sends => sends[bus] > 0);
+  let tail = 0;
+  if (sending('reverb')) tail = Math.max(tail, effects.reverb.size);
+  if (sending('delay')) {
+    // Until the repeats have dropped by 60 dB
+    const feedback = Math.min(0.95, Math.max(0.01, effects.delay.feedback));
+    const repeats = Math.ceil(Math.log(0.001) / Math.log(feedback));
+    tail = Math.max(tail, Math.min(10, repeats * delayTime(effects.delay.division, bpm)));
+  }
+  return tail;
+}
+
+/**
+ * Send levels after the mixer: a muted or silenced voice sends nothing
+ * @param {Object} effects
+ * @param {Array<{ left: number, right: number }>} gains - from voiceGains
+ * @returns {Array<{ reverb: number, delay: number, chorus: number }>}
+ */
+export function sendGains(effects, gains) {
+  return gains.map((gain, voice) => {
+    const level = Math.max(gain.left, gain.right);
+    const sends = effects?.sends?.[voice];
+    return {
+      reverb: level * (sends?.reverb || 0),
+      delay: level * (sends?.delay || 0),
+      chorus: level * (sends?.chorus || 0)
+    };
+  });
+}
+
+/**
+ * Stereo reverb impulse: decaying noise, darker towards the tail
+ * @param {BaseAudioContext} ctx
+ * @param {number} size - length in seconds
+ * @param {number} damping - 0 (bright) to 1 (dark tail)
+ */
+export function generateImpulse(ctx, size, damping) {
+  const length = Math.max(1, Math.round(ctx.sampleRate * Math.max(0.1, size)));
+  const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+  let seed = REVERB_SEED;
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = impulse.getChannelData(channel);
+    let smoothed = 0;
+    for (let i = 0; i < length; i++) {
+      // mulberry32 noise
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      const noise = ((t ^ (t >>> 14)) >>> 0) / 2147483648 - 1;
+
+      // One-pole lowpass that closes as the tail goes on
+      const progress = i / length;
+      const coefficient = 1 - damping * 0.9 * progress;
+      smoothed += coefficient * (noise - smoothed);
+
+      data[i] = smoothed * Math.pow(1 - progress, 3);
+    }
+  }
+
+  return impulse;
+}
+
+/**
+ * Create the effects bus
+ * @param {BaseAudioContext} ctx
+ * @param {Object} params - { reverb, delay, chorus } settings
+ * @param {number} bpm - tempo the delay follows
+ * @returns {{ inputs: Object, output: GainNode, setParam: Function, setTempo: Function }}
+ */
+export function createEffectsBus(ctx, params = {}, bpm = 120) {
+  const settings = normalizeEffects(params, 0);
+  const output = ctx.createGain();
+
+  // One mono send input per effect
+  const inputs = {};
+  EFFECT_BUSES.forEach(bus => {
+    inputs[bus] = ctx.createGain();
+    inputs[bus].channelCount = 1;
+    inputs[bus].channelCountMode = 'explicit';
+  });
+
+  // Set an AudioParam now, dropping pending automation
+  const setValue = (param, value) => {
+    param.cancelScheduledValues(ctx.currentTime);
+    param.setValueAtTime(value, ctx.currentTime);
+  };
+
+  // Reverb: convolution with a generated impulse
+  const convolver = ctx.createConvolver();
+  const reverbReturn = ctx.createGain();
+  inputs.reverb.connect(convolver);
+  convolver.connect(reverbReturn);
+  reverbReturn.connect(output);
+
+  // Delay: repeats through a darkening feedback loop
+  const delay = ctx.createDelay(MAX_DELAY_TIME);
+  const feedback = ctx.createGain();
+  const damping = ctx.createBiquadFilter();
+  damping.type = 'lowpass';
+  damping.frequency.value = 4000;
+  const delayReturn = ctx.createGain();
+  inputs.delay.connect(delay);
+  delay.connect(damping);
+  damping.connect(feedback);
+  feedback.connect(delay);
+  damping.connect(delayReturn);
+  delayReturn.connect(output);
+
+  // Chorus: two short delays swept in opposite directions, one per side
+  const lfo = ctx.createOscillator();
+  const chorusReturn = ctx.createGain();
+  const merger = ctx.createChannelMerger(2);
+  const depths = [1, -1].map((polarity, side) => {
+    const line = ctx.createDelay(0.1);
+    line.delayTime.value = CHORUS_BASE_DELAY;
+    const depth = ctx.createGain();
+    lfo.connect(depth);
+    depth.connect(line.delayTime);
+    inputs.chorus.connect(line);
+    line.connect(merger, 0, side);
+    return { depth, polarity };
+  });
+  merger.connect(chorusReturn);
+  chorusReturn.connect(output);
+  lfo.start(0);
+
+  const returns = { reverb: reverbReturn, delay: delayReturn, chorus: chorusReturn };
+  let tempo = bpm;
+
+  const bus = {
+    inputs,
+    output,
+
+    /**
+     * Set an effect parameter (see DEFAULT_EFFECTS)
+     * @param {string} effect - 'reverb', 'delay' or 'chorus'
+     */
+    setParam(effect, param, value) {
+      if (!settings[effect] || !(param in settings[effect])) return;
+      settings[effect][param] = value;
+
+      if (param === 'level') {
+        setValue(returns[effect].gain, value);
+        return;
+      }
+
+      switch (`${effect}.${param}`) {
+        case 'reverb.size':
+        case 'reverb.damping':
+          convolver.buffer = generateImpulse(ctx, settings.reverb.size, settings.reverb.damping);
+          break;
+        case 'delay.division':
+          setValue(delay.delayTime, delayTime(value, tempo));
+          break;
+        case 'delay.feedback':
+          setValue(feedback.gain, Math.min(0.95, Math.max(0, value)));
+          break;
+        case 'chorus.rate':
+          setValue(lfo.frequency, value);
+          break;
+        case 'chorus.depth':
+          depths.forEach(({ depth, polarity }) => setValue(depth.gain, (polarity * value) / 1000));
+          break;
+      }
+    },
+
+    /**
+     * Follow a new tempo (the delay time is in beats)
+     * @param {number} [time] - context time for a tempo map change (default now)
+     */
+    setTempo(newBpm, time) {
+      tempo = newBpm;
+      const value = delayTime(settings.delay.division, tempo);
+      if (time === undefined) {
+        setValue(delay.delayTime, value);
+      } else {
+        delay.delayTime.setValueAtTime(value, time);
+      }
+    }
+  };
+
+  EFFECT_BUSES.forEach(effect => {
+    Object.entries(settings[effect]).forEach(([param, value]) => bus.setParam(effect, param, value));
+  });
+
+  return bus;
+}
@@ -0,0 +1,364 @@
+/**
+ * Envelope - SID envelope generator and the linear "modern" ADSR
+ * The SID core clocks these per sample; the node-graph engine and exporter
+ * schedule the same shapes on a gain AudioParam
+ */
+
+// PAL C64 system clock (Hz) - the envelope counters run at this rate unless
+// a chip is clocked at NTSC
+export const PAL_CLOCK = 985248;
+
+// Time for a full attack (0 -> peak) per 4-bit register value, in seconds
+export const ATTACK_TIMES = [
+  0.002, 0.008, 0.016, 0.024, 0.038, 0.056, 0.068, 0.08,
+  0.1, 0.25, 0.5, 0.8, 1, 3, 5, 8
+];
+
+// Time for a full decay/release (peak -> 0), three times the attack times
+export const DECAY_RELEASE_TIMES = ATTACK_TIMES.map(time => time * 3);
+
+// Rate counter period (system clocks per envelope step) per register value
+const RATE_PERIODS = [
+  9, 32, 63, 95, 149, 220, 267, 313,
+  392, 977, 1954, 3126, 3907, 11720, 19532, 31251
+];
+
+// The rate counter is 15 bits wide
+const RATE_COUNTER_SIZE = 0x8000;
+
+/**
+ * Steps of the rate counter per envelope decrement at a given level
+ * Decay and release slow down as the level falls, which is what gives them
+ * their exponential shape
+ */
+function exponentialPeriod(level) {
+  if (level > 0x5d) return 1;
+  if (level > 0x36) return 2;
+  if (level > 0x1a) return 4;
+  if (level > 0x0e) return 8;
+  if (level > 0x06) return 16;
+  return 30;
+}
+
+/**
+ * SID envelope generator driven by 4-bit A/D/S/R register values
+ * Reads params.adsr = { attack, decay, sustain, release } (each 0-15)
+ *
+ * The rate counter is never reset: a new rate only takes effect when the
+ * counter next matches it. If the counter is already past the new period it
+ * has to wrap around the full 15 bits first, which delays the change by up
+ * to ~33 ms - the famous ADSR delay bug.
+ */
+export class SIDEnvelope {
+  /**
+   * @param {Object} params - voice params (adsr read live)
+   * @param {number} clockRate - system clock in Hz
+   */
+  constructor(params, clockRate = PAL_CLOCK) {
+    this.params = params;
+    this.clockRate = clockRate;
+
+    this.stage = 'release';
+    this.counter = 0; // 8-bit envelope level
+    this.rateCounter = 0;
+    this.exponentialCounter = 0;
+    this.cycles = 0; // Fractional system clocks not yet run
+    this.killed = false;
+  }
+
+  /**
+   * Envelope level 0-1
+   */
+  get level() {
+    return this.counter / 0xff;
+  }
+
+  gateOn() {
+    this.stage = 'attack';
+    this.killed = false;
+  }
+
+  gateOff() {
+    this.stage = 'release';
+  }
+
+  /**
+   * Release at the fastest rate (voice stopped)
+   */
+  kill() {
+    this.stage = 'release';
+    this.killed = true;
+  }
+
+  /**
+   * Rate counter period for the current stage
+   */
+  get period() {
+    const { attack = 0, decay = 0, release = 0 } = this.params.adsr || {};
+    if (this.killed) return RATE_PERIODS[0];
+
+    switch (this.stage) {
+      case 'attack':
+        return RATE_PERIODS[attack & 0xf];
+      case 'decay':
+        return RATE_PERIODS[decay & 0xf];
+      default:
+        return RATE_PERIODS[release & 0xf];
+    }
+  }
+
+  /**
+   * One envelope step (the rate counter matched its period)
+   */
+  step() {
+    if (this.stage === 'attack') {
+      // Attack is linear
+      this.exponentialCounter = 0;
+      this.counter = Math.min(0xff, this.counter + 1);
+      if (this.counter === 0xff) this.stage = 'decay';
+      return;
+    }
+
+    if (++this.exponentialCounter < exponentialPeriod(this.counter)) return;
+    this.exponentialCounter = 0;
+
+    if (this.stage === 'decay') {
+      // Stops at the sustain level; raising sustain mid-note doesn't climb back
+      const sustain = ((this.params.adsr?.sustain ?? 0) & 0xf) * 0x11;
+      if (this.counter > sustain) this.counter--;
+    } else if (this.counter > 0) {
+      this.counter--;
+    }
+  }
+
+  /**
+   * Advance by dt seconds and return the level (0-1)
+   */
+  clock(dt) {
+    this.cycles += dt * this.clockRate;
+    let remaining = Math.floor(this.cycles);
+    this.cycles -= remaining;
+
+    while (remaining > 0) {
+      const period = this.period;
+      const needed = this.rateCounter < period
+        ? period - this.rateCounter
+        : RATE_COUNTER_SIZE - this.rateCounter + period;
+
+      if (needed > remaining) {
+        this.rateCounter = (this.rateCounter + remaining) % RATE_COUNTER_SIZE;
+        break;
+      }
+
+      remaining -= needed;
+      this.rateCounter = 0;
+      this.step();
+    }
+
+    return this.level;
+  }
+}
+
+/**
+ * Linear ADSR in seconds ("modern" mode)
+ * Reads params.attack/decay/release (seconds) and params.sustain (0-1)
+ */
+export class LinearEnvelope {
+  constructor(params) {
+    this.params = params;
+    this.stage = 'idle';
+    this.level = 0;
+    this.releaseRate = 0;
+  }
+
+  gateOn() {
+    // Attack starts from the current level, like the chip
+    this.stage = 'attack';
+  }
+
+  gateOff() {
+    if (this.stage === 'idle') return;
+    this.stage = 'release';
+    this.releaseRate = this.level / Math.max(this.params.release, 0.001);
+  }
+
+  /**
+   * Fade out quickly (voice stopped)
+   */
+  kill() {
+    this.stage = 'release';
+    this.releaseRate = this.level / 0.02;
+  }
+
+  /**
+   * Advance by dt seconds and return the level (0-1)
+   */
+  clock(dt) {
+    const { attack, decay, sustain } = this.params;
+
+    switch (this.stage) {
+      case 'attack':
+        this.level += dt / Math.max(attack, 0.001);
+        if (this.level >= 1) {
+          this.level = 1;
+          this.stage = 'decay';
+        }
+        break;
+      case 'decay':
+        this.level -= dt * (1 - sustain) / Math.max(decay, 0.001);
+        if (this.level <= sustain) {
+          this.level = sustain;
+          this.stage = 'sustain';
+        }
+        break;
+      case 'sustain':
+        this.level = sustain;
+        break;
+      case 'release':
+        this.level -= dt * this.releaseRate;
+        if (this.level <= 0) {
+          this.level = 0;
+          this.stage = 'idle';
+        }
+        break;
+    }
+
+    return this.level;
+  }
+}
+
+/**
+ * Render a SID envelope for one note as a gain curve
+ * Used by the node-graph engine so it follows the same shape as the core
+ * @param {Object} adsr - { attack, decay, sustain, release } register values
+ * @param {number} gateTime - seconds the gate is held
+ * @param {number} rate - curve points per second
+ * @param {number} clockRate - system clock in Hz
+ * @returns {{ curve: Float32Array, duration: number }}
+ */
+export function renderEnvelopeCurve(adsr, gateTime, rate = 500, clockRate = PAL_CLOCK) {
+  const envelope = new SIDEnvelope({ adsr }, clockRate);
+  const dt = 1 / rate;
+  const gatePoints = Math.max(1, Math.ceil(gateTime * rate));
+
+  // Release until silent (bounded by the release time at this clock)
+  const releaseTime = (DECAY_RELEASE_TIMES[adsr.release & 0xf] * PAL_CLOCK) / clockRate;
+  const maxPoints = gatePoints + Math.ceil((releaseTime + 0.1) * rate);
+
+  const levels = [0];
+  envelope.gateOn();
+  for (let i = 1; i <= gatePoints; i++) {
+    levels.push(envelope.clock(dt));
+  }
+
+  envelope.gateOff();
+  while (levels.length < maxPoints && envelope.counter > 0) {
+    levels.push(envelope.clock(dt));
+  }
+  levels.push(0);
+
+  return { curve: Float32Array.from(levels), duration: (levels.length - 1) * dt };
+}
+
+/**
+ * Schedule a note's envelope on a gain AudioParam (node-graph engine)
+ * @param {AudioParam} gain
+ * @param {Object} params - voice params (envelopeMode, adsr or seconds)
+ * @param {number} startTime - gate on
+ * @param {number} duration - seconds the gate is held
+ * @param {number} peak - gain at full level
+ * @param {number} clockRate - system clock in Hz (SID envelope rates)
+ * @returns {number} time the envelope reaches silence
+ */
+export function scheduleEnvelope(gain, params, startTime, duration, peak = 1, clockRate = PAL_CLOCK) {
+  if (params.envelopeMode === 'modern') {
+    const { attack, decay, sustain, release } = params;
+
+    // Attack, then decay to sustain
+    gain.setValueAtTime(0, startTime);
+    gain.linearRampToValueAtTime(peak, startTime + attack);
+    gain.linearRampToValueAtTime(sustain * peak, startTime + attack + decay);
+
+    // Release (at end of duration)
+    const releaseTime = startTime + duration;
+    gain.setValueAtTime(sustain * peak, releaseTime);
+    gain.linearRampToValueAtTime(0, releaseTime + release);
+    return releaseTime + release;
+  }
+
+  const { curve, duration: length } = renderEnvelopeCurve(params.adsr, duration, 500, clockRate);
+  gain.setValueCurveAtTime(curve.map(level => level * peak), startTime, length);
+  return startTime + length;
+}
+
+/**
+ * Nearest register value for a time, compared on a log scale
+ */
+function nearestRate(seconds, table) {
+  let best = 0;
+  table.forEach((time, index) => {
+    if (Math.abs(Math.log(time / seconds)) < Math.abs(Math.log(table[best] / seconds))) {
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Convert a modern envelope (seconds, sustain 0-1) to register values
+ * @param {Object} params - { attack, decay, sustain, release }
+ * @returns {{ attack: number, decay: number, sustain: number, release: number }}
+ */
+export function secondsToADSR({ attack = 0.01, decay = 0.1, sustain = 0.7, release = 0.2 }) {
+  return {
+    attack: nearestRate(Math.max(attack, 0.001), ATTACK_TIMES),
+    decay: nearestRate(Math.max(decay, 0.001), DECAY_RELEASE_TIMES),
+    sustain: Math.round(Math.max(0, Math.min(1, sustain)) * 15),
+    release: nearestRate(Math.max(release, 0.001), DECAY_RELEASE_TIMES)
+  };
+}
+
+/**
+ * Convert register values to a modern envelope (seconds, sustain 0-1)
+ * @param {Object} adsr - { attack, decay, sustain, release } (0-15)
+ */
+export function adsrToSeconds({ attack = 0, decay = 0, sustain = 0, release = 0 }) {
+  return {
+    attack: ATTACK_TIMES[attack & 0xf],
+    decay: DECAY_RELEASE_TIMES[decay & 0xf],
+    sustain: (sustain & 0xf) / 15,
+    release: DECAY_RELEASE_TIMES[release & 0xf]
+  };
+}
+
+/**
+ * Params that switch a voice to another envelope mode, carrying its current
+ * envelope across
+ * @param {Object} params - current voice params
+ * @param {string} mode - 'sid' or 'modern'
+ */
+export function convertEnvelope(params, mode) {
+  if (mode === 'modern') {
+    return { envelopeMode: 'modern', ...adsrToSeconds(params.adsr || secondsToADSR(params)) };
+  }
+  return { envelopeMode: 'sid', adsr: secondsToADSR(params) };
+}
+
+/**
+ * Envelope mode for saved voice params: voices saved before the SID
+ * envelope (projects and tunes) were made with envelopes in seconds, so
+ * they keep playing them
+ */
+export function withEnvelopeMode(params) {
+  if (!params || params.envelopeMode) return params;
+  return { ...params, envelopeMode: 'modern' };
+}
+
+/**
+ * Fill in register values for voices stored with only seconds (projects
+ * from before register envelopes, presets and tunes)
+ */
+export function withRegisterEnvelope(params) {
+  if (!params || params.adsr || params.attack === undefined) return params;
+  return { ...params, adsr: secondsToADSR(params) };
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ATTACK_TIMES,
+  PAL_CLOCK,
+  SIDEnvelope,
+  renderEnvelopeCurve,
+  secondsToADSR,
+  adsrToSeconds,
+  withEnvelopeMode
+} from './envelope.js';
+
+// Clock an envelope in 0.1 ms steps until a test passes (or give up)
+function clockUntil(envelope, done, limit = 10) {
+  let time = 0;
+  while (!done(envelope) && time < limit) {
+    envelope.clock(0.0001);
+    time += 0.0001;
+  }
+  return time;
+}
+
+describe('SIDEnvelope', () => {
+  it('attacks to full level in the register value\'s time', () => {
+    [1, 4, 8, 11].forEach(attack => {
+      const envelope = new SIDEnvelope({ adsr: { attack, decay: 0, sustain: 15, release: 0 } });
+      envelope.gateOn();
+      const time = clockUntil(envelope, e => e.counter === 0xff);
+      expect(Math.abs(time / ATTACK_TIMES[attack] - 1)).toBeLessThan(0.05);
+    });
+  });
+
+  it('runs faster on the NTSC clock', () => {
+    const adsr = { attack: 8, decay: 0, sustain: 15, release: 0 };
+    const pal = new SIDEnvelope({ adsr });
+    const ntsc = new SIDEnvelope({ adsr }, 1022727);
+    pal.gateOn();
+    ntsc.gateOn();
+    const palTime = clockUntil(pal, e => e.counter === 0xff);
+    const ntscTime = clockUntil(ntsc, e => e.counter === 0xff);
+    expect(palTime / ntscTime).toBeCloseTo(1022727 / PAL_CLOCK, 2);
+
+    // The node-graph curve follows the clock too
+    const release = { attack: 0, decay: 0, sustain: 15, release: 9 };
+    const palCurve = renderEnvelopeCurve(release, 0.01);
+    const ntscCurve = renderEnvelopeCurve(release, 0.01, 500, 1022727);
+    expect(ntscCurve.duration).toBeLessThan(palCurve.duration);
+  });
+
+  it('decays to the sustain level and stays there', () => {
+    const envelope = new SIDEnvelope({ adsr: { attack: 0, decay: 0, sustain: 8, release: 0 } });
+    envelope.gateOn();
+    clockUntil(envelope, () => false, 0.5);
+    expect(envelope.counter).toBe(0x88);
+  });
+
+  it('releases to silence after the gate closes', () => {
+    const envelope = new SIDEnvelope({ adsr: { attack: 0, decay: 0, sustain: 15, release: 2 } });
+    envelope.gateOn();
+    clockUntil(envelope, e => e.counter === 0xff);
+    envelope.gateOff();
+    clockUntil(envelope, e => e.counter === 0, 1);
+    expect(envelope.counter).toBe(0);
+  });
+});
+
+describe('envelope conversion', () => {
+  it('round trips every register value through seconds', () => {
+    for (let value = 0; value < 16; value++) {
+      const adsr = { attack: value, decay: value, sustain: value, release: value };
+      expect(secondsToADSR(adsrToSeconds(adsr))).toEqual(adsr);
+    }
+  });
+
+  it('plays voices saved before the SID envelope in seconds', () => {
+    expect(withEnvelopeMode({ attack: 0.1 }).envelopeMode).toBe('modern');
+    expect(withEnvelopeMode({ envelopeMode: 'sid' }).envelopeMode).toBe('sid');
+    expect(withEnvelopeMode(null)).toBe(null);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Filter Bank - SID multimode filter built from Web Audio nodes
+ * Lowpass, bandpass and highpass run in parallel and the selected modes are
+ * summed, so LP+HP gives a notch and LP+BP a fatter lowpass like the chip.
+ * Shared by live playback (SIDEngine) and offline rendering (AudioExporter)
+ */
+
+import {
+  FILTER_MODES,
+  DEFAULT_CHIP_MODEL,
+  normalizeFilterType,
+  cutoffToFrequency,
+  resonanceToQ
+} from './sid-core.js';
+
+/**
+ * Create a multimode filter
+ * @param {BaseAudioContext} ctx
+ * @param {Object} params - { type, cutoff, resonance }
+ * @param {string} chipModel - '6581' or '8580' (cutoff curve and resonance)
+ * @returns {{ input: GainNode, output: GainNode, setParam: Function, setChipModel: Function }}
+ */
+export function createFilterBank(ctx, params = {}, chipModel = DEFAULT_CHIP_MODEL) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+
+  const modes = {};
+  FILTER_MODES.forEach(mode => {
+    const filter = ctx.createBiquadFilter();
+    filter.type = mode;
+
+    const enable = ctx.createGain();
+    enable.gain.value = 0;
+
+    input.connect(filter);
+    filter.connect(enable);
+    enable.connect(output);
+
+    modes[mode] = { filter, enable };
+  });
+
+  // Kept so the curves can be re-applied when the chip model changes
+  const state = { cutoff: params.cutoff ?? 87, resonance: params.resonance ?? 3, chipModel };
+
+  // Set an AudioParam now (dropping pending automation) or at a time
+  const setValue = (param, value, time) => {
+    if (time === undefined) {
+      param.cancelScheduledValues(ctx.currentTime);
+      param.setValueAtTime(value, ctx.currentTime);
+    } else {
+      param.setValueAtTime(value, time);
+    }
+  };
+
+  const bank = {
+    input,
+    output,
+
+    /**
+     * Set a filter parameter (same units as SIDEngine.setFilterParam)
+     * @param {number} [time] - context time for automation (default now)
+     */
+    setParam(param, value, time) {
+      switch (param) {
+        case 'type': {
+          const selected = normalizeFilterType(value);
+          FILTER_MODES.forEach(mode => {
+            setValue(modes[mode].enable.gain, selected.includes(mode) ? 1 : 0, time);
+          });
+          break;
+        }
+        case 'cutoff':
+          state.cutoff = value;
+          FILTER_MODES.forEach(mode => {
+            setValue(modes[mode].filter.frequency, cutoffToFrequency(value, state.chipModel), time);
+          });
+          break;
+        case 'resonance': {
+          state.resonance = value;
+          // Lowpass/highpass biquads take Q as the resonant peak in dB
+          const q = resonanceToQ(value, state.chipModel);
+          FILTER_MODES.forEach(mode => {
+            setValue(modes[mode].filter.Q, mode === 'bandpass' ? q : 20 * Math.log10(q), time);
+          });
+          break;
+        }
+      }
+    },
+
+    /**
+     * Switch the cutoff curve and resonance to another chip model
+     */
+    setChipModel(model) {
+      state.chipModel = model;
+      bank.setParam('cutoff', state.cutoff);
+      bank.setParam('resonance', state.resonance);
+    }
+  };
+
+  // Type always applies (an unset type normalizes to lowpass)
+  bank.setParam('type', params.type);
+  bank.setChipModel(chipModel);
+
+  return bank;
+}
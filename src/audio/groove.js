@@ -0,0 +1,83 @@
+/**
+ * Groove - Swing and per-step timing offsets
+ * Moves steps off the even grid. Swing follows the MPC: the amount is the
+ * share of each pair of steps the first one gets, counted from the bar line,
+ * so 50% is straight, 66% is a triplet shuffle and 75% a dotted feel.
+ * Triplet resolutions are already a shuffle and play unswung. A custom table
+ * nudges every step of a bar on top of that, repeating over its length.
+ * Shared by live playback (Transport) and offline rendering (AudioExporter)
+ *
+ * Data: { name, swing: 50-75, offsets: [step in bar] = fraction of a step (-0.5-0.5) | null }
+ */
+
+import { createMeter, barAt } from './meter.js';
+
+export const MIN_SWING = 50;
+export const MAX_SWING = 75;
+
+// Templates: MPC swing settings, straight first
+export const GROOVE_TEMPLATES = {
+  straight: { label: 'STRAIGHT', swing: 50, offsets: null },
+  mpc54: { label: 'MPC 54%', swing: 54, offsets: null },
+  mpc58: { label: 'MPC 58%', swing: 58, offsets: null },
+  mpc62: { label: 'MPC 62%', swing: 62, offsets: null },
+  mpc66: { label: 'MPC 66%', swing: 66, offsets: null },
+  mpc71: { label: 'MPC 71%', swing: 71, offsets: null },
+  mpc75: { label: 'MPC 75%', swing: 75, offsets: null }
+};
+
+export const DEFAULT_GROOVE = 'straight';
+
+const MAX_OFFSET = 0.5; // steps
+
+/**
+ * Groove for a template name or a custom { swing, offsets } table
+ * (unknown names and missing values play straight)
+ */
+export function resolveGroove(groove) {
+  const template = GROOVE_TEMPLATES[groove] || GROOVE_TEMPLATES[DEFAULT_GROOVE];
+  if (!groove || typeof groove !== 'object') {
+    return { name: template.label, swing: template.swing, offsets: null };
+  }
+
+  const swing = Number.isFinite(groove.swing) ? clamp(groove.swing, MIN_SWING, MAX_SWING) : MIN_SWING;
+  const offsets = Array.isArray(groove.offsets) && groove.offsets.length
+    ? groove.offsets.map(offset => (Number.isFinite(offset) ? clamp(offset, -MAX_OFFSET, MAX_OFFSET) : 0))
+    : null;
+  return { name: groove.name || 'CUSTOM', swing, offsets };
+}
+
+/**
+ * Template a groove matches, or null for custom grooves
+ */
+export function grooveTemplate(groove) {
+  const { swing, offsets } = resolveGroove(groove);
+  if (offsets) return null;
+  return Object.keys(GROOVE_TEMPLATES).find(name => GROOVE_TEMPLATES[name].swing === swing) ?? null;
+}
+
+/**
+ * How far a step moves, in steps (positive = later)
+ * @param {Object} groove - resolved groove
+ * @param {number} step - step from the start of the tune
+ * @param {Object} meter - where the bars start (see meter.js)
+ */
+export function grooveOffset(groove, step, meter = createMeter()) {
+  if (!groove) return 0;
+  const position = barAt(meter, step).step;
+  // The second step of each pair starts where the first one's share ends
+  const swing = position % 2 && !isTriplet(meter) ? (2 * groove.swing) / 100 - 1 : 0;
+  const offsets = groove.offsets;
+  return swing + (offsets ? offsets[position % offsets.length] : 0);
+}
+
+/**
+ * Whether a meter's steps are triplets (swing doesn't apply)
+ */
+export function isTriplet(meter) {
+  return meter.resolution.endsWith('t');
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { resolveGroove, grooveTemplate, grooveOffset } from './groove.js';
+import { createMeter } from './meter.js';
+
+// Meter with one signature from bar 1
+const meterOf = (resolution, numerator, denominator) => ({
+  resolution,
+  signatures: [{ bar: 1, numerator, denominator }]
+});
+
+describe('grooveOffset', () => {
+  it('swings the second step of each pair', () => {
+    const groove = resolveGroove('mpc66');
+    expect([0, 1, 2, 3].map(step => grooveOffset(groove, step))).toEqual([0, 0.32, 0, 0.32].map(o => expect.closeTo(o)));
+  });
+
+  it('pairs steps from each bar line in odd bars', () => {
+    const groove = resolveGroove('mpc75');
+    const meter = meterOf('8', 7, 8);
+    // Step 7 starts bar 2, so it plays on the beat
+    expect([5, 6, 7, 8].map(step => grooveOffset(groove, step, meter))).toEqual([0.5, 0, 0, 0.5]);
+  });
+
+  it('leaves triplets unswung', () => {
+    const groove = resolveGroove('mpc75');
+    expect(grooveOffset(groove, 1, meterOf('8t', 4, 4))).toBe(0);
+  });
+
+  it('nudges steps by their position in the bar', () => {
+    const groove = resolveGroove({ swing: 50, offsets: [0, 0.25, -0.25, 0, 0.1, 0, 0] });
+    const meter = meterOf('8', 7, 8);
+    expect(grooveOffset(groove, 2, meter)).toBe(-0.25);
+    expect(grooveOffset(groove, 9, meter)).toBe(-0.25);
+    expect(grooveOffset(groove, 4, createMeter())).toBe(0.1);
+  });
+
+  it('plays straight without a groove', () => {
+    expect(grooveOffset(null, 1)).toBe(0);
+  });
+});
+
+describe('resolveGroove', () => {
+  it('plays unknown names straight', () => {
+    expect(resolveGroove('nope')).toEqual({ name: 'STRAIGHT', swing: 50, offsets: null });
+  });
+
+  it('clamps custom swing and offsets', () => {
+    expect(resolveGroove({ swing: 90, offsets: [1, null, -1] })).toEqual({
+      name: 'CUSTOM',
+      swing: 75,
+      offsets: [0.5, 0, -0.5]
+    });
+  });
+});
+
+describe('grooveTemplate', () => {
+  it('matches plain swing to its template and custom tables to none', () => {
+    expect(grooveTemplate('mpc58')).toBe('mpc58');
+    expect(grooveTemplate({ swing: 62 })).toBe('mpc62');
+    expect(grooveTemplate({ swing: 60 })).toBe(null);
+    expect(grooveTemplate({ swing: 50, offsets: [0, 0.1] })).toBe(null);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Instrument - GoatTracker-style instrument programs
+ * A program is three tables stepped once per video frame (1/50 s on PAL):
+ *
+ *   wave:   { steps: [{ waveform, note, fixed, gate, frames }], loop }
+ *           waveform - flags to switch to (omit to keep)
+ *           note     - semitones from the played note, or a MIDI note when
+ *                      `fixed` is set (drum sounds)
+ *           gate     - false releases the envelope, true retriggers it
+ *   pulse:  { steps: [{ width } | { speed, frames }], loop }
+ *           width set 0-1, or speed added every frame for `frames` frames
+ *   filter: { steps: [{ cutoff } | { speed, frames }], loop }
+ *           cutoff set 0-100, or speed added every frame (the filter is
+ *           shared, so the last voice to write it wins, as on the chip)
+ *
+ * Each step lasts `frames` frames (default 1). When a table runs out it
+ * jumps to `loop` (a step index), or holds its last step if loop is null.
+ * Pure logic shared by the SID core, the node-graph engine and the exporter.
+ */
+
+// Program steps per second (PAL video frames)
+export const FRAME_RATE = 50;
+
+/**
+ * Does a voice have a program with anything in it?
+ */
+export function hasProgram(program) {
+  return Boolean(program) && ['wave', 'pulse', 'filter'].some(table => program[table]?.steps?.length);
+}
+
+/**
+ * Steps through one table
+ */
+class TableCursor {
+  constructor(table) {
+    this.steps = table?.steps || [];
+    this.loop = table?.loop ?? null;
+    this.index = 0;
+    this.frames = 0; // Frames spent on the current step
+    this.done = this.steps.length === 0;
+  }
+
+  /**
+   * Current step, and whether this frame entered it
+   */
+  next() {
+    if (this.done) return null;
+
+    const entered = this.frames === 0;
+    const step = this.steps[this.index];
+
+    if (++this.frames >= (step.frames || 1)) {
+      this.frames = 0;
+      this.index++;
+      if (this.index >= this.steps.length) {
+        if (this.loop !== null && this.loop < this.steps.length) {
+          this.index = this.loop;
+        } else {
+          this.done = true;
+        }
+      }
+    }
+
+    return { step, entered };
+  }
+}
+
+/**
+ * Runs an instrument program for one note
+ */
+export class ProgramRunner {
+  /**
+   * @param {Object} program - { wave, pulse, filter } tables
+   * @param {Object} initial - { pulseWidth, cutoff } when the note starts
+   */
+  constructor(program, initial = {}) {
+    this.wave = new TableCursor(program?.wave);
+    this.pulse = new TableCursor(program?.pulse);
+    this.filter = new TableCursor(program?.filter);
+    this.pulseWidth = initial.pulseWidth ?? 0.5;
+    this.cutoff = initial.cutoff ?? 50;
+  }
+
+  /**
+   * Run one frame
+   * @returns {Object} changes - { waveform, note: { semitones } | { midi }, gate, pulseWidth, cutoff }
+   */
+  frame() {
+    const changes = {};
+
+    const wave = this.wave.next();
+    if (wave?.entered) {
+      const { waveform, note, fixed, gate } = wave.step;
+      if (waveform !== undefined) changes.waveform = waveform;
+      if (note !== undefined) changes.note = fixed ? { midi: note } : { semitones: note };
+      if (gate !== undefined) changes.gate = gate;
+    }
+
+    const pulse = this.pulse.next();
+    if (pulse) {
+      const { width, speed } = pulse.step;
+      if (width !== undefined && pulse.entered) {
+        this.pulseWidth = width;
+      } else if (speed) {
+        this.pulseWidth += speed;
+      }
+      this.pulseWidth = Math.max(0, Math.min(1, this.pulseWidth));
+      changes.pulseWidth = this.pulseWidth;
+    }
+
+    const filter = this.filter.next();
+    if (filter) {
+      const { cutoff, speed } = filter.step;
+      if (cutoff !== undefined && filter.entered) {
+        this.cutoff = cutoff;
+      } else if (speed) {
+        this.cutoff += speed;
+      }
+      this.cutoff = Math.max(0, Math.min(100, this.cutoff));
+      changes.cutoff = this.cutoff;
+    }
+
+    return changes;
+  }
+}
+
+/**
+ * Run a program ahead of time for the node-graph engine
+ * @param {Object} program
+ * @param {Object} initial - { pulseWidth, cutoff }
+ * @param {number} duration - seconds to run
+ * @returns {Array<{ time: number, changes: Object }>} one entry per frame
+ */
+export function buildProgramTimeline(program, initial, duration) {
+  const runner = new ProgramRunner(program, initial);
+  const frames = Math.max(1, Math.ceil(duration * FRAME_RATE));
+  const timeline = [];
+
+  for (let frame = 0; frame < frames; frame++) {
+    timeline.push({ time: frame / FRAME_RATE, changes: runner.frame() });
+  }
+
+  return timeline;
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { FRAME_RATE, hasProgram, ProgramRunner, buildProgramTimeline } from './instrument.js';
+
+describe('hasProgram', () => {
+  it('needs a table with steps', () => {
+    expect(hasProgram(null)).toBe(false);
+    expect(hasProgram({ wave: { steps: [] } })).toBe(false);
+    expect(hasProgram({ pulse: { steps: [{ width: 0.5 }] } })).toBe(true);
+  });
+});
+
+describe('ProgramRunner', () => {
+  it('steps the wave table, holding each step for its frames', () => {
+    const runner = new ProgramRunner({
+      wave: {
+        steps: [
+          { waveform: 'noise', note: 84, fixed: true, frames: 2 },
+          { waveform: 'pulse', note: 0, gate: false }
+        ],
+        loop: null
+      }
+    });
+
+    expect(runner.frame()).toEqual({ waveform: 'noise', note: { midi: 84 } });
+    expect(runner.frame()).toEqual({});
+    expect(runner.frame()).toEqual({ waveform: 'pulse', note: { semitones: 0 }, gate: false });
+    // Out of steps with no loop: holds
+    expect(runner.frame()).toEqual({});
+  });
+
+  it('jumps back to the loop step', () => {
+    const runner = new ProgramRunner({
+      wave: { steps: [{ note: 0 }, { note: 4 }, { note: 7 }], loop: 1 }
+    });
+    const notes = Array.from({ length: 6 }, () => runner.frame().note.semitones);
+    expect(notes).toEqual([0, 4, 7, 4, 7, 4]);
+  });
+
+  it('sweeps the pulse width from a set width and clamps it', () => {
+    const runner = new ProgramRunner({
+      pulse: { steps: [{ width: 0.9 }, { speed: 0.05, frames: 4 }], loop: null }
+    });
+    const widths = Array.from({ length: 5 }, () => runner.frame().pulseWidth);
+    expect(widths[0]).toBe(0.9);
+    expect(widths[1]).toBeCloseTo(0.95);
+    expect(widths[4]).toBe(1);
+  });
+});
+
+describe('buildProgramTimeline', () => {
+  it('runs one entry per frame for the note', () => {
+    const timeline = buildProgramTimeline({ wave: { steps: [{ note: 12 }] } }, {}, 0.1);
+    expect(timeline).toHaveLength(0.1 * FRAME_RATE);
+    expect(timeline[1].time).toBeCloseTo(1 / FRAME_RATE);
+    expect(timeline[0].changes.note).toEqual({ semitones: 12 });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Meter - Time signatures and step resolution
+ * A step is one note of the project's resolution (8ths, 16ths or their
+ * triplets) and a bar holds as many steps as its time signature allows, so
+ * 3/4 in 16ths is 12 steps and 7/8 in 8ths is 7. Each section starts a new
+ * signature at a bar; the grid stays one run of steps and bars are counted
+ * over it. Tempo is always in quarter notes per minute.
+ *
+ * Data: { resolution: '8' | '16' | '8t' | '16t',
+ *         signatures: [{ bar: 1-based, numerator, denominator }] (bar 1 first) }
+ */
+
+// Steps per whole note for each resolution
+export const RESOLUTIONS = {
+  '8': { label: '1/8', perWhole: 8 },
+  '16': { label: '1/16', perWhole: 16 },
+  '8t': { label: '1/8T', perWhole: 12 },
+  '16t': { label: '1/16T', perWhole: 24 }
+};
+
+// Signatures the sequencer offers (click to cycle)
+export const TIME_SIGNATURES = [
+  { numerator: 4, denominator: 4 },
+  { numerator: 3, denominator: 4 },
+  { numerator: 5, denominator: 4 },
+  { numerator: 6, denominator: 8 },
+  { numerator: 7, denominator: 8 }
+];
+
+export const DEFAULT_RESOLUTION = '16';
+
+/**
+ * Default meter: 4/4 in 16ths
+ */
+export function createMeter() {
+  return {
+    resolution: DEFAULT_RESOLUTION,
+    signatures: [{ bar: 1, ...TIME_SIGNATURES[0] }]
+  };
+}
+
+/**
+ * Fit a saved meter: bar 1 always has a signature, one per bar, in bar
+ * order (projects from before signatures are 4/4 in 16ths). A resolution
+ * that can't fill a bar with whole steps (7/8 in 8th triplets) falls back
+ * to 16ths
+ */
+export function normalizeMeter(data) {
+  const meter = createMeter();
+  const signatures = new Map([[1, meter.signatures[0]]]);
+
+  (Array.isArray(data?.signatures) ? data.signatures : []).forEach(entry => {
+    const bar = Math.round(entry?.bar);
+    const numerator = Math.round(entry?.numerator);
+    const denominator = entry?.denominator;
+    if (!(bar >= 1) || !(numerator >= 1 && numerator <= 32) || ![2, 4, 8, 16].includes(denominator)) return;
+    signatures.set(bar, { bar, numerator, denominator });
+  });
+  meter.signatures = [...signatures.values()].sort((a, b) => a.bar - b.bar);
+
+  if (data?.resolution in RESOLUTIONS) meter.resolution = data.resolution;
+  if (!meter.signatures.every(signature => Number.isInteger(barSteps(meter, signature)))) {
+    meter.resolution = DEFAULT_RESOLUTION;
+  }
+
+  return meter;
+}
+
+/**
+ * Label for a signature ('7/8')
+ */
+export function signatureLabel({ numerator, denominator }) {
+  return `${numerator}/${denominator}`;
+}
+
+/**
+ * Steps in a quarter note (tempo is in quarters)
+ */
+export function stepsPerQuarter(meter) {
+  return RESOLUTIONS[meter.resolution].perWhole / 4;
+}
+
+/**
+ * Steps in a bar of a signature
+ */
+export function barSteps(meter, { numerator, denominator }) {
+  return (numerator * RESOLUTIONS[meter.resolution].perWhole) / denominator;
+}
+
+/**
+ * Steps in one beat of a signature (a beat is its denominator's note; can
+ * be a fraction of a step, 6/16 in 8ths)
+ */
+export function stepsPerBeat(meter, { denominator }) {
+  return RESOLUTIONS[meter.resolution].perWhole / denominator;
+}
+
+/**
+ * Signature in force at a bar
+ */
+export function signatureAt(meter, bar) {
+  let current = meter.signatures[0];
+  for (const signature of meter.signatures) {
+    if (signature.bar > bar) break;
+    current = signature;
+  }
+  return current;
+}
+
+/**
+ * First step of a bar (1-based)
+ */
+export function barStart(meter, bar) {
+  let step = 0;
+  let current = meter.signatures[0];
+
+  for (const signature of meter.signatures) {
+    if (signature.bar >= bar) break;
+    step += (signature.bar - current.bar) * barSteps(meter, current);
+    current = signature;
+  }
+
+  return step + (bar - current.bar) * barSteps(meter, current);
+}
+
+/**
+ * Bar a step is in
+ * @returns {{ bar: number, step: number, steps: number }} bar (1-based), step
+ *   within the bar (0-based) and the bar's length in steps
+ */
+export function barAt(meter, step) {
+  let start = 0;
+  let current = meter.signatures[0];
+
+  for (const signature of meter.signatures.slice(1)) {
+    const next = start + (signature.bar - current.bar) * barSteps(meter, current);
+    if (next > step) break;
+    start = next;
+    current = signature;
+  }
+
+  const steps = barSteps(meter, current);
+  const bars = Math.floor((step - start) / steps);
+  return { bar: current.bar + bars, step: step - start - bars * steps, steps };
+}
+
+/**
+ * Steps up to the end of the bar a run of steps finishes in
+ * (a grid that stops mid-bar plays to the bar line)
+ */
+export function wholeBars(meter, steps) {
+  if (steps <= 0) return 0;
+  return barStart(meter, barAt(meter, steps - 1).bar + 1);
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeMeter, barSteps, stepsPerBeat, barStart, barAt, wholeBars } from './meter.js';
+
+// 4/4 for two bars, 7/8 for two, then 3/4, in 16ths
+const meter = normalizeMeter({
+  resolution: '16',
+  signatures: [
+    { bar: 5, numerator: 3, denominator: 4 },
+    { bar: 3, numerator: 7, denominator: 8 }
+  ]
+});
+
+describe('bar lengths', () => {
+  it('fits the signature to the resolution', () => {
+    expect(barSteps({ resolution: '16' }, { numerator: 3, denominator: 4 })).toBe(12);
+    expect(barSteps({ resolution: '8' }, { numerator: 7, denominator: 8 })).toBe(7);
+    expect(barSteps({ resolution: '8t' }, { numerator: 4, denominator: 4 })).toBe(12);
+    expect(stepsPerBeat({ resolution: '8' }, { denominator: 16 })).toBe(0.5);
+  });
+});
+
+describe('bars over the grid', () => {
+  it('starts each bar after the ones before it', () => {
+    expect([1, 2, 3, 4, 5, 6].map(bar => barStart(meter, bar))).toEqual([0, 16, 32, 46, 60, 72]);
+  });
+
+  it('finds the bar a step is in, and where in it', () => {
+    expect(barAt(meter, 15)).toEqual({ bar: 1, step: 15, steps: 16 });
+    expect(barAt(meter, 47)).toEqual({ bar: 4, step: 1, steps: 14 });
+    expect(barAt(meter, 75)).toEqual({ bar: 6, step: 3, steps: 12 });
+  });
+
+  it('plays a grid that stops mid-bar to the bar line', () => {
+    expect(wholeBars(meter, 33)).toBe(46);
+    expect(wholeBars(meter, 46)).toBe(46);
+    expect(wholeBars(meter, 0)).toBe(0);
+  });
+});
+
+describe('normalizeMeter', () => {
+  it('keeps bar 1 and one signature per bar, in bar order', () => {
+    expect(meter.signatures.map(signature => signature.bar)).toEqual([1, 3, 5]);
+    expect(normalizeMeter(null)).toEqual(normalizeMeter({}));
+    expect(normalizeMeter({ signatures: [{ bar: 2, numerator: 5, denominator: 3 }] }).signatures).toHaveLength(1);
+  });
+
+  it('falls back to 16ths when a bar can\'t hold whole steps', () => {
+    const signatures = [{ bar: 1, numerator: 7, denominator: 8 }];
+    expect(normalizeMeter({ resolution: '8t', signatures }).resolution).toBe('16');
+    expect(normalizeMeter({ resolution: '8', signatures }).resolution).toBe('8');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Metronome - Click track and count-in for live playback
+ * Short sine blips scheduled on the audio clock by the Transport, higher on
+ * the downbeat. The clicks go straight to the speakers through their own
+ * gain, past the SID chips, mixer and effects, so exports (which render
+ * their own graph) never include them. Settings are the player's, not the
+ * project's, so they are kept in localStorage
+ *
+ * Settings: { enabled, level: 0-1, countIn: 0-2 bars }
+ */
+
+export const DEFAULT_METRONOME = {
+  enabled: false,
+  level: 0.5,
+  countIn: 0
+};
+
+const STORAGE_KEY = 'sid-metronome';
+const CLICK_LENGTH = 0.03; // seconds
+const CLICK_FREQUENCY = 1000; // Hz
+const ACCENT_FREQUENCY = 1600; // Hz (downbeat)
+
+/**
+ * Fit metronome settings (missing or bad values take the defaults)
+ */
+export function normalizeMetronome(data) {
+  return {
+    enabled: typeof data?.enabled === 'boolean' ? data.enabled : DEFAULT_METRONOME.enabled,
+    level: Number.isFinite(data?.level) ? Math.max(0, Math.min(1, data.level)) : DEFAULT_METRONOME.level,
+    countIn: [0, 1, 2].includes(data?.countIn) ? data.countIn : DEFAULT_METRONOME.countIn
+  };
+}
+
+/**
+ * Saved metronome settings (defaults when none or storage is unavailable)
+ */
+export function loadMetronomeSettings() {
+  try {
+    return normalizeMetronome(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return normalizeMetronome(null);
+  }
+}
+
+/**
+ * Save metronome settings
+ */
+export function saveMetronomeSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeMetronome(settings)));
+  } catch (e) {
+    console.warn('[Metronome] localStorage save failed:', e);
+  }
+}
+
+/**
+ * Create the click generator
+ * @param {AudioContext} ctx
+ * @param {number} level - click gain 0-1
+ * @returns {{ output: GainNode, click: Function, setLevel: Function, stop: Function }}
+ */
+export function createMetronome(ctx, level = DEFAULT_METRONOME.level) {
+  const output = ctx.createGain();
+  output.gain.value = level;
+  output.connect(ctx.destination);
+
+  // Clicks scheduled but not yet finished, so stopping can silence them
+  const pending = new Set();
+
+  return {
+    output,
+
+    /**
+     * Schedule a click
+     * @param {number} time - context time
+     * @param {boolean} accent - downbeat
+     */
+    click(time, accent = false) {
+      const osc = ctx.createOscillator();
+      const envelope = ctx.createGain();
+      osc.frequency.value = accent ? ACCENT_FREQUENCY : CLICK_FREQUENCY;
+      envelope.gain.setValueAtTime(accent ? 1 : 0.6, time);
+      envelope.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+      osc.connect(envelope).connect(output);
+
+      osc.start(time);
+      osc.stop(time + CLICK_LENGTH);
+      pending.add(osc);
+      osc.onended = () => {
+        pending.delete(osc);
+        envelope.disconnect();
+      };
+    },
+
+    /**
+     * Set the click gain (0-1)
+     */
+    setLevel(value) {
+      output.gain.setValueAtTime(value, ctx.currentTime);
+    },
+
+    /**
+     * Cancel every click still to come
+     */
+    stop() {
+      pending.forEach(osc => {
+        try {
+          osc.stop();
+        } catch (e) {
+          // Ignore if already stopped
+        }
+      });
+      pending.clear();
+    }
+  };
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { DEFAULT_METRONOME, normalizeMetronome, loadMetronomeSettings } from './metronome.js';
+import { Transport } from './transport.js';
+
+describe('normalizeMetronome', () => {
+  it('clamps the level and keeps the count-in to 0-2 bars', () => {
+    expect(normalizeMetronome({ enabled: true, level: 3, countIn: 2 })).toEqual({ enabled: true, level: 1, countIn: 2 });
+    expect(normalizeMetronome({ level: -1, countIn: 5 })).toEqual({ ...DEFAULT_METRONOME, level: 0 });
+    expect(normalizeMetronome({ countIn: 1.5 }).countIn).toBe(DEFAULT_METRONOME.countIn);
+  });
+
+  it('takes the defaults for missing or bad values', () => {
+    expect(normalizeMetronome(null)).toEqual(DEFAULT_METRONOME);
+    expect(normalizeMetronome({ enabled: 'yes', level: 'loud' })).toEqual(DEFAULT_METRONOME);
+  });
+});
+
+describe('loadMetronomeSettings', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('falls back to the defaults when the saved settings are corrupt', () => {
+    vi.stubGlobal('localStorage', { getItem: () => '{"level":' });
+    expect(loadMetronomeSettings()).toEqual(DEFAULT_METRONOME);
+  });
+
+  it('fits saved settings', () => {
+    vi.stubGlobal('localStorage', { getItem: () => JSON.stringify({ enabled: true, level: 2, countIn: 1 }) });
+    expect(loadMetronomeSettings()).toEqual({ enabled: true, level: 1, countIn: 1 });
+  });
+});
+
+describe('scheduleCountIn', () => {
+  // Transport on a stand-in engine whose click track records the clicks
+  function countIn({ bpm = 120, meter, tempoMap = [], loopStart = 1, bars = 1 }) {
+    const transport = new Transport({ setTempo() {} }, { bpm, meter });
+    transport.setTempoMap(tempoMap);
+    transport.loopEnd = loopStart + 1;
+    transport.loopStart = loopStart;
+    transport.metronomeSettings = { ...DEFAULT_METRONOME, countIn: bars };
+
+    const clicks = [];
+    transport.metronome = { click: (time, accent) => clicks.push({ time, accent }) };
+    const start = transport.scheduleCountIn(1);
+    return { clicks, start };
+  }
+
+  it('clicks every beat of a 7/8 bar, accenting beat 1', () => {
+    const meter = { resolution: '8', signatures: [{ bar: 1, numerator: 7, denominator: 8 }] };
+    const { clicks, start } = countIn({ meter, bars: 2 });
+    expect(clicks).toHaveLength(14);
+    expect(clicks.filter(click => click.accent).map(click => click.time)).toEqual([1, 2.75]);
+    expect(clicks[1].time).toBe(1.25);
+    expect(start).toBe(4.5);
+  });
+
+  it('counts in at the tempo the loop start plays at', () => {
+    const { clicks, start } = countIn({ tempoMap: [{ bar: 3, bpm: 60 }], loopStart: 3 });
+    expect(clicks.map(click => click.time)).toEqual([1, 2, 3, 4]);
+    expect(start).toBe(5);
+  });
+
+  it('counts in in the loop start\'s signature', () => {
+    const meter = {
+      resolution: '16',
+      signatures: [{ bar: 1, numerator: 4, denominator: 4 }, { bar: 2, numerator: 6, denominator: 8 }]
+    };
+    const { clicks, start } = countIn({ meter, loopStart: 2 });
+    expect(clicks).toHaveLength(6);
+    expect(clicks.map(click => click.accent)).toEqual([true, false, false, false, false, false]);
+    expect(start).toBe(2.5);
+  });
+});
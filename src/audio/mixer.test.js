@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { createMixer, normalizeMixer, voiceGains } from './mixer.js';
+
+describe('voiceGains', () => {
+  it('plays a centred voice at its level on both sides', () => {
+    const mixer = createMixer(2);
+    mixer.voices[1].level = 0.5;
+    expect(voiceGains(mixer)).toEqual([
+      { left: 1, right: 1 },
+      { left: 0.5, right: 0.5 }
+    ]);
+  });
+
+  it('turns the far side down when panned', () => {
+    const mixer = createMixer(1);
+    mixer.voices[0].pan = -0.5;
+    expect(voiceGains(mixer)).toEqual([{ left: 1, right: 0.5 }]);
+  });
+
+  it('silences muted voices', () => {
+    const mixer = createMixer(3);
+    mixer.voices[1].mute = true;
+    expect(voiceGains(mixer).map(gains => gains.left)).toEqual([1, 0, 1]);
+  });
+
+  it('plays only soloed voices while any is soloed, and mute beats solo', () => {
+    const mixer = createMixer(3);
+    mixer.voices[0].solo = true;
+    mixer.voices[2].solo = true;
+    mixer.voices[2].mute = true;
+    expect(voiceGains(mixer).map(gains => gains.left)).toEqual([1, 0, 0]);
+  });
+});
+
+describe('normalizeMixer', () => {
+  it('fits saved mixers to the voices and clamps their values', () => {
+    const mixer = normalizeMixer({ master: 2, voices: [{ level: -1, pan: 3, solo: 1 }, null, {}, {}] }, 3);
+    expect(mixer.master).toBe(1);
+    expect(mixer.voices).toHaveLength(3);
+    expect(mixer.voices[0]).toEqual({ level: 0, pan: 1, mute: false, solo: true });
+    expect(mixer.voices[1]).toEqual(createMixer(1).voices[0]);
+  });
+});
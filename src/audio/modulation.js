@@ -0,0 +1,318 @@
+/**
+ * Modulation - Per-note pitch and pulse-width movement
+ * The SID core evaluates these per sample; the node-graph engine and
+ * exporter schedule the same curves on frequency and pulse width AudioParams
+ */
+
+import { shiftFrequency } from './tuning.js';
+
+// Note effects, stored on a grid cell next to its length:
+//   vibrato    - { depth (semitones), speed (Hz), delay (seconds) }
+//   portamento - seconds to glide in from the voice's previous note
+//   slide      - true to glide to the voice's next note over this one
+//   bend       - semitones to bend by over the note (+ up, - down)
+//   arpeggio   - { offsets (semitones), speed, unit, direction }: cycles the
+//                note through a chord shape, one pitch every `speed` frames
+//                (1/50 s) or ticks (sequencer steps)
+export const NOTE_EFFECTS = ['vibrato', 'portamento', 'slide', 'bend', 'arpeggio'];
+
+export const DEFAULT_VIBRATO = {
+  depth: 0.5,
+  speed: 6,
+  delay: 0.1
+};
+
+export const DEFAULT_ARPEGGIO = {
+  offsets: [0, 4, 7],
+  speed: 2,
+  unit: 'frames',
+  direction: 'up'
+};
+
+export const ARP_UNITS = ['frames', 'ticks'];
+export const ARP_DIRECTIONS = ['up', 'down', 'updown'];
+
+// Chord shapes for the grid's chord picker
+export const ARP_CHORDS = [
+  { name: 'maj', offsets: [0, 4, 7] },
+  { name: 'min', offsets: [0, 3, 7] },
+  { name: '7th', offsets: [0, 4, 7, 10] },
+  { name: 'maj7', offsets: [0, 4, 7, 11] },
+  { name: 'min7', offsets: [0, 3, 7, 10] },
+  { name: 'sus2', offsets: [0, 2, 7] },
+  { name: 'sus4', offsets: [0, 5, 7] },
+  { name: 'dim', offsets: [0, 3, 6] },
+  { name: 'aug', offsets: [0, 4, 8] },
+  { name: 'oct', offsets: [0, 12] }
+];
+
+// Arpeggio speed unit lengths in seconds (ticks need the step length)
+const ARP_FRAME_TIME = 1 / 50;
+
+export const PITCH_CURVES = ['exponential', 'linear'];
+
+// Pitch envelope: starts `semitones` away from the note and falls back to it
+// over `decay` seconds (0 semitones = off)
+export const DEFAULT_PITCH_ENVELOPE = {
+  semitones: 0,
+  decay: 0.1,
+  curve: 'exponential'
+};
+
+/**
+ * Is a pitch envelope doing anything?
+ */
+export function isPitchEnvelopeActive(envelope) {
+  return Boolean(envelope?.semitones) && envelope.decay > 0;
+}
+
+/**
+ * Pitch envelope offset in semitones at a time after note-on
+ * @param {Object} envelope - { semitones, decay, curve }
+ * @param {number} time - seconds since note-on
+ */
+export function pitchEnvelopeOffset(envelope, time) {
+  if (!isPitchEnvelopeActive(envelope) || time >= envelope.decay) return 0;
+
+  const progress = Math.max(0, time) / envelope.decay;
+  if (envelope.curve === 'linear') {
+    return envelope.semitones * (1 - progress);
+  }
+
+  // Exponential: fast drop then a long tail (the classic kick "thump")
+  return envelope.semitones * Math.exp(-5 * progress);
+}
+
+/**
+ * Does a grid cell carry any note effects?
+ */
+export function hasNoteEffects(cell) {
+  return Boolean(cell?.vibrato?.depth || cell?.portamento || cell?.slide || cell?.bend ||
+    cell?.arpeggio?.offsets?.length > 1);
+}
+
+/**
+ * Order an arpeggio's offsets are played in
+ * @param {Object} arpeggio - { offsets, direction }
+ * @returns {number[]}
+ */
+export function arpeggioSequence(arpeggio) {
+  const offsets = arpeggio?.offsets || [];
+  if (arpeggio?.direction === 'down') return [...offsets].reverse();
+  if (arpeggio?.direction === 'updown' && offsets.length > 2) {
+    return [...offsets, ...offsets.slice(1, -1).reverse()];
+  }
+  return [...offsets];
+}
+
+/**
+ * MIDI note of the nearest note start before (-1) or after (1) a step in a
+ * voice's grid (the highest note of a chord), for portamento and slide
+ * @param {Array} voiceGrid - [noteIndex][step] cells, highest note first
+ * @param {Array<{ midi: number }>} notes - the grid's note rows
+ * @param {number} step
+ * @param {number} direction - -1 or 1
+ * @returns {number|null}
+ */
+export function neighbourMidi(voiceGrid, notes, step, direction) {
+  const steps = Math.max(0, ...voiceGrid.map(row => row?.length || 0));
+  for (let col = step + direction; col >= 0 && col < steps; col += direction) {
+    for (let noteIndex = 0; noteIndex < voiceGrid.length; noteIndex++) {
+      const cell = voiceGrid[noteIndex]?.[col];
+      if (cell && (cell.length || cell === true)) return notes[noteIndex]?.midi ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a cell's effects for one note into pitch movements
+ * @param {Object} cell - grid cell { length, vibrato, portamento, slide, bend, arpeggio }
+ * @param {Object} note - { midi, duration, stepTime, previousMidi, nextMidi } (neighbours in
+ *   the same voice, stepTime = seconds per sequencer step)
+ * @returns {Object|null} { vibrato, glides: [{ from, to, time }], arpeggio: { sequence, time } }
+ *   in semitones from the note
+ */
+export function resolveNoteEffects(cell, { midi, duration, stepTime = 0, previousMidi = null, nextMidi = null }) {
+  if (!hasNoteEffects(cell)) return null;
+
+  const glides = [];
+  if (cell.portamento && previousMidi !== null) {
+    glides.push({ from: previousMidi - midi, to: 0, time: cell.portamento });
+  }
+  if (cell.slide && nextMidi !== null) {
+    glides.push({ from: 0, to: nextMidi - midi, time: duration });
+  }
+  if (cell.bend) {
+    glides.push({ from: 0, to: cell.bend, time: duration });
+  }
+
+  const vibrato = cell.vibrato?.depth ? { ...DEFAULT_VIBRATO, ...cell.vibrato } : null;
+
+  let arpeggio = null;
+  if (cell.arpeggio?.offsets?.length > 1) {
+    const { speed, unit } = { ...DEFAULT_ARPEGGIO, ...cell.arpeggio };
+    const time = Math.max(1, speed) * (unit === 'ticks' && stepTime > 0 ? stepTime : ARP_FRAME_TIME);
+    arpeggio = { sequence: arpeggioSequence(cell.arpeggio), time };
+  }
+
+  return { vibrato, glides, arpeggio };
+}
+
+/**
+ * Glide and vibrato offset in semitones at a time after note-on (any
+ * fraction): glides move linearly and then hold; vibrato starts after its delay
+ * @param {Object|null} effects - from resolveNoteEffects
+ * @param {number} time - seconds since note-on
+ */
+export function noteEffectBend(effects, time) {
+  if (!effects) return 0;
+
+  let offset = 0;
+  effects.glides.forEach(({ from, to, time: length }) => {
+    const progress = length > 0 ? Math.min(1, Math.max(0, time) / length) : 1;
+    offset += from + (to - from) * progress;
+  });
+
+  const { vibrato } = effects;
+  if (vibrato && time > vibrato.delay) {
+    offset += vibrato.depth * Math.sin(2 * Math.PI * vibrato.speed * (time - vibrato.delay));
+  }
+
+  return offset;
+}
+
+/**
+ * Arpeggio offset in whole semitones at a time after note-on (steps through
+ * its sequence and wraps)
+ */
+export function arpeggioStep(effects, time) {
+  const arpeggio = effects?.arpeggio;
+  if (!arpeggio) return 0;
+  const index = Math.floor(Math.max(0, time) / arpeggio.time) % arpeggio.sequence.length;
+  return arpeggio.sequence[index];
+}
+
+/**
+ * Frequency of a note at a time after note-on, with its pitch envelope and
+ * note effects
+ * @param {number} frequency - note frequency in Hz
+ * @param {Object} envelope - pitch envelope { semitones, decay, curve }
+ * @param {Object|null} effects - from resolveNoteEffects
+ * @param {number} time - seconds since note-on
+ * @param {Object} tuning - the project's { clock, tuning }
+ */
+export function notePitchAt(frequency, envelope, effects, time, tuning = {}) {
+  const bend = pitchEnvelopeOffset(envelope, time) + noteEffectBend(effects, time);
+  return shiftFrequency(frequency, arpeggioStep(effects, time), bend, tuning);
+}
+
+/**
+ * Schedule a note's pitch movement (pitch envelope and note effects) on a
+ * frequency AudioParam
+ * @param {AudioParam} param
+ * @param {number} frequency - note frequency in Hz
+ * @param {Object} envelope - pitch envelope { semitones, decay, curve }
+ * @param {Object|null} effects - from resolveNoteEffects
+ * @param {number} startTime - note-on time
+ * @param {number} length - seconds to cover (gate and release)
+ * @param {Object} tuning - the project's { clock, tuning } arpeggios are pitched in
+ * @param {number} rate - curve points per second
+ */
+export function scheduleNotePitch(param, frequency, envelope, effects, startTime, length, tuning = {}, rate = 500) {
+  if (!effects) {
+    schedulePitchEnvelope(param, frequency, envelope, startTime, tuning, rate);
+    return;
+  }
+
+  const points = Math.max(2, Math.ceil(length * rate) + 1);
+  const curve = new Float32Array(points);
+  for (let i = 0; i < points; i++) {
+    curve[i] = notePitchAt(frequency, envelope, effects, (i / (points - 1)) * length, tuning);
+  }
+
+  param.setValueCurveAtTime(curve, startTime, length);
+}
+
+/**
+ * Schedule a pitch envelope on a frequency AudioParam
+ * @param {AudioParam} param
+ * @param {number} frequency - note frequency in Hz
+ * @param {Object} envelope - { semitones, decay, curve }
+ * @param {number} startTime - note-on time
+ * @param {Object} tuning - the project's { clock, tuning }
+ * @param {number} rate - curve points per second
+ */
+export function schedulePitchEnvelope(param, frequency, envelope, startTime, tuning = {}, rate = 500) {
+  if (!isPitchEnvelopeActive(envelope)) return;
+
+  const points = Math.max(2, Math.ceil(envelope.decay * rate) + 1);
+  const curve = new Float32Array(points);
+  for (let i = 0; i < points; i++) {
+    const time = (i / (points - 1)) * envelope.decay;
+    curve[i] = shiftFrequency(frequency, 0, pitchEnvelopeOffset(envelope, time), tuning);
+  }
+  curve[points - 1] = frequency;
+
+  param.setValueCurveAtTime(curve, startTime, envelope.decay);
+}
+
+// Pulse-width sweep: bounces between min and max at `speed` (width per
+// second), starting from the voice's pulseWidth (speed 0 = off). With sync
+// it restarts at every note-on; otherwise it free-runs from the start of the
+// song, live and in exports.
+export const DEFAULT_PWM = {
+  speed: 0,
+  min: 0.1,
+  max: 0.9,
+  sync: true
+};
+
+/**
+ * Is a pulse-width sweep doing anything?
+ */
+export function isPWMActive(pwm) {
+  return Boolean(pwm?.speed) && pwm.max > pwm.min;
+}
+
+/**
+ * Pulse width of a sweep at a time
+ * @param {Object} pwm - { speed, min, max }
+ * @param {number} start - width at time 0 (0-1)
+ * @param {number} time - seconds into the sweep
+ */
+export function pulseWidthAt(pwm, start, time) {
+  if (!isPWMActive(pwm)) return start;
+
+  // Position along one min -> max -> min cycle
+  const range = pwm.max - pwm.min;
+  const cycle = 2 * range;
+  const from = Math.max(pwm.min, Math.min(pwm.max, start)) - pwm.min;
+  const position = (((from + pwm.speed * time) % cycle) + cycle) % cycle;
+
+  return pwm.min + (position <= range ? position : cycle - position);
+}
+
+/**
+ * Schedule a pulse-width sweep on a pulse width AudioParam
+ * @param {AudioParam} param
+ * @param {Object} pwm - { speed, min, max, sync }
+ * @param {number} start - the voice's pulseWidth
+ * @param {number} startTime - note-on time
+ * @param {number} length - seconds to cover (gate and release)
+ * @param {number} origin - context time the song started at (free-running sweeps)
+ * @param {number} rate - curve points per second
+ */
+export function schedulePulseWidth(param, pwm, start, startTime, length, origin = 0, rate = 500) {
+  if (!isPWMActive(pwm)) return;
+
+  // Free-running sweeps carry on from where they were at note-on
+  const sweepStart = pwm.sync ? 0 : startTime - origin;
+  const points = Math.max(2, Math.ceil(length * rate) + 1);
+  const curve = new Float32Array(points);
+  for (let i = 0; i < points; i++) {
+    curve[i] = pulseWidthAt(pwm, start, sweepStart + (i / (points - 1)) * length);
+  }
+
+  param.setValueCurveAtTime(curve, startTime, length);
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isPitchEnvelopeActive,
+  pitchEnvelopeOffset,
+  pulseWidthAt,
+  schedulePulseWidth,
+  neighbourMidi,
+  resolveNoteEffects,
+  noteEffectBend,
+  arpeggioSequence,
+  arpeggioStep
+} from './modulation.js';
+
+// AudioParam stand-in that keeps the last curve set on it
+function curveParam() {
+  return {
+    setValueCurveAtTime(curve, startTime, length) {
+      Object.assign(this, { curve, startTime, length });
+    }
+  };
+}
+
+describe('pitch envelope', () => {
+  it('is off at 0 semitones or no decay', () => {
+    expect(isPitchEnvelopeActive({ semitones: 0, decay: 0.1, curve: 'linear' })).toBe(false);
+    expect(isPitchEnvelopeActive({ semitones: 12, decay: 0, curve: 'linear' })).toBe(false);
+    expect(pitchEnvelopeOffset({ semitones: 0, decay: 0.1, curve: 'linear' }, 0)).toBe(0);
+  });
+
+  it('falls linearly back to the note over the decay', () => {
+    const envelope = { semitones: 12, decay: 0.2, curve: 'linear' };
+    expect(pitchEnvelopeOffset(envelope, 0)).toBe(12);
+    expect(pitchEnvelopeOffset(envelope, 0.1)).toBeCloseTo(6);
+    expect(pitchEnvelopeOffset(envelope, 0.2)).toBe(0);
+  });
+
+  it('drops fast then tails off on the exponential curve', () => {
+    const envelope = { semitones: -24, decay: 0.1, curve: 'exponential' };
+    expect(pitchEnvelopeOffset(envelope, 0)).toBe(-24);
+    expect(pitchEnvelopeOffset(envelope, 0.02)).toBeCloseTo(-24 * Math.exp(-1));
+    expect(pitchEnvelopeOffset(envelope, 0.5)).toBe(0);
+  });
+});
+
+describe('pulse-width sweep', () => {
+  const pwm = { speed: 1, min: 0.2, max: 0.6, sync: false };
+
+  it('bounces between min and max from the start width', () => {
+    expect(pulseWidthAt(pwm, 0.5, 0)).toBeCloseTo(0.5);
+    expect(pulseWidthAt(pwm, 0.5, 0.1)).toBeCloseTo(0.6);
+    expect(pulseWidthAt(pwm, 0.5, 0.3)).toBeCloseTo(0.4);
+    expect(pulseWidthAt(pwm, 0.5, 0.8)).toBeCloseTo(0.5);
+  });
+
+  it('holds the start width when off', () => {
+    expect(pulseWidthAt({ ...pwm, speed: 0 }, 0.5, 1)).toBe(0.5);
+  });
+
+  it('free-runs from the song start, wherever that is on the context clock', () => {
+    const exported = curveParam();
+    const live = curveParam();
+    schedulePulseWidth(exported, pwm, 0.5, 1.25, 0.5);
+    schedulePulseWidth(live, pwm, 0.5, 11.25, 0.5, 10);
+    expect([...live.curve]).toEqual([...exported.curve]);
+    expect(live.curve[0]).toBeCloseTo(pulseWidthAt(pwm, 0.5, 1.25));
+  });
+
+  it('restarts at every note with sync', () => {
+    const param = curveParam();
+    schedulePulseWidth(param, { ...pwm, sync: true }, 0.5, 3, 0.5, 1);
+    expect(param.curve[0]).toBeCloseTo(0.5);
+  });
+});
+
+describe('note effects', () => {
+  const notes = [{ midi: 72 }, { midi: 67 }, { midi: 60 }];
+  const cell = length => ({ length });
+
+  it('finds the nearest note start either side of a step, highest first', () => {
+    const voiceGrid = [
+      [null, null, null, null, null, cell(1)],
+      [cell(2), null, null, null, null, null],
+      [null, null, null, cell(1), null, cell(1)]
+    ];
+    expect(neighbourMidi(voiceGrid, notes, 3, -1)).toBe(67);
+    expect(neighbourMidi(voiceGrid, notes, 3, 1)).toBe(72);
+    expect(neighbourMidi(voiceGrid, notes, 5, 1)).toBe(null);
+  });
+
+  it('has nothing to resolve for a plain note', () => {
+    expect(resolveNoteEffects(cell(1), { midi: 60, duration: 0.5 })).toBe(null);
+  });
+
+  it('glides in from the previous note and holds', () => {
+    const effects = resolveNoteEffects({ length: 1, portamento: 0.2 }, { midi: 60, duration: 0.5, previousMidi: 67 });
+    expect(noteEffectBend(effects, 0)).toBe(7);
+    expect(noteEffectBend(effects, 0.1)).toBeCloseTo(3.5);
+    expect(noteEffectBend(effects, 0.4)).toBe(0);
+  });
+
+  it('slides to the next note over the note', () => {
+    const effects = resolveNoteEffects({ length: 1, slide: true }, { midi: 60, duration: 0.5, nextMidi: 64 });
+    expect(noteEffectBend(effects, 0.25)).toBeCloseTo(2);
+    expect(noteEffectBend(effects, 0.5)).toBe(4);
+  });
+
+  it('starts vibrato after its delay', () => {
+    const effects = resolveNoteEffects({ length: 1, vibrato: { depth: 1, speed: 5, delay: 0.1 } }, { midi: 60, duration: 1 });
+    expect(noteEffectBend(effects, 0.05)).toBe(0);
+    expect(noteEffectBend(effects, 0.15)).toBeCloseTo(1);
+  });
+});
+
+describe('arpeggio', () => {
+  it('plays the chord up, down or up and down without repeating the ends', () => {
+    const offsets = [0, 4, 7, 12];
+    expect(arpeggioSequence({ offsets, direction: 'up' })).toEqual([0, 4, 7, 12]);
+    expect(arpeggioSequence({ offsets, direction: 'down' })).toEqual([12, 7, 4, 0]);
+    expect(arpeggioSequence({ offsets, direction: 'updown' })).toEqual([0, 4, 7, 12, 7, 4]);
+    expect(arpeggioSequence({ offsets: [0, 12], direction: 'updown' })).toEqual([0, 12]);
+  });
+
+  it('steps every few frames, or every few sequencer steps in ticks', () => {
+    const frames = resolveNoteEffects(
+      { length: 1, arpeggio: { offsets: [0, 4, 7], speed: 2, unit: 'frames' } },
+      { midi: 60, duration: 1, stepTime: 0.125 }
+    );
+    expect(frames.arpeggio.time).toBeCloseTo(0.04);
+    expect([0, 0.05, 0.09, 0.13].map(time => arpeggioStep(frames, time))).toEqual([0, 4, 7, 0]);
+
+    const ticks = resolveNoteEffects(
+      { length: 4, arpeggio: { offsets: [0, 3, 7], speed: 1, unit: 'ticks' } },
+      { midi: 60, duration: 0.5, stepTime: 0.125 }
+    );
+    expect(ticks.arpeggio.time).toBe(0.125);
+    expect(arpeggioStep(ticks, 0.3)).toBe(7);
+  });
+});
@@ -0,0 +1,550 @@
+/**
+ * Oscillators - SID waveform sources built from Web Audio nodes
+ * Shared by live playback (SIDVoice) and offline rendering (AudioExporter)
+ */
+
+import { clockLFSR, lfsrOutput } from './sid-core.js';
+import { normalizeWaveform, waveformToBits, waveformValue } from './waveforms.js';
+import { pitchEnvelopeOffset, noteEffectBend, arpeggioStep } from './modulation.js';
+import { FRAME_RATE, buildProgramTimeline } from './instrument.js';
+import { idealFrequency, shiftFrequency } from './tuning.js';
+
+// Comparator curve for the pulse oscillator: negative in, low out; positive in, high out
+let comparatorCurve = null;
+
+function getComparatorCurve() {
+  if (!comparatorCurve) {
+    comparatorCurve = new Float32Array(4096);
+    for (let i = 0; i < comparatorCurve.length; i++) {
+      comparatorCurve[i] = i < comparatorCurve.length / 2 ? -1 : 1;
+    }
+  }
+  return comparatorCurve;
+}
+
+/**
+ * Create a variable-width pulse oscillator
+ * A falling sawtooth is shifted by a DC level derived from the pulse width
+ * and squared up by a comparator, so the duty cycle follows `pulseWidth`
+ * continuously (it is a real AudioParam and can be changed mid-note). The
+ * pulse goes high half way through each cycle
+ * @param {BaseAudioContext} ctx
+ * @param {number} frequency - Hz
+ * @param {number} pulseWidth - duty cycle 0-1 (0.5 = square)
+ */
+export function createPulseOscillator(ctx, frequency, pulseWidth = 0.5) {
+  const saw = ctx.createOscillator();
+  saw.type = 'sawtooth';
+  saw.frequency.value = frequency;
+  const invert = ctx.createGain();
+  invert.gain.value = -1;
+
+  // Comparator input = saw + (2 * width - 1), high for `width` of each cycle
+  const width = ctx.createConstantSource();
+  width.offset.value = pulseWidth;
+  const widthScale = ctx.createGain();
+  widthScale.gain.value = 2;
+
+  const bias = ctx.createConstantSource();
+  bias.offset.value = -1;
+
+  const comparator = ctx.createWaveShaper();
+  comparator.curve = getComparatorCurve();
+
+  saw.connect(invert);
+  invert.connect(comparator);
+  width.connect(widthScale);
+  widthScale.connect(comparator);
+  bias.connect(comparator);
+
+  const sources = [saw, width, bias];
+
+  return {
+    output: comparator,
+    frequency: saw.frequency,
+    pulseWidth: width.offset,
+    start(time) {
+      sources.forEach(source => source.start(time));
+    },
+    stop(time) {
+      sources.forEach(source => source.stop(time));
+    },
+    onEnded(callback) {
+      saw.addEventListener('ended', callback);
+    }
+  };
+}
+
+// LFSR noise buffers, one per context
+const noiseBuffers = new WeakMap();
+const NOISE_STEPS = 32768; // LFSR steps per buffer loop
+const NOISE_SAMPLES_PER_STEP = 8; // Each LFSR value is held (sample-and-hold like the chip)
+
+function getNoiseBuffer(ctx) {
+  if (!noiseBuffers.has(ctx)) {
+    const buffer = ctx.createBuffer(1, NOISE_STEPS * NOISE_SAMPLES_PER_STEP, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    let register = 0x7ffff8; // Power-on state
+
+    for (let step = 0; step < NOISE_STEPS; step++) {
+      const value = (lfsrOutput(register) / 0xff0) * 2 - 1;
+      data.fill(value, step * NOISE_SAMPLES_PER_STEP, (step + 1) * NOISE_SAMPLES_PER_STEP);
+      register = clockLFSR(register);
+    }
+
+    noiseBuffers.set(ctx, buffer);
+  }
+  return noiseBuffers.get(ctx);
+}
+
+/**
+ * Create a SID noise source
+ * The LFSR is clocked by bit 19 of the voice's phase accumulator, i.e. 16
+ * times per oscillator cycle, so the noise rate tracks the note frequency:
+ * a C5 hi-hat is brighter than a C3 snare
+ * @param {BaseAudioContext} ctx
+ * @param {number} frequency - Hz
+ */
+export function createNoiseSource(ctx, frequency) {
+  const buffer = getNoiseBuffer(ctx);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+
+  // Buffer plays `sampleRate / NOISE_SAMPLES_PER_STEP` LFSR steps per second at rate 1
+  const referenceFrequency = ctx.sampleRate / NOISE_SAMPLES_PER_STEP / 16;
+
+  // Drive playbackRate from a frequency param in Hz, like the other oscillators
+  const pitch = ctx.createConstantSource();
+  pitch.offset.value = frequency;
+  const rateScale = ctx.createGain();
+  rateScale.gain.value = 1 / referenceFrequency;
+  source.playbackRate.value = 0;
+  pitch.connect(rateScale);
+  rateScale.connect(source.playbackRate);
+
+  return {
+    output: source,
+    frequency: pitch.offset,
+    pulseWidth: null,
+    start(time) {
+      // Start somewhere random in the sequence so repeated hits differ
+      pitch.start(time);
+      source.start(time, Math.random() * buffer.duration);
+    },
+    stop(time) {
+      pitch.stop(time);
+      source.stop(time);
+    },
+    onEnded(callback) {
+      source.addEventListener('ended', callback);
+    }
+  };
+}
+
+// Resolution of one cycle when building single-cycle waves
+const CYCLE_SAMPLES = 1024;
+const CYCLE_HARMONICS = 200;
+
+// Fourier series of the single-cycle waves built so far, by key. Sync
+// ratios are rounded to an eighth of a semitone and pulse widths to 1/256
+// so notes share them; the oldest go when the cache is full
+const cycleWaves = new Map();
+const MAX_CYCLE_WAVES = 256;
+const SYNC_RATIO_STEPS = 96; // per octave
+const CYCLE_WIDTH_STEPS = 256;
+
+// One cycle of cosine and sine, for the Fourier series (k * n wraps around it)
+const COSINES = Float32Array.from({ length: CYCLE_SAMPLES }, (_, n) => Math.cos((2 * Math.PI * n) / CYCLE_SAMPLES));
+const SINES = Float32Array.from({ length: CYCLE_SAMPLES }, (_, n) => Math.sin((2 * Math.PI * n) / CYCLE_SAMPLES));
+
+/**
+ * Sample a SID waveform set (as control register bits) at a phase (0-1)
+ */
+function waveformAt(bits, phase, pulseWidth, chipModel) {
+  return waveformValue(bits, Math.floor(phase * 4096), pulseWidth, chipModel) / 0x800 - 1;
+}
+
+/**
+ * Fourier series of one cycle, built once per key
+ * @param {string} key - what the cycle depends on
+ * @param {Function} sampleAt - phase (0-1) -> sample (-1 to 1)
+ * @returns {{ real: Float32Array, imag: Float32Array }} cosine and sine terms
+ */
+function cycleWave(key, sampleAt) {
+  let wave = cycleWaves.get(key);
+  if (wave) return wave;
+
+  const samples = new Float32Array(CYCLE_SAMPLES);
+  for (let n = 0; n < CYCLE_SAMPLES; n++) {
+    samples[n] = sampleAt(n / CYCLE_SAMPLES);
+  }
+
+  wave = { real: new Float32Array(CYCLE_HARMONICS), imag: new Float32Array(CYCLE_HARMONICS) };
+  for (let k = 1; k < CYCLE_HARMONICS; k++) {
+    let re = 0;
+    let im = 0;
+    for (let n = 0; n < CYCLE_SAMPLES; n++) {
+      const index = (k * n) % CYCLE_SAMPLES;
+      re += samples[n] * COSINES[index];
+      im += samples[n] * SINES[index];
+    }
+    wave.real[k] = (2 * re) / CYCLE_SAMPLES;
+    wave.imag[k] = (2 * im) / CYCLE_SAMPLES;
+  }
+
+  if (cycleWaves.size >= MAX_CYCLE_WAVES) cycleWaves.delete(cycleWaves.keys().next().value);
+  cycleWaves.set(key, wave);
+  return wave;
+}
+
+/**
+ * One master cycle of a synced slave waveform, restarting from phase 0
+ * @param {number} ratioStep - slave/master frequency ratio in SYNC_RATIO_STEPS per octave
+ */
+function syncedWave(bits, ratioStep, pulseWidth, chipModel) {
+  const width = Math.round(pulseWidth * CYCLE_WIDTH_STEPS) / CYCLE_WIDTH_STEPS;
+  const ratio = Math.pow(2, ratioStep / SYNC_RATIO_STEPS);
+  return cycleWave(`sync:${bits}:${ratioStep}:${width}:${chipModel}`, phase => {
+    return waveformAt(bits, (phase * ratio) % 1, width, chipModel);
+  });
+}
+
+/**
+ * Play one cycle's Fourier series as a PeriodicWave oscillator
+ * @param {BaseAudioContext} ctx
+ * @param {Object} wave - { real, imag } from cycleWave
+ * @param {number} frequency - cycle frequency in Hz
+ */
+function createCycleOscillator(ctx, wave, frequency) {
+  const osc = ctx.createOscillator();
+  osc.setPeriodicWave(ctx.createPeriodicWave(wave.real, wave.imag, { disableNormalization: true }));
+  osc.frequency.value = frequency;
+
+  return {
+    output: osc,
+    frequency: osc.frequency,
+    pulseWidth: null,
+    start(time) {
+      osc.start(time);
+    },
+    stop(time) {
+      osc.stop(time);
+    },
+    onEnded(callback) {
+      osc.addEventListener('ended', callback);
+    }
+  };
+}
+
+/**
+ * Create a hard-synced oscillator
+ * With hard sync the slave's phase resets on every cycle of the master, so
+ * the result repeats at the master's frequency. One master cycle of the
+ * slave waveform is turned into a PeriodicWave and played at that frequency.
+ * The ratio between the two is checked every frame (50 Hz, like a player
+ * routine would move it): when the slave's pitch envelope or note effects or
+ * the master's notes change it, the next frame plays a new wave, so sync
+ * sweeps follow glides. Live, the master's pitch is the one at note-on (its
+ * later notes aren't scheduled yet); exports follow them.
+ * @param {BaseAudioContext} ctx
+ * @param {string|string[]} waveform - waveform flags (no noise)
+ * @param {Object} sync - { pitchAt, masterAt, length }: slave and master
+ *   frequency in Hz at a time after note-on (master null = not running, so
+ *   no sync) and seconds to cover
+ * @param {number} pulseWidth - duty cycle 0-1 (pulse only)
+ * @param {string} chipModel - '6581' or '8580' (combined waveform tables)
+ */
+export function createSyncedOscillator(ctx, waveform, sync, pulseWidth = 0.5, chipModel = '6581') {
+  const { pitchAt, masterAt, length } = sync;
+  const bits = waveformToBits(waveform);
+  const output = ctx.createGain();
+  const segments = [];
+
+  const frames = Math.max(1, Math.ceil(length * FRAME_RATE));
+  for (let frame = 0; frame < frames; frame++) {
+    const time = frame / FRAME_RATE;
+    const pitch = pitchAt(time);
+    const master = masterAt(time) || pitch;
+    const ratioStep = Math.round(Math.log2(pitch / master) * SYNC_RATIO_STEPS);
+
+    // A new wave whenever the ratio moves
+    const last = segments[segments.length - 1];
+    if (!last || last.ratioStep !== ratioStep) {
+      const source = createCycleOscillator(ctx, syncedWave(bits, ratioStep, pulseWidth, chipModel), master);
+      source.output.connect(output);
+      segments.push({ time, ratioStep, source, frames: [] });
+    }
+
+    segments[segments.length - 1].frames.push({ time, frequency: master });
+  }
+
+  let startTime = 0;
+
+  return {
+    output,
+    frequency: null,
+    pulseWidth: null,
+    start(time) {
+      startTime = time;
+      segments.forEach((segment, i) => {
+        const { source, frames: segmentFrames } = segment;
+        segmentFrames.forEach(frame => {
+          source.frequency.setValueAtTime(frame.frequency, time + frame.time);
+        });
+        source.start(time + segment.time);
+        if (segments[i + 1]) source.stop(time + segments[i + 1].time);
+      });
+    },
+    stop(time) {
+      // A later stop replaces an earlier one, so keep each segment's own end
+      segments.forEach((segment, i) => {
+        const end = segments[i + 1] ? startTime + segments[i + 1].time : Infinity;
+        segment.source.stop(Math.min(time, end));
+      });
+    },
+    onEnded(callback) {
+      segments[segments.length - 1].source.onEnded(callback);
+    }
+  };
+}
+
+/**
+ * AND two sources the way the chip ANDs waveform outputs, approximated as
+ * the product of their 0-1 levels: an output is low wherever either one is.
+ * One frequency param drives both
+ * @param {BaseAudioContext} ctx
+ * @param {Object} a - source (see createWaveformSource)
+ * @param {Object} b - source
+ * @param {number} frequency - Hz
+ */
+function createAndSource(ctx, a, b, frequency) {
+  const pitch = ctx.createConstantSource();
+  pitch.offset.value = frequency;
+  [a, b].forEach(source => {
+    source.frequency.value = 0;
+    pitch.connect(source.frequency);
+  });
+
+  // 2 * ((a + 1) / 2) * ((b + 1) / 2) - 1 = (a * b + a + b - 1) / 2
+  const product = ctx.createGain();
+  product.gain.value = 0;
+  a.output.connect(product);
+  b.output.connect(product.gain);
+
+  const bias = ctx.createConstantSource();
+  bias.offset.value = -1;
+
+  const output = ctx.createGain();
+  output.gain.value = 0.5;
+  [product, a.output, b.output, bias].forEach(node => node.connect(output));
+
+  return {
+    output,
+    frequency: pitch.offset,
+    pulseWidth: a.pulseWidth || b.pulseWidth,
+    start(time) {
+      [pitch, bias].forEach(source => source.start(time));
+      a.start(time);
+      b.start(time);
+    },
+    stop(time) {
+      [pitch, bias].forEach(source => source.stop(time));
+      a.stop(time);
+      b.stop(time);
+    },
+    onEnded(callback) {
+      a.onEnded(callback);
+    }
+  };
+}
+
+/**
+ * Create a combined-waveform oscillator (several of tri/saw/pulse at once)
+ * The chip's combined output is looked up for one cycle and played as a
+ * PeriodicWave, built once per waveform set and chip model. With pulse in
+ * the set the pulse gates it, as on the chip, so the width can move
+ * mid-note (pulse-width sweeps and tables)
+ * @param {BaseAudioContext} ctx
+ * @param {string|string[]} waveform - waveform flags (no noise)
+ * @param {number} frequency - Hz
+ * @param {number} pulseWidth - duty cycle 0-1
+ * @param {string} chipModel - '6581' or '8580'
+ */
+export function createCombinedOscillator(ctx, waveform, frequency, pulseWidth = 0.5, chipModel = '6581') {
+  const bits = waveformToBits(waveform);
+
+  // The table with the pulse held high, starting half way through the cycle
+  // where the pulse oscillator goes high
+  const wave = cycleWave(`combined:${bits}:${chipModel}`, phase => {
+    return waveformAt(bits, (phase + 0.5) % 1, 1, chipModel);
+  });
+  const table = createCycleOscillator(ctx, wave, frequency);
+
+  return normalizeWaveform(waveform).includes('pulse')
+    ? createAndSource(ctx, table, createPulseOscillator(ctx, frequency, pulseWidth), frequency)
+    : table;
+}
+
+/**
+ * Create the oscillator for a SID waveform set
+ * Every source exposes the same shape: output node, frequency param, start/stop
+ * @param {BaseAudioContext} ctx
+ * @param {string|string[]} waveform - 'pulse', 'sawtooth', 'triangle', 'noise' or several
+ * @param {number} frequency - Hz
+ * @param {number} pulseWidth - duty cycle 0-1 (pulse only)
+ * @param {Object|null} sync - { pitchAt, masterAt, length } when hard sync is
+ *   on (see createSyncedOscillator)
+ * @param {string} chipModel - '6581' or '8580' (combined waveform tables)
+ */
+export function createWaveformSource(ctx, waveform, frequency, pulseWidth = 0.5, sync = null, chipModel = '6581') {
+  const waves = normalizeWaveform(waveform);
+
+  // Noise AND-ed with the others, as the SID core does (the chip's noise
+  // register locking up is not modelled); noise has no phase to reset, so
+  // sync leaves it alone
+  if (waves.includes('noise')) {
+    const others = waves.filter(wave => wave !== 'noise');
+    const noise = createNoiseSource(ctx, frequency);
+    return others.length
+      ? createAndSource(ctx, noise, createWaveformSource(ctx, others, frequency, pulseWidth, null, chipModel), frequency)
+      : noise;
+  }
+
+  if (sync) {
+    return createSyncedOscillator(ctx, waves, sync, pulseWidth, chipModel);
+  }
+
+  if (waves.length > 1) {
+    return createCombinedOscillator(ctx, waves, frequency, pulseWidth, chipModel);
+  }
+
+  if (waves[0] === 'pulse') {
+    return createPulseOscillator(ctx, frequency, pulseWidth);
+  }
+
+  const osc = ctx.createOscillator();
+  osc.type = waves[0];
+  osc.frequency.value = frequency;
+
+  return {
+    output: osc,
+    frequency: osc.frequency,
+    pulseWidth: null,
+    start(time) {
+      osc.start(time);
+    },
+    stop(time) {
+      osc.stop(time);
+    },
+    onEnded(callback) {
+      osc.addEventListener('ended', callback);
+    }
+  };
+}
+
+/**
+ * Create the source for a note played through an instrument program
+ * The program is run ahead for the whole note. Each run of frames on one
+ * waveform gets its own source, and note and pulse table steps (with the
+ * pitch envelope and note effects) are set on its params frame by frame.
+ * Gate steps, the filter table and hard sync need the SID core and are left
+ * out here.
+ * @param {BaseAudioContext} ctx
+ * @param {Object} params - voice params (waveform, pulseWidth, pitchEnvelope, program)
+ * @param {number} frequency - note frequency in Hz
+ * @param {number} length - seconds to run the program (gate and release)
+ * @param {string} chipModel - '6581' or '8580' (combined waveform tables)
+ * @param {Object|null} effects - resolved note effects
+ * @param {Object} tuning - the project's { clock, tuning } program notes and arpeggios are pitched in
+ */
+export function createProgramSource(ctx, params, frequency, length, chipModel = '6581', effects = null, tuning = {}) {
+  const output = ctx.createGain();
+  const timeline = buildProgramTimeline(params.program, { pulseWidth: params.pulseWidth ?? 0.5 }, length);
+
+  let waveform = normalizeWaveform(params.waveform);
+  let pulseWidth = params.pulseWidth ?? 0.5;
+  let note = null;
+  const segments = [];
+
+  timeline.forEach(({ time, changes }) => {
+    if (changes.note) note = changes.note;
+    if (changes.pulseWidth !== undefined) pulseWidth = changes.pulseWidth;
+
+    const bend = pitchEnvelopeOffset(params.pitchEnvelope, time) + noteEffectBend(effects, time);
+    const pitch = note?.midi !== undefined
+      ? shiftFrequency(idealFrequency(note.midi, tuning.tuning), 0, bend, tuning)
+      : shiftFrequency(frequency, (note?.semitones || 0) + arpeggioStep(effects, time), bend, tuning);
+
+    // A new source whenever the waveform changes
+    const next = changes.waveform ? normalizeWaveform(changes.waveform) : waveform;
+    if (!segments.length || next.join() !== waveform.join()) {
+      waveform = next;
+      const source = createWaveformSource(ctx, waveform, pitch, pulseWidth, null, chipModel);
+      source.output.connect(output);
+      segments.push({ time, source, frames: [] });
+    }
+
+    segments[segments.length - 1].frames.push({ time, pitch, pulseWidth });
+  });
+
+  let startTime = 0;
+
+  return {
+    output,
+    frequency: null,
+    pulseWidth: null,
+    start(time) {
+      startTime = time;
+      segments.forEach((segment, i) => {
+        const { source, frames } = segment;
+        frames.forEach(frame => {
+          source.frequency.setValueAtTime(frame.pitch, time + frame.time);
+          source.pulseWidth?.setValueAtTime(frame.pulseWidth, time + frame.time);
+        });
+        source.start(time + segment.time);
+        if (segments[i + 1]) source.stop(time + segments[i + 1].time);
+      });
+    },
+    stop(time) {
+      // A later stop replaces an earlier one, so keep each segment's own end
+      segments.forEach((segment, i) => {
+        const end = segments[i + 1] ? startTime + segments[i + 1].time : Infinity;
+        segment.source.stop(Math.min(time, end));
+      });
+    },
+    onEnded(callback) {
+      segments[segments.length - 1].source.onEnded(callback);
+    }
+  };
+}
+
+/**
+ * Create a voice's free-running modulator oscillator
+ * The SID's oscillators keep running between notes; this square wave tracks
+ * the voice's current frequency so the next voice can ring modulate against it
+ * @param {BaseAudioContext} ctx
+ */
+export function createModulatorOscillator(ctx) {
+  const osc = ctx.createOscillator();
+  osc.type = 'square';
+  osc.frequency.value = 440;
+  return osc;
+}
+
+/**
+ * Ring modulate a carrier with a modulator
+ * The SID flips its triangle with the source oscillator's MSB, which is the
+ * same as multiplying the triangle by the source's square wave
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} carrier - triangle output of the ring-modded voice
+ * @param {AudioNode} modulator - source voice's modulator oscillator
+ * @returns {GainNode} ring modulated output
+ */
+export function createRingModulator(ctx, carrier, modulator) {
+  const ring = ctx.createGain();
+  ring.gain.value = 0;
+  carrier.connect(ring);
+  modulator.connect(ring.gain);
+  return ring;
+}
@@ -0,0 +1,147 @@
+/**
+ * Register Player - Plays SID register dumps frame by frame
+ * A dump holds one snapshot of $D400-$D418 per frame (50 per second on PAL),
+ * as logged from a real SID player. Each frame writes the registers that
+ * changed since the last one through SIDEngine.writeRegister, scheduled
+ * ahead on the audio clock like the Transport
+ */
+
+import { REGISTER_COUNT, registerAddress } from './registers.js';
+import { FRAME_RATE } from './instrument.js';
+
+/**
+ * Turn a dump into a list of frames, each a list of [addr, value] writes
+ * Accepts raw bytes (25 per frame), an array of 25-byte snapshots, or an
+ * array of frames listing [addr, value] writes (the only form that reaches
+ * the second and third chips of multi-SID tunes)
+ * @param {ArrayBuffer|Uint8Array|Array} dump
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function parseRegisterDump(dump) {
+  let frames = dump;
+  if (dump instanceof ArrayBuffer || ArrayBuffer.isView(dump)) {
+    const bytes = dump instanceof ArrayBuffer
+      ? new Uint8Array(dump)
+      : new Uint8Array(dump.buffer, dump.byteOffset, dump.byteLength);
+    frames = [];
+    for (let i = 0; i + REGISTER_COUNT <= bytes.length; i += REGISTER_COUNT) {
+      frames.push(bytes.subarray(i, i + REGISTER_COUNT));
+    }
+  }
+
+  let previous = null;
+  return (frames || []).map(frame => {
+    // Explicit writes, in the order given
+    if (Array.isArray(frame) && Array.isArray(frame[0])) {
+      return frame
+        .filter(([addr]) => registerAddress(addr).offset >= 0)
+        .map(([addr, value]) => [addr, value & 0xff]);
+    }
+
+    // Snapshot: write what changed (everything on the first frame)
+    const writes = [];
+    for (let offset = 0; offset < REGISTER_COUNT; offset++) {
+      const value = (frame[offset] ?? 0) & 0xff;
+      if (!previous || previous[offset] !== value) writes.push([offset, value]);
+    }
+    previous = Array.from({ length: REGISTER_COUNT }, (_, offset) => (frame[offset] ?? 0) & 0xff);
+    return writes;
+  });
+}
+
+export class RegisterPlayer {
+  /**
+   * @param {SIDEngine} engine
+   * @param {ArrayBuffer|Uint8Array|Array} dump - see parseRegisterDump
+   * @param {Object} options - { frameRate: 50, loop: false }
+   */
+  constructor(engine, dump, options = {}) {
+    this.engine = engine;
+    this.frames = parseRegisterDump(dump);
+    this.frameRate = options.frameRate || FRAME_RATE;
+    this.loop = Boolean(options.loop);
+
+    this.isPlaying = false;
+    this.currentFrame = 0;
+
+    // Timing
+    this.schedulerInterval = null;
+    this.nextFrameTime = 0;
+    this.scheduleAheadTime = 0.1; // seconds
+    this.lookAhead = 25; // ms
+
+    // Callbacks
+    this.onEnd = null;
+  }
+
+  /**
+   * Length of the dump in seconds
+   */
+  get duration() {
+    return this.frames.length / this.frameRate;
+  }
+
+  /**
+   * Start playback from the first frame
+   */
+  play() {
+    if (this.isPlaying || !this.frames.length) return;
+
+    this.isPlaying = true;
+    this.currentFrame = 0;
+    this.nextFrameTime = this.engine.currentTime;
+    this.schedulerInterval = setInterval(() => this.scheduler(), this.lookAhead);
+
+    console.log(`[Registers] Playing ${this.frames.length} frames`);
+  }
+
+  /**
+   * Stop playback and silence the voices
+   */
+  stop() {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    clearInterval(this.schedulerInterval);
+    this.schedulerInterval = null;
+    this.engine.stopAll();
+
+    console.log('[Registers] Stopped');
+  }
+
+  /**
+   * Schedule frames within the look-ahead window
+   */
+  scheduler() {
+    const currentTime = this.engine.currentTime;
+
+    while (this.isPlaying && this.nextFrameTime < currentTime + this.scheduleAheadTime) {
+      this.frames[this.currentFrame].forEach(([addr, value]) => {
+        this.engine.writeRegister(addr, value, this.nextFrameTime);
+      });
+      this.nextFrameTime += 1 / this.frameRate;
+
+      if (++this.currentFrame >= this.frames.length) {
+        if (this.loop) {
+          this.currentFrame = 0;
+        } else {
+          this.finish();
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop after the last frame has sounded
+   */
+  finish() {
+    this.isPlaying = false;
+    clearInterval(this.schedulerInterval);
+    this.schedulerInterval = null;
+
+    const delay = Math.max(0, (this.nextFrameTime - this.engine.currentTime) * 1000);
+    setTimeout(() => {
+      if (this.onEnd) this.onEnd();
+    }, delay);
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Registers - SID register map ($D400-$D418)
+ * Decodes register writes into the voice, filter and gate changes the
+ * engines understand, so scripts can drive the synth like C64 code and
+ * register logs captured from real SID players can be played back
+ *
+ *   $D400 + 7n  FREQ LO/HI   16-bit frequency word (voice n)
+ *   $D402 + 7n  PW LO/HI     12-bit pulse width
+ *   $D404 + 7n  CONTROL      noise pulse saw tri | test ring sync gate
+ *   $D405 + 7n  AD, SR       attack/decay, sustain/release nibbles
+ *   $D415-16    FC LO/HI     11-bit filter cutoff
+ *   $D417       RES/FILT     resonance nibble | ext v3 v2 v1 routing
+ *   $D418       MODE/VOL     3off hp bp lp | master volume
+ *
+ * Second and third chips repeat the map at $D420 and $D440
+ */
+
+import { bitsToWaveform } from './waveforms.js';
+import { PAL_CLOCK } from './envelope.js';
+
+export const SID_BASE = 0xd400;
+export const REGISTER_COUNT = 0x19;
+export const VOICE_REGISTERS = 7;
+
+// Extra chips in multi-SID projects sit at $D420 and $D440
+export const CHIP_STRIDE = 0x20;
+
+// Register offsets from $D400 (voice registers are per voice)
+export const REG = {
+  FREQ_LO: 0x00,
+  FREQ_HI: 0x01,
+  PW_LO: 0x02,
+  PW_HI: 0x03,
+  CONTROL: 0x04,
+  AD: 0x05,
+  SR: 0x06,
+  FC_LO: 0x15,
+  FC_HI: 0x16,
+  RES_FILT: 0x17,
+  MODE_VOL: 0x18
+};
+
+// Control register bits
+export const CONTROL = {
+  GATE: 0x01,
+  SYNC: 0x02,
+  RING_MOD: 0x04,
+  TEST: 0x08
+};
+
+/**
+ * Register offset for an address ($D400-$D418 or 0-$18), -1 if outside
+ */
+export function registerOffset(addr) {
+  const offset = addr >= SID_BASE ? addr - SID_BASE : addr;
+  return Number.isInteger(offset) && offset >= 0 && offset < REGISTER_COUNT ? offset : -1;
+}
+
+/**
+ * Chip and register offset for an address ($D400, $D420, $D440... or
+ * 0-$18 for the first chip); offset -1 if it isn't a register
+ */
+export function registerAddress(addr) {
+  if (addr < SID_BASE) return { chip: 0, offset: registerOffset(addr) };
+  const chip = Math.floor((addr - SID_BASE) / CHIP_STRIDE);
+  return { chip, offset: registerOffset(addr - chip * CHIP_STRIDE) };
+}
+
+/**
+ * Oscillator frequency in Hz for a 16-bit frequency word
+ * @param {number} word
+ * @param {number} clock - system clock in Hz
+ */
+export function frequencyFromWord(word, clock = PAL_CLOCK) {
+  return (word * clock) / 0x1000000;
+}
+
+/**
+ * Nearest 16-bit frequency word for a frequency in Hz
+ */
+export function frequencyToWord(frequency, clock = PAL_CLOCK) {
+  return Math.max(0, Math.min(0xffff, Math.round((frequency * 0x1000000) / clock)));
+}
+
+/**
+ * Decode a register write into engine changes
+ * Changes use the SID core's event shapes:
+ *   { type: 'frequency', voice, value }          Hz
+ *   { type: 'control', voice, value }            raw control byte
+ *   { type: 'voiceParam', voice, param, value }  pulseWidth, adsr, envelopeMode, useFilter
+ *   { type: 'filterParam', param, value }        cutoff, resonance, type, voice3Off
+ *   { type: 'volume', value }                    0-15
+ * @param {Uint8Array} registers - register file after the write
+ * @param {number} offset - register written
+ * @param {number} clock - system clock in Hz
+ * @returns {Array<Object>}
+ */
+export function decodeRegister(registers, offset, clock = PAL_CLOCK) {
+  if (offset < REG.FC_LO) {
+    const voice = Math.floor(offset / VOICE_REGISTERS);
+    const base = voice * VOICE_REGISTERS;
+
+    switch (offset - base) {
+      case REG.FREQ_LO:
+      case REG.FREQ_HI: {
+        const word = registers[base + REG.FREQ_LO] | (registers[base + REG.FREQ_HI] << 8);
+        return [{ type: 'frequency', voice, value: frequencyFromWord(word, clock) }];
+      }
+      case REG.PW_LO:
+      case REG.PW_HI: {
+        const width = registers[base + REG.PW_LO] | ((registers[base + REG.PW_HI] & 0x0f) << 8);
+        return [{ type: 'voiceParam', voice, param: 'pulseWidth', value: width / 4096 }];
+      }
+      case REG.CONTROL:
+        return [{ type: 'control', voice, value: registers[offset] }];
+      default: {
+        // AD or SR: register ADSR switches the voice to the SID envelope
+        const ad = registers[base + REG.AD];
+        const sr = registers[base + REG.SR];
+        return [
+          { type: 'voiceParam', voice, param: 'envelopeMode', value: 'sid' },
+          {
+            type: 'voiceParam',
+            voice,
+            param: 'adsr',
+            value: { attack: ad >> 4, decay: ad & 0x0f, sustain: sr >> 4, release: sr & 0x0f }
+          }
+        ];
+      }
+    }
+  }
+
+  switch (offset) {
+    case REG.FC_LO:
+    case REG.FC_HI: {
+      const cutoff = (registers[REG.FC_LO] & 0x07) | (registers[REG.FC_HI] << 3);
+      return [{ type: 'filterParam', param: 'cutoff', value: (cutoff / 0x7ff) * 100 }];
+    }
+    case REG.RES_FILT: {
+      const value = registers[REG.RES_FILT];
+      return [
+        { type: 'filterParam', param: 'resonance', value: ((value >> 4) / 15) * 100 },
+        ...[0, 1, 2].map(voice => ({
+          type: 'voiceParam',
+          voice,
+          param: 'useFilter',
+          value: Boolean(value & (1 << voice))
+        }))
+      ];
+    }
+    default: {
+      const value = registers[REG.MODE_VOL];
+      // No mode bits selects no output, so filtered voices go silent
+      const type = ['lowpass', 'bandpass', 'highpass'].filter((mode, i) => value & (0x10 << i));
+      return [
+        { type: 'filterParam', param: 'type', value: type },
+        { type: 'filterParam', param: 'voice3Off', value: Boolean(value & 0x80) },
+        { type: 'volume', value: value & 0x0f }
+      ];
+    }
+  }
+}
+
+/**
+ * Waveform flags in a control byte (empty when no waveform is selected)
+ */
+export function controlWaveform(value) {
+  return bitsToWaveform(value >> 4);
+}
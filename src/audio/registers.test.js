@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REG,
+  REGISTER_COUNT,
+  registerAddress,
+  frequencyFromWord,
+  frequencyToWord,
+  decodeRegister,
+  controlWaveform
+} from './registers.js';
+
+// Register file with some bytes written
+function registersWith(values) {
+  const registers = new Uint8Array(REGISTER_COUNT);
+  Object.entries(values).forEach(([offset, value]) => {
+    registers[offset] = value;
+  });
+  return registers;
+}
+
+describe('registerAddress', () => {
+  it('maps the second and third chips and rejects gaps', () => {
+    expect(registerAddress(0xd404)).toEqual({ chip: 0, offset: 4 });
+    expect(registerAddress(0xd438)).toEqual({ chip: 1, offset: 0x18 });
+    expect(registerAddress(0xd440)).toEqual({ chip: 2, offset: 0 });
+    expect(registerAddress(0xd41f).offset).toBe(-1);
+  });
+});
+
+describe('frequency words', () => {
+  it('round trips through Hz on the PAL clock', () => {
+    expect(frequencyToWord(frequencyFromWord(0x1cd6))).toBe(0x1cd6);
+    expect(frequencyToWord(1e6)).toBe(0xffff);
+  });
+});
+
+describe('decodeRegister', () => {
+  it('reads a voice\'s frequency from both bytes', () => {
+    const registers = registersWith({ [7 + REG.FREQ_LO]: 0xd6, [7 + REG.FREQ_HI]: 0x1c });
+    expect(decodeRegister(registers, 7 + REG.FREQ_HI)).toEqual([
+      { type: 'frequency', voice: 1, value: frequencyFromWord(0x1cd6) }
+    ]);
+  });
+
+  it('reads the 12-bit pulse width', () => {
+    const registers = registersWith({ [REG.PW_LO]: 0x00, [REG.PW_HI]: 0xf8 });
+    expect(decodeRegister(registers, REG.PW_HI)).toEqual([
+      { type: 'voiceParam', voice: 0, param: 'pulseWidth', value: 0.5 }
+    ]);
+  });
+
+  it('switches to the SID envelope on an ADSR write', () => {
+    const registers = registersWith({ [14 + REG.AD]: 0x29, [14 + REG.SR]: 0xa4 });
+    expect(decodeRegister(registers, 14 + REG.SR)).toEqual([
+      { type: 'voiceParam', voice: 2, param: 'envelopeMode', value: 'sid' },
+      { type: 'voiceParam', voice: 2, param: 'adsr', value: { attack: 2, decay: 9, sustain: 10, release: 4 } }
+    ]);
+  });
+
+  it('routes voices through the filter with the resonance', () => {
+    const changes = decodeRegister(registersWith({ [REG.RES_FILT]: 0xf5 }), REG.RES_FILT);
+    expect(changes[0]).toEqual({ type: 'filterParam', param: 'resonance', value: 100 });
+    expect(changes.slice(1).map(change => change.value)).toEqual([true, false, true]);
+  });
+
+  it('reads combined modes, 3OFF and volume, and no modes as none', () => {
+    expect(decodeRegister(registersWith({ [REG.MODE_VOL]: 0xd8 }), REG.MODE_VOL)).toEqual([
+      { type: 'filterParam', param: 'type', value: ['lowpass', 'highpass'] },
+      { type: 'filterParam', param: 'voice3Off', value: true },
+      { type: 'volume', value: 8 }
+    ]);
+    expect(decodeRegister(registersWith({ [REG.MODE_VOL]: 0x0f }), REG.MODE_VOL)[0].value).toEqual([]);
+  });
+});
+
+describe('controlWaveform', () => {
+  it('reads the waveform bits of a control byte', () => {
+    expect(controlWaveform(0x41)).toEqual(['pulse']);
+    expect(controlWaveform(0x09)).toEqual([]);
+  });
+});
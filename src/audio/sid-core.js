@@ -0,0 +1,932 @@
+/**
+ * SID Core - Sample-level SID emulation
+ * Pure DSP with no Web Audio dependencies: runs inside the AudioWorklet for
+ * live playback and inside an OfflineAudioContext for exports
+ */
+
+import { normalizeWaveform, waveformToBits, getCombinedTable } from './waveforms.js';
+import { SIDEnvelope, LinearEnvelope } from './envelope.js';
+import {
+  DEFAULT_PITCH_ENVELOPE,
+  DEFAULT_PWM,
+  isPitchEnvelopeActive,
+  pitchEnvelopeOffset,
+  isPWMActive,
+  pulseWidthAt,
+  noteEffectBend,
+  arpeggioStep
+} from './modulation.js';
+import { FRAME_RATE, ProgramRunner, hasProgram } from './instrument.js';
+import { clockRate, idealFrequency, shiftFrequency } from './tuning.js';
+import { CONTROL, controlWaveform } from './registers.js';
+import { EFFECT_BUSES } from './effects.js';
+
+// Oscillators, sync and the filter run at this multiple of the output rate
+export const OVERSAMPLE = 4;
+
+const ACC_SIZE = 0x1000000; // 24-bit phase accumulator
+const ACC_MSB = 0x800000;
+const NOISE_CLOCK_BIT = 0x80000; // LFSR clocks when accumulator bit 19 rises
+const NOISE_CLOCK_PERIOD = 0x100000;
+
+export const DEFAULT_VOICE_PARAMS = {
+  waveform: ['pulse'], // Set of flags - several at once combine
+  pulseWidth: 0.5,
+  envelopeMode: 'sid', // 'sid' (register values below) or 'modern' (seconds)
+  adsr: { attack: 1, decay: 4, sustain: 11, release: 6 }, // The seconds below on the chip
+  attack: 0.01,
+  decay: 0.1,
+  sustain: 0.7,
+  release: 0.2,
+  useFilter: true,
+  ringMod: false,
+  sync: false,
+  pitchEnvelope: DEFAULT_PITCH_ENVELOPE, // { semitones, decay, curve }
+  pwm: DEFAULT_PWM, // Pulse-width sweep from pulseWidth { speed, min, max, sync }
+  program: null // Instrument program { wave, pulse, filter } (see instrument.js)
+};
+
+export const DEFAULT_FILTER_PARAMS = {
+  type: ['lowpass'], // Set of modes - several at once are summed
+  cutoff: 87,   // 0-100 (~8 kHz)
+  resonance: 3, // 0-100
+  routing: [true, true, true], // Voices through the filter (mirrors each voice's useFilter)
+  voice3Off: false // Mute voice 3 when it bypasses the filter
+};
+
+export const FILTER_MODES = ['lowpass', 'bandpass', 'highpass'];
+
+/**
+ * Normalize a stored filter type to an array of modes
+ * Old projects store a single mode ('lowpass'); 'notch' is LP+HP. An empty
+ * list is no modes at all (the filter passes nothing, as on the chip with
+ * no mode bits set); anything unrecognised is lowpass
+ * @param {string|string[]} type
+ * @returns {string[]}
+ */
+export function normalizeFilterType(type) {
+  if (Array.isArray(type) && !type.length) return [];
+  const list = (Array.isArray(type) ? type : [type])
+    .flatMap(mode => mode === 'notch' ? ['lowpass', 'highpass'] : [mode]);
+  const valid = FILTER_MODES.filter(mode => list.includes(mode));
+  return valid.length ? valid : ['lowpass'];
+}
+
+export const CHIP_MODELS = ['6581', '8580'];
+export const DEFAULT_CHIP_MODEL = '6581';
+
+// Multi-SID projects run up to three chips of three voices each; voice n
+// belongs to chip floor(n / 3)
+export const VOICES_PER_CHIP = 3;
+export const MAX_CHIPS = 3;
+
+// Default stereo placement (-1 left to 1 right) per chip count
+const CHIP_PANS = {
+  1: [0],
+  2: [-0.5, 0.5],
+  3: [-0.6, 0, 0.6]
+};
+
+/**
+ * Default stereo placement for a number of chips
+ */
+export function defaultChipPans(count) {
+  return [...(CHIP_PANS[count] || CHIP_PANS[1])];
+}
+
+/**
+ * Chip a voice belongs to
+ */
+export function chipOfVoice(voiceIndex) {
+  return Math.floor(voiceIndex / VOICES_PER_CHIP);
+}
+
+/*
+ * Analog differences between the chips:
+ * waveZero - DAC level a voice sits at with a silent waveform. On the 6581 it
+ *            is well below the midpoint, so envelope moves step the output
+ * mixerDC  - constant offset in the 6581 mixer; it scales with the master
+ *            volume, which is what makes volume-register "digis" audible
+ */
+const CHIP_PROPERTIES = {
+  6581: { waveZero: 0x380, mixerDC: 0.35 },
+  8580: { waveZero: 0x800, mixerDC: 0 }
+};
+
+// Typical 6581 cutoff curve (Hz at 11-bit FC register values)
+const CUTOFF_CURVE_6581 = [
+  [0x000, 220], [0x100, 300], [0x200, 700], [0x280, 1600], [0x300, 3000],
+  [0x380, 4400], [0x400, 5800], [0x500, 8200], [0x600, 11000],
+  [0x700, 14500], [0x7ff, 18000]
+];
+
+/**
+ * Get the analog properties of a chip model (unknown models act as a 6581)
+ */
+export function getChipProperties(chipModel) {
+  return CHIP_PROPERTIES[chipModel] || CHIP_PROPERTIES[DEFAULT_CHIP_MODEL];
+}
+
+/**
+ * Map filter cutoff 0-100 (the 11-bit FC register) to Hz
+ * The 8580 is close to linear; the 6581 is flat at the bottom and steep in
+ * the middle, so the same setting sounds quite different on each chip
+ */
+export function cutoffToFrequency(value, chipModel = DEFAULT_CHIP_MODEL) {
+  const register = (Math.max(0, Math.min(100, value)) / 100) * 0x7ff;
+
+  if (chipModel === '8580') {
+    return 30 + register * 5.8;
+  }
+
+  let i = 1;
+  while (i < CUTOFF_CURVE_6581.length - 1 && CUTOFF_CURVE_6581[i][0] < register) i++;
+  const [x0, y0] = CUTOFF_CURVE_6581[i - 1];
+  const [x1, y1] = CUTOFF_CURVE_6581[i];
+  return y0 + ((register - x0) / (x1 - x0)) * (y1 - y0);
+}
+
+/**
+ * Map filter resonance 0-100 (the 4-bit RES register) to Q
+ * The 6581 resonates gently (Q 0.7-1.7); the 8580 much harder (Q 0.7-2.6)
+ */
+export function resonanceToQ(value, chipModel = DEFAULT_CHIP_MODEL) {
+  const res = (Math.max(0, Math.min(100, value)) / 100) * 15;
+
+  if (chipModel === '8580') {
+    return Math.pow(2, (res - 4) / 8);
+  }
+  return 0.707 + res / 15;
+}
+
+/**
+ * Clock the SID's 23-bit noise LFSR (taps at bits 22 and 17)
+ */
+export function clockLFSR(register) {
+  const bit0 = ((register >> 22) ^ (register >> 17)) & 0x1;
+  return ((register << 1) & 0x7fffff) | bit0;
+}
+
+/**
+ * Read the 8-bit noise output the SID takes from the LFSR (as a 12-bit value)
+ */
+export function lfsrOutput(register) {
+  return ((register & 0x400000) >> 11) |
+         ((register & 0x100000) >> 10) |
+         ((register & 0x010000) >> 7) |
+         ((register & 0x002000) >> 5) |
+         ((register & 0x000800) >> 4) |
+         ((register & 0x000080) >> 1) |
+         ((register & 0x000010) << 1) |
+         ((register & 0x000004) << 2);
+}
+
+/**
+ * One SID voice: phase accumulator oscillator, noise LFSR and envelope
+ */
+class CoreVoice {
+  constructor(index) {
+    this.index = index;
+    this.params = { ...DEFAULT_VOICE_PARAMS };
+    this.envelopes = {
+      sid: new SIDEnvelope(this.params),
+      modern: new LinearEnvelope(this.params)
+    };
+
+    // Voice that ring modulates/syncs this one (set by SIDCore)
+    this.source = null;
+
+    // The project's { clock, tuning } (set by SIDCore) for pitch changes
+    this.tuning = {};
+
+    // Waveform as control register bits (tri=1, saw=2, pulse=4, noise=8)
+    this.chipModel = '6581';
+    this.waveBits = 0;
+    this.combinedTable = null;
+    this.setWaveform(this.params.waveform);
+
+    // Pulse width in use (sweeps and pulse tables move it off the patch
+    // value) and time into the sweep
+    this.pulseWidth = this.params.pulseWidth;
+    this.sweepTime = 0;
+
+    // Oscillator state
+    this.frequency = 0;
+    this.increment = 0;
+    this.accumulator = 0;
+    this.noise = 0x7ffff8;
+    this.msbRising = false;
+    this.msbOvershoot = 0; // Fraction of a tick since the MSB rose (for sync)
+    this.test = false; // Test bit holds the accumulator at zero
+
+    // Id of the sounding note (stale gate-offs are ignored)
+    this.noteId = null;
+
+    // Note pitch before modulation, time since note-on and the note's
+    // resolved effects (vibrato, glides)
+    this.baseFrequency = 0;
+    this.noteTime = 0;
+    this.effects = null;
+    this.gate = false;
+
+    // Mixer gains into the left and right side (see mixer.js) and send
+    // levels to the effects bus, in EFFECT_BUSES order (see effects.js)
+    this.mix = { left: 1, right: 1 };
+    this.sends = EFFECT_BUSES.map(() => 0);
+
+    // Running instrument program, its current note and time into the frame
+    this.program = null;
+    this.programNote = null;
+    this.frameTime = 0;
+  }
+
+  /**
+   * Select the waveform flags (and the combined table for several at once)
+   */
+  setWaveform(waveform) {
+    this.params.waveform = normalizeWaveform(waveform);
+    this.applyWaveform(this.params.waveform);
+  }
+
+  /**
+   * Switch the sounding waveform without changing the patch (programs)
+   */
+  applyWaveform(waveform) {
+    this.setWaveBits(waveformToBits(normalizeWaveform(waveform)));
+  }
+
+  /**
+   * Switch to raw waveform bits (0 = no waveform, from register writes)
+   */
+  setWaveBits(bits) {
+    this.waveBits = bits;
+    const tableBits = this.waveBits & 7;
+    this.combinedTable = [3, 5, 6, 7].includes(tableBits)
+      ? getCombinedTable(this.chipModel, tableBits)
+      : null;
+  }
+
+  /**
+   * Envelope for the current mode
+   */
+  get envelope() {
+    return this.params.envelopeMode === 'modern' ? this.envelopes.modern : this.envelopes.sid;
+  }
+
+  setFrequency(frequency, tickRate) {
+    this.frequency = frequency;
+    this.increment = (frequency * ACC_SIZE) / tickRate;
+  }
+
+  /**
+   * Start a note's pitch (including the pitch envelope's start offset)
+   */
+  startPitch(frequency, tickRate) {
+    this.baseFrequency = frequency;
+    this.noteTime = 0;
+    this.programNote = null;
+    this.updatePitch(tickRate);
+  }
+
+  /**
+   * Recalculate the frequency from the note, program note, pitch envelope
+   * and note effects (program notes and arpeggio steps in the project's
+   * tuning, rounded to a frequency word)
+   */
+  updatePitch(tickRate) {
+    const note = this.programNote;
+    const bend = pitchEnvelopeOffset(this.params.pitchEnvelope, this.noteTime) +
+                 noteEffectBend(this.effects, this.noteTime);
+    const frequency = note?.midi !== undefined
+      ? shiftFrequency(idealFrequency(note.midi, this.tuning.tuning), 0, bend, this.tuning)
+      : shiftFrequency(
+        this.baseFrequency,
+        (note?.semitones || 0) + arpeggioStep(this.effects, this.noteTime),
+        bend,
+        this.tuning
+      );
+    this.setFrequency(frequency, tickRate);
+  }
+
+  /**
+   * Advance the pitch envelope and note effects by dt seconds
+   */
+  clockPitch(dt, tickRate) {
+    const envelope = this.params.pitchEnvelope;
+    const enveloping = isPitchEnvelopeActive(envelope) && this.noteTime <= envelope.decay;
+    if (!enveloping && !this.effects) return;
+
+    this.noteTime += dt;
+    this.updatePitch(tickRate);
+  }
+
+  /**
+   * Advance the pulse-width sweep by dt seconds (a program's pulse table
+   * takes over from it)
+   */
+  clockPulse(dt) {
+    this.sweepTime += dt;
+    const pwm = this.params.pwm;
+    if (!isPWMActive(pwm) || this.params.program?.pulse?.steps?.length) return;
+    this.pulseWidth = pulseWidthAt(pwm, this.params.pulseWidth, this.sweepTime);
+  }
+
+  /**
+   * Advance the phase accumulator by one tick
+   */
+  clockOscillator() {
+    if (this.test) {
+      this.accumulator = 0;
+      this.msbRising = false;
+      return;
+    }
+
+    const previous = this.accumulator;
+    const next = previous + this.increment;
+
+    // Noise: one LFSR clock per rising edge of bit 19
+    const clocks = Math.floor((next - NOISE_CLOCK_BIT) / NOISE_CLOCK_PERIOD) -
+                   Math.floor((previous - NOISE_CLOCK_BIT) / NOISE_CLOCK_PERIOD);
+    for (let i = 0; i < clocks; i++) {
+      this.noise = clockLFSR(this.noise);
+    }
+
+    // MSB rising edge (drives hard sync of the next voice)
+    this.msbRising = previous < ACC_MSB && next >= ACC_MSB;
+    if (this.msbRising) {
+      this.msbOvershoot = (next - ACC_MSB) / this.increment;
+    }
+
+    this.accumulator = next % ACC_SIZE;
+  }
+
+  /**
+   * Reset phase when the source voice's MSB rises (hard sync)
+   */
+  applySync() {
+    if (this.params.sync && this.source.msbRising) {
+      this.accumulator = this.source.msbOvershoot * this.increment;
+    }
+  }
+
+  /**
+   * 12-bit waveform output for the current phase
+   */
+  waveformOutput() {
+    const acc = this.accumulator | 0;
+    const bits = this.waveBits;
+    if (!bits) return 0x800;
+
+    // Ring mod swaps the triangle's MSB for an XOR with the source's MSB
+    const triAcc = this.params.ringMod ? acc ^ ((this.source.accumulator | 0) & ACC_MSB) : acc;
+    const pulseHigh = (acc >> 12) < Math.round(this.pulseWidth * 4096);
+
+    let value;
+    switch (bits & 7) {
+      case 0:
+        value = 0xfff;
+        break;
+      case 1:
+        value = (((triAcc & ACC_MSB) ? ~acc : acc) >> 11) & 0xfff;
+        break;
+      case 2:
+        value = acc >> 12;
+        break;
+      case 4:
+        value = pulseHigh ? 0xfff : 0;
+        break;
+      default:
+        // Combined waveforms (pulse gates the table)
+        value = (bits & 4) && !pulseHigh ? 0 : this.combinedTable[triAcc >> 12];
+    }
+
+    // Noise combines with the others as a plain AND
+    if (bits & 8) {
+      value &= lfsrOutput(this.noise);
+    }
+
+    return value;
+  }
+
+  /**
+   * Voice output (-1 to 1) scaled by the envelope
+   */
+  output() {
+    const { waveZero } = getChipProperties(this.chipModel);
+    return ((this.waveformOutput() - waveZero) / 0x800) * this.envelope.level;
+  }
+}
+
+/**
+ * RBJ biquad lowpass (anti-alias filter before decimation)
+ */
+class Lowpass {
+  constructor(frequency, q, rate) {
+    const w0 = (2 * Math.PI * frequency) / rate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+
+    this.b0 = ((1 - cos) / 2) / a0;
+    this.b1 = (1 - cos) / a0;
+    this.b2 = this.b0;
+    this.a1 = (-2 * cos) / a0;
+    this.a2 = (1 - alpha) / a0;
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+/**
+ * SID Core - three voices into the shared multimode filter
+ */
+export class SIDCore {
+  /**
+   * @param {number} sampleRate - output sample rate
+   * @param {Object} options - { voices: [params], filter: { type, cutoff, resonance }, chipModel,
+   *   tuning: { clock, tuning }, mix: [{ left, right }], sends: [{ reverb, delay, chorus }] }
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.tickRate = sampleRate * OVERSAMPLE;
+
+    // Initialize 3 voices (authentic SID count)
+    this.voices = [0, 1, 2].map(i => new CoreVoice(i));
+
+    // Ring mod/sync sources follow the chip: voice 1 <- voice 3, 2 <- 1, 3 <- 2
+    this.voices.forEach((voice, i) => {
+      voice.source = this.voices[(i + 2) % 3];
+    });
+
+    // State-variable filter (Chamberlin, as in reSID)
+    this.filter = { ...DEFAULT_FILTER_PARAMS };
+    this.filterModes = { lowpass: true, bandpass: false, highpass: false };
+    this.updateFilterCoefficients();
+
+    // 4th-order Butterworth anti-alias filter for decimation
+    const nyquist = Math.min(sampleRate * 0.45, 20000);
+
+    // Output coupling capacitor: removes the DC the waveforms and envelope
+    // step in (combined waveforms sit mostly at the bottom rail)
+    this.dcPole = 1 - (2 * Math.PI * 16) / sampleRate;
+
+    // Filter, decimation and DC state per side; the right side only runs
+    // while the mixer pans a voice, otherwise it copies the left
+    this.sides = [0, 1].map(() => ({
+      filterState: { low: 0, band: 0 },
+      decimators: [
+        new Lowpass(nyquist, 0.5412, this.tickRate),
+        new Lowpass(nyquist, 1.3066, this.tickRate)
+      ],
+      dcState: { input: 0, output: 0 }
+    }));
+
+    // Effect sends: each runs the voices it gets through its own copy of
+    // the filter, so a filtered voice sends its filtered sound. Decimation
+    // is a plain average - the effects don't need the anti-aliasing
+    this.sendBuses = EFFECT_BUSES.map(() => ({
+      filterState: { low: 0, band: 0 },
+      dcState: { input: 0, output: 0 }
+    }));
+    this.sendFiltered = new Float64Array(EFFECT_BUSES.length);
+    this.sendDirect = new Float64Array(EFFECT_BUSES.length);
+    this.sendSums = new Float64Array(EFFECT_BUSES.length);
+
+    // Chip model (filter curves, combined waveforms, DC offsets)
+    this.chipModel = DEFAULT_CHIP_MODEL;
+    this.setChipModel(options.chipModel || DEFAULT_CHIP_MODEL);
+
+    // Clock and tuning program notes and arpeggios are pitched in (the clock
+    // also runs the SID envelopes)
+    this.setTuning(options.tuning);
+
+    // Master volume (0-15)
+    this.volume = 15;
+
+    // Start the DC blocker settled on the mixer offset (no click on start)
+    this.sides.forEach(side => {
+      side.dcState.input = getChipProperties(this.chipModel).mixerDC;
+    });
+
+    options.voices?.forEach((params, i) => this.setVoiceParams(i, params));
+    options.mix?.forEach((gains, i) => this.setVoiceMix(i, gains));
+    options.sends?.forEach((gains, i) => this.setVoiceSends(i, gains));
+    Object.entries(options.filter || {}).forEach(([param, value]) => {
+      this.setFilterParam(param, value);
+    });
+  }
+
+  /**
+   * Start a note (gate on)
+   * @param {Object|null} effects - resolved note effects (see modulation.js)
+   */
+  noteOn(voiceIndex, frequency, noteId = null, effects = null) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+    voice.effects = effects;
+    voice.startPitch(frequency, this.tickRate);
+    voice.noteId = noteId;
+
+    // Back to the patch sound (the last note's program may have moved it)
+    voice.applyWaveform(voice.params.waveform);
+    voice.test = false;
+    voice.pulseWidth = voice.params.pulseWidth;
+    if (voice.params.pwm?.sync) voice.sweepTime = 0;
+
+    voice.gate = true;
+    voice.envelope.gateOn();
+    this.startProgram(voice);
+  }
+
+  /**
+   * Release a note (gate off) - ignored if a newer note has started
+   */
+  noteOff(voiceIndex, noteId = null) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+    if (noteId !== null && voice.noteId !== noteId) return;
+    // The program keeps running through the release
+    voice.gate = false;
+    voice.envelope.gateOff();
+  }
+
+  /**
+   * Set a voice's pitch without a new note (frequency register writes)
+   */
+  setFrequency(voiceIndex, frequency) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+    voice.baseFrequency = frequency;
+    voice.updatePitch(this.tickRate);
+  }
+
+  /**
+   * Apply a control register write: waveform bits, sync, ring mod, test and
+   * gate. Gate edges start and release the envelope directly, with no
+   * program or note effects
+   */
+  writeControl(voiceIndex, value) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+
+    const waveform = controlWaveform(value);
+    if (waveform.length) voice.params.waveform = waveform;
+    voice.setWaveBits(value >> 4);
+    voice.params.sync = Boolean(value & CONTROL.SYNC);
+    voice.params.ringMod = Boolean(value & CONTROL.RING_MOD);
+
+    // Releasing the test bit restarts the noise generator
+    const test = Boolean(value & CONTROL.TEST);
+    if (voice.test && !test) voice.noise = 0x7ffff8;
+    voice.test = test;
+
+    const gate = Boolean(value & CONTROL.GATE);
+    if (gate && !voice.gate) {
+      voice.effects = null;
+      voice.program = null;
+      voice.programNote = null;
+      voice.noteId = null;
+      voice.updatePitch(this.tickRate);
+      voice.envelope.gateOn();
+    } else if (!gate && voice.gate) {
+      voice.envelope.gateOff();
+    }
+    voice.gate = gate;
+  }
+
+  /**
+   * Set the master volume (0-15, the low nibble of $D418)
+   */
+  setVolume(value) {
+    this.volume = Math.max(0, Math.min(15, value | 0));
+  }
+
+  /**
+   * Set a voice's mixer gains (level, pan, mute and solo folded together)
+   * @param {Object} gains - { left, right } from voiceGains
+   */
+  setVoiceMix(voiceIndex, gains) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+    voice.mix = { left: gains.left, right: gains.right };
+  }
+
+  /**
+   * Set a voice's effect send levels (after the mixer)
+   * @param {Object} gains - { reverb, delay, chorus } from sendGains
+   */
+  setVoiceSends(voiceIndex, gains) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+    voice.sends = EFFECT_BUSES.map(bus => gains[bus] || 0);
+  }
+
+  /**
+   * Stop a voice immediately
+   */
+  stopVoice(voiceIndex) {
+    const voice = this.voices[voiceIndex];
+    if (!voice) return;
+    voice.program = null;
+    voice.gate = false;
+    voice.envelope.kill();
+  }
+
+  /**
+   * Stop all voices
+   */
+  stopAll() {
+    this.voices.forEach((voice, i) => this.stopVoice(i));
+  }
+
+  /**
+   * Start the voice's instrument program (first frame runs at note-on)
+   */
+  startProgram(voice) {
+    if (!hasProgram(voice.params.program)) {
+      voice.program = null;
+      return;
+    }
+
+    voice.program = new ProgramRunner(voice.params.program, {
+      pulseWidth: voice.pulseWidth,
+      cutoff: this.filter.cutoff
+    });
+    voice.frameTime = 0;
+    this.applyProgramFrame(voice, voice.program.frame());
+  }
+
+  /**
+   * Advance running programs by dt seconds, one table step per frame
+   */
+  clockPrograms(dt) {
+    const framePeriod = 1 / FRAME_RATE;
+    this.voices.forEach(voice => {
+      if (!voice.program) return;
+      voice.frameTime += dt;
+      if (voice.frameTime >= framePeriod) {
+        voice.frameTime -= framePeriod;
+        this.applyProgramFrame(voice, voice.program.frame());
+      }
+    });
+  }
+
+  /**
+   * Apply one program frame's changes to a voice (and the shared filter)
+   */
+  applyProgramFrame(voice, changes) {
+    if (changes.waveform) voice.applyWaveform(changes.waveform);
+    if (changes.pulseWidth !== undefined) voice.pulseWidth = changes.pulseWidth;
+    if (changes.note) {
+      voice.programNote = changes.note;
+      voice.updatePitch(this.tickRate);
+    }
+
+    // Gate steps only act while the note is held
+    if (changes.gate === false) {
+      voice.envelope.gateOff();
+    } else if (changes.gate === true && voice.gate) {
+      voice.envelope.gateOn();
+    }
+
+    if (changes.cutoff !== undefined) this.setFilterParam('cutoff', changes.cutoff);
+  }
+
+  /**
+   * Set a voice parameter
+   */
+  setVoiceParam(voiceIndex, param, value) {
+    const voice = this.voices[voiceIndex];
+    if (!voice || !(param in voice.params)) return;
+
+    if (param === 'waveform') {
+      voice.setWaveform(value);
+    } else if (param === 'pulseWidth') {
+      voice.params.pulseWidth = value;
+      voice.pulseWidth = value;
+    } else {
+      voice.params[param] = value;
+    }
+  }
+
+  /**
+   * Set several voice parameters at once
+   */
+  setVoiceParams(voiceIndex, params) {
+    Object.entries(params || {}).forEach(([param, value]) => {
+      this.setVoiceParam(voiceIndex, param, value);
+    });
+  }
+
+  /**
+   * Set filter parameters (same units as SIDEngine.setFilterParam)
+   */
+  setFilterParam(param, value) {
+    if (!(param in this.filter)) return;
+
+    switch (param) {
+      case 'type':
+        this.filter.type = normalizeFilterType(value);
+        FILTER_MODES.forEach(mode => {
+          this.filterModes[mode] = this.filter.type.includes(mode);
+        });
+        break;
+      case 'routing':
+        // Routing lives on the voices (useFilter); keep both in step
+        value.forEach((enabled, i) => this.setVoiceParam(i, 'useFilter', enabled));
+        break;
+      default:
+        this.filter[param] = value;
+    }
+
+    this.updateFilterCoefficients();
+  }
+
+  /**
+   * Switch between the 6581 and 8580
+   */
+  setChipModel(chipModel) {
+    this.chipModel = CHIP_MODELS.includes(chipModel) ? chipModel : DEFAULT_CHIP_MODEL;
+    this.voices.forEach(voice => {
+      voice.chipModel = this.chipModel;
+      voice.setWaveform(voice.params.waveform);
+    });
+    this.updateFilterCoefficients();
+  }
+
+  /**
+   * Move every voice's free-running pulse-width sweep to a time into the song
+   */
+  setSweepTime(time) {
+    this.voices.forEach(voice => {
+      voice.sweepTime = time;
+    });
+  }
+
+  /**
+   * Set the project's clock and tuning ({ clock, tuning }, see tuning.js)
+   * The clock also sets how fast the SID envelopes run
+   */
+  setTuning(settings = {}) {
+    this.tuning = { clock: settings.clock, tuning: settings.tuning };
+    this.voices.forEach(voice => {
+      voice.tuning = this.tuning;
+      voice.envelopes.sid.clockRate = clockRate(settings.clock);
+    });
+  }
+
+  updateFilterCoefficients() {
+    // Chamberlin SVF is stable up to about a sixth of the tick rate
+    const cutoff = cutoffToFrequency(this.filter.cutoff, this.chipModel);
+    const frequency = Math.min(cutoff, this.tickRate / 6);
+    this.filterCoefficient = 2 * Math.sin((Math.PI * frequency) / this.tickRate);
+    this.filterDamping = 1 / resonanceToQ(this.filter.resonance, this.chipModel);
+  }
+
+  /**
+   * Run one side's filter for one tick and return the selected modes'
+   * summed output
+   */
+  clockFilter(input, state) {
+    state.low += this.filterCoefficient * state.band;
+    const high = input - state.low - this.filterDamping * state.band;
+    state.band += this.filterCoefficient * high;
+
+    // LP+HP gives a notch, LP+BP a fatter lowpass, as on the chip
+    const modes = this.filterModes;
+    return (modes.lowpass ? state.low : 0) +
+           (modes.bandpass ? state.band : 0) +
+           (modes.highpass ? high : 0);
+  }
+
+  /**
+   * Render samples into the output channels
+   * @param {Float32Array} left
+   * @param {Float32Array|null} right
+   * @param {number} offset - first sample to write
+   * @param {number} length - number of samples
+   * @param {Array<Float32Array>|null} sends - effect send outputs, in EFFECT_BUSES order
+   */
+  render(left, right, offset, length, sends = null) {
+    const dt = 1 / this.sampleRate;
+    const { mixerDC } = getChipProperties(this.chipModel);
+    const volume = this.volume / 15;
+    const [leftSide, rightSide] = this.sides;
+
+    // Only run the right side when a voice is panned
+    const stereo = Boolean(right) && this.voices.some(voice => voice.mix.left !== voice.mix.right);
+
+    // Only run the send buses while a voice is sending
+    const sending = Boolean(sends) && this.voices.some(voice => voice.sends.some(send => send > 0));
+    const { sendFiltered, sendDirect, sendSums } = this;
+
+    for (let i = offset; i < offset + length; i++) {
+      this.voices.forEach(voice => {
+        voice.envelope.clock(dt);
+        voice.clockPitch(dt, this.tickRate);
+        voice.clockPulse(dt);
+      });
+      this.clockPrograms(dt);
+
+      let sampleLeft = 0;
+      let sampleRight = 0;
+      sendSums.fill(0);
+      for (let tick = 0; tick < OVERSAMPLE; tick++) {
+        this.voices.forEach(voice => voice.clockOscillator());
+        this.voices.forEach(voice => voice.applySync());
+
+        // Voices routed to the filter vs. straight to the output; voice 3
+        // off only silences voice 3's direct path, like the chip
+        let filteredLeft = 0;
+        let filteredRight = 0;
+        let directLeft = 0;
+        let directRight = 0;
+        sendFiltered.fill(0);
+        sendDirect.fill(0);
+        this.voices.forEach(voice => {
+          const useFilter = voice.params.useFilter;
+          if (!useFilter && voice.index === 2 && this.filter.voice3Off) return;
+
+          const output = voice.output();
+          if (useFilter) {
+            filteredLeft += output * voice.mix.left;
+            filteredRight += output * voice.mix.right;
+          } else {
+            directLeft += output * voice.mix.left;
+            directRight += output * voice.mix.right;
+          }
+
+          if (sending) {
+            const sums = useFilter ? sendFiltered : sendDirect;
+            for (let bus = 0; bus < sums.length; bus++) sums[bus] += output * voice.sends[bus];
+          }
+        });
+
+        sampleLeft = this.mixSide(leftSide, filteredLeft, directLeft, volume);
+        if (stereo) sampleRight = this.mixSide(rightSide, filteredRight, directRight, volume);
+
+        if (sending) {
+          for (let bus = 0; bus < sendSums.length; bus++) {
+            sendSums[bus] += this.clockFilter(sendFiltered[bus], this.sendBuses[bus].filterState) + sendDirect[bus];
+          }
+        }
+      }
+
+      if (sends) {
+        this.sendBuses.forEach((bus, index) => {
+          if (!sends[index]) return;
+          sends[index][i] = sending ? this.blockDC(bus, (sendSums[index] / OVERSAMPLE) * volume) : 0;
+        });
+      }
+
+      // The mixer DC is constant, so it is added after decimation
+      left[i] = this.blockDC(leftSide, sampleLeft + mixerDC * volume);
+      if (stereo) {
+        right[i] = this.blockDC(rightSide, sampleRight + mixerDC * volume);
+      } else if (right) {
+        right[i] = left[i];
+      }
+    }
+
+    // Keep the idle right side in step so panning starts without a click
+    if (!stereo) this.copySide(leftSide, rightSide);
+  }
+
+  /**
+   * Filter, mix and decimate one side for one tick
+   */
+  mixSide(side, filtered, direct, volume) {
+    const [first, second] = side.decimators;
+    const mix = this.clockFilter(filtered, side.filterState) + direct;
+    return second.process(first.process(mix * volume));
+  }
+
+  /**
+   * Run one side's (or send bus's) output coupling capacitor for one sample
+   */
+  blockDC(side, sample) {
+    const dc = side.dcState;
+    dc.output = sample - dc.input + this.dcPole * dc.output;
+    dc.input = sample;
+    return dc.output;
+  }
+
+  /**
+   * Copy one side's filter, decimation and DC state to the other
+   */
+  copySide(from, to) {
+    Object.assign(to.filterState, from.filterState);
+    Object.assign(to.dcState, from.dcState);
+    from.decimators.forEach((decimator, i) => {
+      Object.assign(to.decimators[i], { x1: decimator.x1, x2: decimator.x2, y1: decimator.y1, y2: decimator.y2 });
+    });
+  }
+}
@@ -3,13 +3,123 @@
  * Emulates the C64 SID chip using Web Audio API
  */
 
+import {
+  createWaveformSource,
+  createProgramSource,
+  createModulatorOscillator,
+  createRingModulator
+} from './oscillators.js';
+import { normalizeWaveform } from './waveforms.js';
+import { createFilterBank } from './filter-bank.js';
+import { scheduleEnvelope, withRegisterEnvelope, withEnvelopeMode, adsrToSeconds } from './envelope.js';
+import { scheduleNotePitch, schedulePulseWidth, isPWMActive, notePitchAt } from './modulation.js';
+import { hasProgram } from './instrument.js';
+import {
+  DEFAULT_VOICE_PARAMS,
+  DEFAULT_FILTER_PARAMS,
+  CHIP_MODELS,
+  DEFAULT_CHIP_MODEL,
+  VOICES_PER_CHIP,
+  MAX_CHIPS,
+  defaultChipPans,
+  chipOfVoice,
+  normalizeFilterType
+} from './sid-core.js';
+import { REGISTER_COUNT, CONTROL, registerAddress, decodeRegister, controlWaveform } from './registers.js';
+import { RegisterPlayer } from './register-player.js';
+import { DEFAULT_VOICE_MIX, createMixer, normalizeMixer, voiceGains, createVoiceMix } from './mixer.js';
+import { EFFECT_BUSES, createEffects, normalizeEffects, sendGains, createEffectsBus } from './effects.js';
+import { CLOCKS, DEFAULT_CLOCK, DEFAULT_TUNING, TUNINGS, clockRate, noteFrequency } from './tuning.js';
+import processorUrl from './sid-processor.js?worker&url';
+
+// Master level (the volume register scales each chip in the node-graph engine)
+const MASTER_LEVEL = 0.7;
+
+// Worklet module loads per context (each chip gets its own node)
+const workletModules = new WeakMap();
+
+// Longest a register gate holds a node-graph note before it releases itself
+const REGISTER_GATE_HOLD = 60;
+
+/**
+ * Load the AudioWorklet SID core into a context
+ * Works for both AudioContext (live) and OfflineAudioContext (export)
+ * @param {BaseAudioContext} ctx
+ * @param {Object} processorOptions - { voices, filter, chipModel, tuning, mix, sends, events }
+ * @returns {Promise<AudioWorkletNode|null>} null if worklets are unavailable
+ *   (output 0 is the chip, output 1 its effect sends)
+ */
+export async function createSIDCoreNode(ctx, processorOptions = {}) {
+  if (!ctx.audioWorklet) return null;
+
+  try {
+    if (!workletModules.has(ctx)) {
+      workletModules.set(ctx, ctx.audioWorklet.addModule(processorUrl));
+    }
+    await workletModules.get(ctx);
+    return new AudioWorkletNode(ctx, 'sid-processor', {
+      numberOfInputs: 0,
+      numberOfOutputs: 2,
+      outputChannelCount: [2, EFFECT_BUSES.length],
+      processorOptions
+    });
+  } catch (error) {
+    console.warn('[SID] AudioWorklet core unavailable, using node graph:', error);
+    return null;
+  }
+}
+
+/**
+ * Feed a core node's effect send output into an effects bus
+ * @param {AudioWorkletNode} coreNode
+ * @param {Object} effectsBus - from createEffectsBus
+ */
+export function connectCoreSends(coreNode, effectsBus) {
+  const splitter = coreNode.context.createChannelSplitter(EFFECT_BUSES.length);
+  coreNode.connect(splitter, 1);
+  EFFECT_BUSES.forEach((bus, channel) => splitter.connect(effectsBus.inputs[bus], channel));
+  return splitter;
+}
+
 export class SIDEngine {
-  constructor() {
+  /**
+   * @param {Object} options - { useWorklet: false } forces the node-graph engine
+   */
+  constructor(options = {}) {
     this.audioContext = null;
     this.masterGain = null;
     this.voices = [];
-    this.filter = null;
+    this.chipModel = DEFAULT_CHIP_MODEL;
+
+    // One entry per SID chip: { filter, filterParams, output, panner, pan,
+    // coreNode, registers }. Voices 0-2 are on chip 1, 3-5 on chip 2...
+    this.chips = [];
     this.isInitialized = false;
+
+    // Clock the frequency registers count against and the note tuning
+    this.clock = DEFAULT_CLOCK;
+    this.tuning = DEFAULT_TUNING;
+
+    // AudioWorklet SID core per chip (none = node-graph fallback)
+    this.useWorklet = options.useWorklet !== false;
+
+    // Register-dump player (see playRegisterDump)
+    this.registerPlayer = null;
+    // Node-graph register writes waiting for their time (cleared by stopAll)
+    this.pendingWrites = new Set();
+
+    // Per-voice level, pan, mute and solo and the master level (see mixer.js)
+    this.mixer = createMixer(0);
+
+    // Reverb, delay and chorus after the chips, with per-voice sends (see
+    // effects.js); the delay follows the transport's tempo
+    this.effects = createEffects(0);
+    this.effectsBus = null;
+    this.tempo = 120;
+
+    // Context time the song starts at: free-running pulse-width sweeps count
+    // from there, as they do from time 0 in an export (see startSweeps)
+    this.sweepOrigin = 0;
   }
 
   /**
@@ -23,31 +133,228 @@ export class SIDEngine {
 
     // Master gain (volume control)
     this.masterGain = this.audioContext.createGain();
-    this.masterGain.gain.value = 0.7;
+    this.masterGain.gain.value = MASTER_LEVEL * this.mixer.master;
     this.masterGain.connect(this.audioContext.destination);
 
-    // Shared filter (authentic SID had one filter for all voices)
-    this.filter = this.audioContext.createBiquadFilter();
-    this.filter.type = 'lowpass';
-    this.filter.frequency.value = 8000;
-    this.filter.Q.value = 1;
-    this.filter.connect(this.masterGain);
+    // Effect returns mix in before the master level
+    this.effectsBus = createEffectsBus(this.audioContext, this.effects, this.tempo);
+    this.effectsBus.output.connect(this.masterGain);
 
-    // Initialize 3 voices (authentic SID count)
-    for (let i = 0; i < 3; i++) {
-      this.voices.push(new SIDVoice(this.audioContext, this.filter, i));
-    }
+    // One chip to start with (authentic C64)
+    await this.addChip();
+
+    console.log(`[SID] Engine mode: ${this.mode}`);
 
     this.isInitialized = true;
     return this;
   }
 
+  /**
+   * Add a SID chip: three voices, its own filter and worklet core, and a
+   * stereo position
+   */
+  async addChip() {
+    const index = this.chips.length;
+
+    // Chip output -> stereo placement -> master
+    const panner = this.audioContext.createStereoPanner();
+    panner.connect(this.masterGain);
+    const output = this.audioContext.createGain();
+    output.connect(panner);
+
+    // Each chip has one filter shared by its three voices
+    const filter = createFilterBank(this.audioContext, {}, this.chipModel);
+    filter.output.connect(output);
+
+    const chip = {
+      filter,
+      filterParams: { ...DEFAULT_FILTER_PARAMS },
+      output,
+      panner,
+      pan: 0,
+      coreNode: null,
+      registers: new Uint8Array(REGISTER_COUNT) // Last values written to its registers
+    };
+    this.chips.push(chip);
+
+    // Three voices per chip (authentic SID count)
+    // They hold the voice params in both modes and play notes in the fallback
+    const base = index * VOICES_PER_CHIP;
+    for (let i = 0; i < VOICES_PER_CHIP; i++) {
+      const voice = new SIDVoice(this.audioContext, base + i);
+      voice.chipModel = this.chipModel;
+      voice.tuning = this.tuningSettings;
+      voice.sweepOrigin = this.sweepOrigin;
+      voice.connectSends(this.effectsBus);
+      this.voices.push(voice);
+      this.mixer.voices.push({ ...DEFAULT_VOICE_MIX });
+      this.effects.sends.push({ reverb: 0, delay: 0, chorus: 0 });
+    }
+
+    // Ring mod/sync sources follow the chip: voice 1 <- voice 3, 2 <- 1, 3 <- 2
+    for (let i = 0; i < VOICES_PER_CHIP; i++) {
+      this.voices[base + i].sourceVoice = this.voices[base + (i + 2) % VOICES_PER_CHIP];
+    }
+
+    Object.entries(chip.filterParams).forEach(([param, value]) => {
+      this.setFilterParam(param, value, index);
+    });
+    this.updateRouting();
+
+    // Prefer the sample-level SID core
+    if (this.useWorklet) {
+      chip.coreNode = await createSIDCoreNode(this.audioContext, {
+        voices: this.exportVoices().slice(base, base + VOICES_PER_CHIP),
+        filter: this.exportFilter(index),
+        chipModel: this.chipModel,
+        tuning: this.tuningSettings
+      });
+      chip.coreNode?.connect(output);
+      chip.sendSplitter = chip.coreNode && connectCoreSends(chip.coreNode, this.effectsBus);
+      chip.coreNode?.port.postMessage({ type: 'sweepTime', value: this.currentTime - this.sweepOrigin });
+    }
+
+    // A solo elsewhere silences the new voices too
+    this.updateMix();
+  }
+
+  /**
+   * Remove the last SID chip and its voices
+   */
+  removeChip() {
+    const chip = this.chips.pop();
+    if (!chip) return;
+
+    this.voices.splice(this.chips.length * VOICES_PER_CHIP).forEach(voice => {
+      voice.stop();
+      voice.modulator.stop();
+      voice.mix.output.disconnect();
+      voice.sends.forEach(send => send.disconnect());
+    });
+    this.mixer.voices.length = this.voices.length;
+    this.effects.sends.length = this.voices.length;
+
+    chip.coreNode?.port.postMessage({ type: 'dispose' });
+    chip.coreNode?.disconnect();
+    chip.sendSplitter?.disconnect();
+    chip.filter.output.disconnect();
+    chip.output.disconnect();
+    chip.panner.disconnect();
+
+    // The removed voices may have been the soloed ones
+    this.updateMix();
+  }
+
+  /**
+   * Switch between one, two or three SID chips (3, 6 or 9 voices)
+   * The chips kept keep their voices, filters and placement; chips still on
+   * the default spread move to the new count's spread
+   */
+  async setChipCount(count) {
+    const target = Math.max(1, Math.min(MAX_CHIPS, Math.round(count) || 1));
+    const previous = this.exportChipPans();
+    const spread = previous.join() === defaultChipPans(previous.length).join();
+    while (this.chips.length > target) this.removeChip();
+    while (this.chips.length < target) await this.addChip();
+
+    const defaults = defaultChipPans(target);
+    this.setChipPans(spread ? defaults : defaults.map((pan, chipIndex) => previous[chipIndex] ?? pan));
+    console.log(`[SID] Chips: ${target} (${this.voices.length} voices)`);
+  }
+
+  /**
+   * Number of SID chips
+   */
+  get chipCount() {
+    return this.chips.length;
+  }
+
+  /**
+   * Place a chip in the stereo field (-1 left to 1 right)
+   */
+  setChipPan(chipIndex, pan) {
+    const chip = this.chips[chipIndex];
+    if (!chip) return;
+    chip.pan = Math.max(-1, Math.min(1, pan));
+    chip.panner.pan.value = chip.pan;
+  }
+
+  /**
+   * Place every chip (missing entries keep their place)
+   */
+  setChipPans(pans) {
+    pans?.forEach((pan, chipIndex) => this.setChipPan(chipIndex, pan));
+  }
+
+  /**
+   * Stereo placement of each chip (for saving and exporting)
+   */
+  exportChipPans() {
+    return this.chips.map(chip => chip.pan);
+  }
+
+  /**
+   * The first chip's filter and settings (single-SID code paths)
+   */
+  get filter() {
+    return this.chips[0]?.filter ?? null;
+  }
+
+  get filterParams() {
+    return this.chips[0]?.filterParams ?? { ...DEFAULT_FILTER_PARAMS };
+  }
+
+  /**
+   * The first chip's worklet node (null = node-graph fallback)
+   */
+  get coreNode() {
+    return this.chips[0]?.coreNode ?? null;
+  }
+
+  /**
+   * Which engine is producing sound: 'worklet' or 'nodes'
+   */
+  get mode() {
+    return this.coreNode ? 'worklet' : 'nodes';
+  }
+
+  /**
+   * Send an event to the worklet cores
+   * Voice events go to the voice's chip (renumbered 0-2), chip events to
+   * that chip, anything else to every chip
+   */
+  postToCore(event) {
+    if (event.voice !== undefined) {
+      const chip = this.chips[chipOfVoice(event.voice)];
+      chip?.coreNode?.port.postMessage({ ...event, voice: event.voice % VOICES_PER_CHIP });
+    } else if (event.chip !== undefined) {
+      this.chips[event.chip]?.coreNode?.port.postMessage(event);
+    } else {
+      this.chips.forEach(chip => chip.coreNode?.port.postMessage(event));
+    }
+  }
+
   /**
    * Play a note on a specific voice
+   * @param {Object|null} effects - resolved note effects (vibrato, glides)
+   * @param {number} time - context time to start at (default now)
    */
-  playNote(voiceIndex, frequency, duration = 0.5) {
+  playNote(voiceIndex, frequency, duration = 0.5, effects = null, time = null) {
     if (!this.isInitialized || voiceIndex >= this.voices.length) return;
-    this.voices[voiceIndex].playNote(frequency, duration);
+
+    if (this.coreNode) {
+      this.voices[voiceIndex].frequency = frequency;
+      this.postToCore({
+        type: 'noteOn',
+        voice: voiceIndex,
+        frequency,
+        duration,
+        effects,
+        time: time ?? this.audioContext.currentTime
+      });
+    } else {
+      this.voices[voiceIndex].playNote(frequency, duration, effects, time);
+    }
   }
 
   /**
@@ -56,13 +363,18 @@ export class SIDEngine {
   stopVoice(voiceIndex) {
     if (!this.isInitialized || voiceIndex >= this.voices.length) return;
     this.voices[voiceIndex].stop();
+    this.postToCore({ type: 'stop', voice: voiceIndex });
   }
 
   /**
    * Stop all voices
    */
   stopAll() {
+    // Drop register writes still to come, so a late gate can't restart a voice
+    this.pendingWrites.forEach(id => clearTimeout(id));
+    this.pendingWrites.clear();
     this.voices.forEach(voice => voice.stop());
+    this.postToCore({ type: 'stopAll' });
   }
 
   /**
@@ -71,26 +383,427 @@ export class SIDEngine {
   setVoiceParam(voiceIndex, param, value) {
     if (voiceIndex >= this.voices.length) return;
     this.voices[voiceIndex].setParam(param, value);
+    this.postToCore({ type: 'voiceParam', voice: voiceIndex, param, value });
+
+    if (param === 'useFilter') {
+      this.updateRouting();
+    }
+  }
+
+  /**
+   * Get all voice parameters (for saving and exporting)
+   */
+  exportVoices() {
+    return this.voices.map(voice => ({ ...voice.params }));
+  }
+
+  /**
+   * Set several voice parameters at once (presets, tunes, saved projects)
+   * Envelopes given only in seconds are converted to register values
+   */
+  setVoiceParams(voiceIndex, params) {
+    Object.entries(withRegisterEnvelope(params) || {}).forEach(([param, value]) => {
+      this.setVoiceParam(voiceIndex, param, value);
+    });
+  }
+
+  /**
+   * Apply saved voice parameters (voices from before the SID envelope keep
+   * their envelopes in seconds)
+   */
+  loadVoices(voices) {
+    if (!voices) return;
+    voices.forEach((params, index) => this.setVoiceParams(index, withEnvelopeMode(params)));
+  }
+
+  /**
+   * Set a voice's mixer setting
+   * @param {string} param - 'level' (0-1), 'pan' (-1 left to 1 right), 'mute' or 'solo'
+   */
+  setVoiceMix(voiceIndex, param, value) {
+    const mix = this.mixer.voices[voiceIndex];
+    if (!mix || !(param in mix)) return;
+    mix[param] = value;
+    this.updateMix();
+  }
+
+  /**
+   * Set the master level (0-1)
+   */
+  setMasterLevel(level) {
+    this.mixer.master = Math.max(0, Math.min(1, level));
+    this.masterGain?.gain.setValueAtTime(MASTER_LEVEL * this.mixer.master, this.currentTime);
+  }
+
+  /**
+   * Push every voice's gains and effect sends to the voices and cores (a
+   * solo changes them all; sends follow the voice's level)
+   */
+  updateMix() {
+    const gains = voiceGains(this.mixer);
+    const sends = sendGains(this.effects, gains);
+    gains.forEach((gain, voiceIndex) => {
+      this.voices[voiceIndex]?.mix.setGains(gain);
+      this.voices[voiceIndex]?.setSends(sends[voiceIndex]);
+      this.postToCore({ type: 'voiceMix', voice: voiceIndex, ...gain });
+      this.postToCore({ type: 'voiceSends', voice: voiceIndex, ...sends[voiceIndex] });
+    });
+  }
+
+  /**
+   * Set how much of a voice goes to an effect
+   * @param {string} bus - 'reverb', 'delay' or 'chorus'
+   * @param {number} value - 0-1
+   */
+  setVoiceSend(voiceIndex, bus, value) {
+    const sends = this.effects.sends[voiceIndex];
+    if (!sends || !EFFECT_BUSES.includes(bus)) return;
+    sends[bus] = Math.max(0, Math.min(1, value));
+    this.updateMix();
+  }
+
+  /**
+   * Set an effect parameter (see DEFAULT_EFFECTS in effects.js)
+   * @param {string} effect - 'reverb', 'delay' or 'chorus'
+   */
+  setEffectParam(effect, param, value) {
+    if (!this.effects[effect] || !(param in this.effects[effect])) return;
+    this.effects[effect][param] = value;
+    this.effectsBus?.setParam(effect, param, value);
+  }
+
+  /**
+   * Line the free-running pulse-width sweeps up with the song, so they are
+   * where an export of it would have them
+   * @param {number} time - context time playback starts at
+   * @param {number} elapsed - seconds into the song that is
+   */
+  startSweeps(time, elapsed) {
+    this.sweepOrigin = time - elapsed;
+    this.voices.forEach(voice => {
+      voice.sweepOrigin = this.sweepOrigin;
+    });
+    this.postToCore({ type: 'sweepTime', value: elapsed, time });
+  }
+
+  /**
+   * Follow the transport's tempo (delay times are in beats)
+   * @param {number} [time] - context time for a tempo map change (default now)
+   */
+  setTempo(bpm, time) {
+    if (time === undefined) this.tempo = bpm;
+    this.effectsBus?.setTempo(bpm, time);
+  }
+
+  /**
+   * Get the effect settings and sends (for saving and exporting)
+   */
+  exportEffects() {
+    return normalizeEffects(this.effects, this.voices.length);
+  }
+
+  /**
+   * Apply saved effect settings (none turns every send off)
+   */
+  loadEffects(effects) {
+    this.effects = normalizeEffects(effects, this.voices.length);
+    EFFECT_BUSES.forEach(effect => {
+      Object.entries(this.effects[effect]).forEach(([param, value]) => {
+        this.effectsBus?.setParam(effect, param, value);
+      });
+    });
+    this.updateMix();
+  }
+
+  /**
+   * Get the mixer settings (for saving and exporting)
+   */
+  exportMixer() {
+    return {
+      master: this.mixer.master,
+      voices: this.mixer.voices.map(mix => ({ ...mix }))
+    };
+  }
+
+  /**
+   * Apply saved mixer settings (none resets the mixer)
+   */
+  loadMixer(mixer) {
+    const { master, voices } = normalizeMixer(mixer, this.voices.length);
+    this.mixer.voices = voices;
+    this.setMasterLevel(master);
+    this.updateMix();
+  }
+
+  /**
+   * Set filter parameters on a chip
+   * type: a mode or set of modes ('lowpass', 'bandpass', 'highpass', 'notch')
+   * routing: which of the chip's voices go through the filter (same as each
+   * voice's useFilter)
+   * voice3Off: mute the chip's third voice when it bypasses the filter
+   * @param {number} chipIndex - 0 for the first SID
+   */
+  setFilterParam(param, value, chipIndex = 0) {
+    const chip = this.chips[chipIndex];
+    if (!chip) return;
+
+    if (param === 'routing') {
+      value.forEach((enabled, i) => {
+        if (i < VOICES_PER_CHIP) this.setVoiceParam(chipIndex * VOICES_PER_CHIP + i, 'useFilter', enabled);
+      });
+      return;
+    }
+
+    if (param === 'type') {
+      value = normalizeFilterType(value);
+    }
+
+    if (param in chip.filterParams) {
+      chip.filterParams[param] = value;
+    }
+
+    chip.filter.setParam(param, value);
+
+    if (param === 'voice3Off') {
+      this.updateRouting();
+    }
+
+    this.postToCore({ type: 'filterParam', chip: chipIndex, param, value });
+  }
+
+  /**
+   * Move a chip's filter at a scheduled time without changing its settings
+   * (automation lanes); resetFilter() goes back to the settings
+   * @param {string} param - 'cutoff', 'resonance' or 'type'
+   * @param {number} time - context time
+   * @param {number} chipIndex - 0 for the first SID
+   */
+  automateFilter(param, value, time, chipIndex = 0) {
+    const chip = this.chips[chipIndex];
+    if (!chip) return;
+
+    if (param === 'type') {
+      value = normalizeFilterType(value);
+    }
+    chip.filter.setParam(param, value, time);
+    this.postToCore({ type: 'filterParam', chip: chipIndex, param, value, time });
+  }
+
+  /**
+   * Return every chip's filter to its settings (after automation or a
+   * program's filter table has moved it)
+   */
+  resetFilter() {
+    this.chips.forEach((chip, chipIndex) => {
+      ['type', 'cutoff', 'resonance'].forEach(param => {
+        const value = chip.filterParams[param];
+        chip.filter.setParam(param, value);
+        this.postToCore({ type: 'filterParam', chip: chipIndex, param, value });
+      });
+    });
+  }
+
+  /**
+   * Get a chip's filter settings (for saving and exporting)
+   */
+  exportFilter(chipIndex = 0) {
+    const base = chipIndex * VOICES_PER_CHIP;
+    return {
+      ...(this.chips[chipIndex]?.filterParams ?? DEFAULT_FILTER_PARAMS),
+      routing: this.voices.slice(base, base + VOICES_PER_CHIP).map(voice => voice.params.useFilter)
+    };
+  }
+
+  /**
+   * Get every chip's filter settings
+   */
+  exportFilters() {
+    return this.chips.map((chip, chipIndex) => this.exportFilter(chipIndex));
   }
 
   /**
-   * Set filter parameters
+   * Apply saved filter settings to a chip
    */
-  setFilterParam(param, value) {
-    switch (param) {
-      case 'type':
-        this.filter.type = value;
+  loadFilter(filter, chipIndex = 0) {
+    if (!filter) return;
+    Object.entries(filter).forEach(([param, value]) => {
+      this.setFilterParam(param, value, chipIndex);
+    });
+  }
+
+  /**
+   * Apply saved filter settings to each chip
+   */
+  loadFilters(filters) {
+    filters?.forEach((filter, chipIndex) => this.loadFilter(filter, chipIndex));
+  }
+
+  /**
+   * Write a SID register the way C64 code does
+   * @param {number} addr - $D400-$D418 for the first chip, $D420/$D440 for
+   *   the others (or the offset 0-$18)
+   * @param {number} value - byte
+   * @param {number} time - context time (default now)
+   */
+  writeRegister(addr, value, time) {
+    const { chip: chipIndex, offset } = registerAddress(addr);
+    const chip = this.chips[chipIndex];
+    if (!this.isInitialized || !chip || offset < 0) return;
+
+    // The node graph can't schedule param changes, so it waits for the time
+    if (!chip.coreNode && time > this.currentTime) {
+      const id = setTimeout(() => {
+        this.pendingWrites.delete(id);
+        this.writeRegister(addr, value);
+      }, (time - this.currentTime) * 1000);
+      this.pendingWrites.add(id);
+      return;
+    }
+
+    chip.registers[offset] = value & 0xff;
+    decodeRegister(chip.registers, offset, clockRate(this.clock)).forEach(change => {
+      // Decoded voices are the chip's own (0-2)
+      if (change.voice !== undefined) change.voice += chipIndex * VOICES_PER_CHIP;
+      this.applyRegisterChange(change, time, chipIndex);
+    });
+  }
+
+  /**
+   * Read back the last value written to a register (the SID's registers are
+   * write-only on the chip, so this is the engine's copy)
+   */
+  readRegister(addr) {
+    const { chip, offset } = registerAddress(addr);
+    return offset < 0 || !this.chips[chip] ? 0 : this.chips[chip].registers[offset];
+  }
+
+  /**
+   * Apply one decoded register change to the voices, filter and core
+   */
+  applyRegisterChange(change, time, chipIndex = 0) {
+    const voice = this.voices[change.voice];
+    const chip = this.chips[chipIndex];
+
+    switch (change.type) {
+      case 'frequency':
+        voice.setFrequency(change.value, time);
+        break;
+      case 'control':
+        voice.writeControl(change.value, !chip.coreNode);
+        break;
+      case 'voiceParam':
+        voice.setParam(change.param, change.value);
+        if (change.param === 'useFilter') this.updateRouting();
         break;
-      case 'cutoff':
-        // Map 0-100 to 20-20000 Hz (logarithmic)
-        const freq = 20 * Math.pow(1000, value / 100);
-        this.filter.frequency.value = freq;
+      case 'filterParam':
+        if (change.param in chip.filterParams) chip.filterParams[change.param] = change.value;
+        chip.filter.setParam(change.param, change.value, time);
+        if (change.param === 'voice3Off') this.updateRouting();
         break;
-      case 'resonance':
-        // Map 0-100 to Q 0.5-20
-        this.filter.Q.value = 0.5 + (value / 100) * 19.5;
+      case 'volume':
+        if (!chip.coreNode) {
+          chip.output.gain.setValueAtTime(change.value / 15, time ?? this.currentTime);
+        }
         break;
     }
+
+    this.postToCore(change.voice === undefined ? { ...change, chip: chipIndex, time } : { ...change, time });
+  }
+
+  /**
+   * Play a register dump frame by frame (see register-player.js)
+   * @param {ArrayBuffer|Uint8Array|Array} dump - 25 bytes per frame, or frames
+   * @param {Object} options - { frameRate, loop }
+   * @returns {RegisterPlayer}
+   */
+  playRegisterDump(dump, options = {}) {
+    this.registerPlayer?.stop();
+    this.registerPlayer = new RegisterPlayer(this, dump, options);
+    this.registerPlayer.play();
+    return this.registerPlayer;
+  }
+
+  /**
+   * Stop a playing register dump
+   */
+  stopRegisterDump() {
+    this.registerPlayer?.stop();
+  }
+
+  /**
+   * Switch the emulated chip: '6581' or '8580'
+   * Changes the filter curves, combined waveforms and DC offsets
+   */
+  setChipModel(chipModel) {
+    this.chipModel = CHIP_MODELS.includes(chipModel) ? chipModel : DEFAULT_CHIP_MODEL;
+    this.chips.forEach(chip => chip.filter.setChipModel(this.chipModel));
+    this.voices.forEach(voice => {
+      voice.chipModel = this.chipModel;
+    });
+    this.postToCore({ type: 'chipModel', value: this.chipModel });
+    console.log(`[SID] Chip model: ${this.chipModel}`);
+  }
+
+  /**
+   * Switch the system clock: 'PAL' or 'NTSC'
+   * Notes are rounded to the frequency words this clock gives
+   */
+  setClock(clock) {
+    this.clock = clock in CLOCKS ? clock : DEFAULT_CLOCK;
+    this.updateTuning();
+    console.log(`[SID] Clock: ${this.clock}`);
+  }
+
+  /**
+   * Switch the tuning: a TUNINGS name or a custom { a4, cents } table
+   */
+  setTuning(tuning) {
+    this.tuning = tuning && (typeof tuning === 'object' || tuning in TUNINGS) ? tuning : DEFAULT_TUNING;
+    this.updateTuning();
+  }
+
+  /**
+   * The clock and tuning together ({ clock, tuning }, see tuning.js)
+   */
+  get tuningSettings() {
+    return { clock: this.clock, tuning: this.tuning };
+  }
+
+  /**
+   * Pass the clock and tuning on to the voices and cores, which pitch
+   * program notes, arpeggios and vibrato in them and run the SID envelopes
+   * at the clock
+   */
+  updateTuning() {
+    const settings = this.tuningSettings;
+    this.voices.forEach(voice => {
+      voice.tuning = settings;
+    });
+    this.postToCore({ type: 'tuning', value: settings });
+  }
+
+  /**
+   * Frequency the chip plays for a MIDI note with the current clock and tuning
+   */
+  noteFrequency(midi) {
+    return noteFrequency(midi, this.tuningSettings);
+  }
+
+  /**
+   * Connect each node-graph voice to its chip's filter or straight to the
+   * chip's output
+   */
+  updateRouting() {
+    this.voices.forEach((voice, i) => {
+      const chip = this.chips[chipOfVoice(i)];
+      if (!chip) return;
+      voice.mix.output.disconnect();
+      if (voice.params.useFilter) {
+        voice.mix.output.connect(chip.filter.input);
+      } else if (!(i % VOICES_PER_CHIP === 2 && chip.filterParams.voice3Off)) {
+        voice.mix.output.connect(chip.output);
+      }
+    });
   }
 
   /**
@@ -103,85 +816,123 @@ export class SIDEngine {
 
 /**
  * SID Voice - Single oscillator with ADSR envelope
+ * Web Audio node-graph voice, used when the worklet core is unavailable
  */
 class SIDVoice {
-  constructor(audioContext, outputNode, index) {
+  constructor(audioContext, index) {
     this.audioContext = audioContext;
-    this.outputNode = outputNode;
     this.index = index;
 
+    // Voice output through the mixer's stereo gains (SIDEngine routes the
+    // mix to the chip's filter or straight to the chip's output)
+    this.mix = createVoiceMix(audioContext);
+    this.output = this.mix.input;
+
+    // Effect sends, one gain per bus (set by SIDEngine; taken before the
+    // filter - the worklet core sends after it)
+    this.sends = [];
+
     // Voice parameters
-    this.params = {
-      waveform: 'pulse',
-      pulseWidth: 0.5,
-      attack: 0.01,
-      decay: 0.1,
-      sustain: 0.7,
-      release: 0.2,
-      useFilter: true,
-      ringMod: false,
-      sync: false
-    };
+    this.params = { ...DEFAULT_VOICE_PARAMS };
 
     // Active oscillator/gain (for stopping)
     this.activeOsc = null;
     this.activeGain = null;
+
+    // Voice that modulates/syncs this one (set by SIDEngine)
+    this.sourceVoice = null;
+
+    // Chip model for combined waveforms (set by SIDEngine)
+    this.chipModel = DEFAULT_CHIP_MODEL;
+
+    // The project's { clock, tuning } for pitch changes and the context time
+    // free-running pulse-width sweeps count from (set by SIDEngine)
+    this.tuning = {};
+    this.sweepOrigin = 0;
+
+    // Frequency of the last note (the oscillator keeps running at it)
+    this.frequency = null;
+
+    // Gate bit from the last control register write
+    this.gate = false;
+
+    // Free-running oscillator at the current note frequency (ring mod source)
+    this.modulator = createModulatorOscillator(audioContext);
+    this.modulator.start();
   }
 
   /**
    * Play a note
+   * @param {number} time - context time to start at (default now)
    */
-  playNote(frequency, duration) {
-    const now = this.audioContext.currentTime;
-
-    // Stop any currently playing note
-    this.stop();
-
-    // Create oscillator
-    const osc = this.audioContext.createOscillator();
-
-    // Set waveform
-    if (this.params.waveform === 'noise') {
-      // Noise requires a different approach - use buffer
-      // For now, use white noise via script processor or worklet
-      // Placeholder: use square as fallback
-      osc.type = 'square';
-    } else if (this.params.waveform === 'pulse') {
-      // Pulse wave with variable width requires PeriodicWave
-      // For now, approximate with square
-      osc.type = 'square';
-    } else {
-      osc.type = this.params.waveform;
-    }
+  playNote(frequency, duration, effects = null, time = null) {
+    const now = Math.max(this.audioContext.currentTime, time ?? 0);
 
-    osc.frequency.value = frequency;
+    // Stop the previous note where this one starts
+    this.stop(now);
 
     // Create envelope gain
     const envelope = this.audioContext.createGain();
     envelope.gain.value = 0;
 
-    // Connect: osc -> envelope -> (filter or master)
-    osc.connect(envelope);
-    envelope.connect(this.outputNode);
+    // Apply ADSR envelope (SID register rates or modern seconds)
+    const endTime = scheduleEnvelope(envelope.gain, this.params, now, duration, 1, clockRate(this.tuning.clock));
+
+    // Hard sync resets this voice's phase on every cycle of the source voice
+    // (at its pitch now - later notes of it aren't scheduled yet)
+    const masterFrequency = this.sourceVoice?.frequency ?? null;
+    const sync = this.params.sync && this.sourceVoice
+      ? {
+        pitchAt: t => notePitchAt(frequency, this.params.pitchEnvelope, effects, t, this.tuning),
+        masterAt: () => masterFrequency,
+        length: endTime + 0.1 - now
+      }
+      : null;
+
+    // Create oscillator: an instrument program runs for the whole note,
+    // otherwise pulse width follows this.params.pulseWidth live
+    const osc = hasProgram(this.params.program)
+      ? createProgramSource(this.audioContext, this.params, frequency, endTime - now, this.chipModel, effects, this.tuning)
+      : createWaveformSource(
+        this.audioContext,
+        this.params.waveform,
+        frequency,
+        this.params.pulseWidth,
+        sync,
+        this.chipModel
+      );
+
+    // Pitch envelope and note effects (programs step them themselves; a
+    // synced wave follows them itself)
+    if (osc.frequency) {
+      scheduleNotePitch(osc.frequency, frequency, this.params.pitchEnvelope, effects, now, endTime - now, this.tuning);
+    }
 
-    // Apply ADSR envelope
-    const { attack, decay, sustain, release } = this.params;
+    // Pulse-width sweep (sources with a fixed width ignore it)
+    if (osc.pulseWidth) {
+      schedulePulseWidth(osc.pulseWidth, this.params.pwm, this.params.pulseWidth, now, endTime + 0.1 - now, this.sweepOrigin);
+    }
 
-    // Attack
-    envelope.gain.setValueAtTime(0, now);
-    envelope.gain.linearRampToValueAtTime(1, now + attack);
+    // Keep the modulator in tune with this voice for the voice it modulates
+    this.frequency = frequency;
+    this.modulator.frequency.setValueAtTime(frequency, now);
 
-    // Decay to sustain
-    envelope.gain.linearRampToValueAtTime(sustain, now + attack + decay);
+    // Ring mod only affects the triangle, as on the chip
+    let voiceOutput = osc.output;
+    if (this.params.ringMod && this.params.waveform.includes('triangle') && this.sourceVoice) {
+      const modulator = this.sourceVoice.modulator;
+      const ring = createRingModulator(this.audioContext, osc.output, modulator);
+      osc.onEnded(() => modulator.disconnect(ring.gain));
+      voiceOutput = ring;
+    }
 
-    // Release (at end of duration)
-    const releaseTime = now + duration;
-    envelope.gain.setValueAtTime(sustain, releaseTime);
-    envelope.gain.linearRampToValueAtTime(0, releaseTime + release);
+    // Connect: osc -> [ring mod] -> envelope -> (filter or master)
+    voiceOutput.connect(envelope);
+    envelope.connect(this.output);
 
     // Start and schedule stop
     osc.start(now);
-    osc.stop(releaseTime + release + 0.1);
+    osc.stop(endTime + 0.1);
 
     // Store references for manual stop
     this.activeOsc = osc;
@@ -189,15 +940,43 @@ class SIDVoice {
   }
 
   /**
-   * Stop the voice immediately
+   * Send this voice to an effects bus (levels start at 0)
    */
-  stop() {
-    const now = this.audioContext.currentTime;
+  connectSends(effectsBus) {
+    this.sends = EFFECT_BUSES.map(bus => {
+      const send = this.audioContext.createGain();
+      send.gain.value = 0;
+      this.output.connect(send);
+      send.connect(effectsBus.inputs[bus]);
+      return send;
+    });
+  }
+
+  /**
+   * Set the effect send levels (from sendGains)
+   */
+  setSends(gains) {
+    this.sends.forEach((send, index) => {
+      send.gain.setValueAtTime(gains[EFFECT_BUSES[index]], this.audioContext.currentTime);
+    });
+  }
+
+  /**
+   * Stop the voice (now, or at a context time when a note takes over)
+   */
+  stop(time = null) {
+    const now = time ?? this.audioContext.currentTime;
 
     if (this.activeGain) {
       try {
-        this.activeGain.gain.cancelScheduledValues(now);
-        this.activeGain.gain.linearRampToValueAtTime(0, now + 0.02);
+        // Hold also cuts a SID envelope curve short where it is
+        const gain = this.activeGain.gain;
+        if (gain.cancelAndHoldAtTime) {
+          gain.cancelAndHoldAtTime(now);
+        } else {
+          gain.cancelScheduledValues(now);
+        }
+        gain.linearRampToValueAtTime(0, now + 0.02);
       } catch (e) {
         // Ignore if already stopped
       }
@@ -213,6 +992,69 @@ class SIDVoice {
 
     this.activeOsc = null;
     this.activeGain = null;
+    this.gate = false;
+  }
+
+  /**
+   * Change the pitch without a new note (frequency register writes)
+   */
+  setFrequency(frequency, time) {
+    const when = time ?? this.audioContext.currentTime;
+    this.frequency = frequency;
+    this.modulator.frequency.setValueAtTime(frequency, when);
+
+    try {
+      this.activeOsc?.frequency?.setValueAtTime(frequency, when);
+    } catch (e) {
+      // A pitch curve is still running
+    }
+  }
+
+  /**
+   * Apply a control register write (waveform, sync, ring mod and gate edges)
+   * @param {boolean} play - gate edges play notes (node-graph engine only)
+   */
+  writeControl(value, play = true) {
+    const waveform = controlWaveform(value);
+    if (waveform.length) this.params.waveform = waveform;
+    this.params.sync = Boolean(value & CONTROL.SYNC);
+    this.params.ringMod = Boolean(value & CONTROL.RING_MOD);
+
+    const gate = Boolean(value & CONTROL.GATE);
+    if (!play) {
+      this.gate = gate;
+      return;
+    }
+
+    if (gate && !this.gate) {
+      this.playNote(this.frequency || 0, REGISTER_GATE_HOLD);
+    } else if (!gate && this.gate) {
+      this.release();
+    }
+    this.gate = gate;
+  }
+
+  /**
+   * Release the sounding note from where its envelope is
+   */
+  release() {
+    if (!this.activeGain) return;
+
+    const now = this.audioContext.currentTime;
+    const { release } = this.params.envelopeMode === 'modern' ? this.params : adsrToSeconds(this.params.adsr);
+
+    try {
+      const gain = this.activeGain.gain;
+      if (gain.cancelAndHoldAtTime) {
+        gain.cancelAndHoldAtTime(now);
+      } else {
+        gain.cancelScheduledValues(now);
+      }
+      gain.setTargetAtTime(0, now, release / 5);
+      this.activeOsc.stop(now + release + 0.1);
+    } catch (e) {
+      // Ignore if already stopped
+    }
   }
 
   /**
@@ -220,12 +1062,19 @@ class SIDVoice {
    */
   setParam(param, value) {
     if (param in this.params) {
-      this.params[param] = value;
+      this.params[param] = param === 'waveform' ? normalizeWaveform(value) : value;
+    }
+
+    // Pulse width can change while a note is sounding (a sweep picks the
+    // new start width up on the next note)
+    if (param === 'pulseWidth' && this.activeOsc?.pulseWidth && !isPWMActive(this.params.pwm)) {
+      this.activeOsc.pulseWidth.setValueAtTime(value, this.audioContext.currentTime);
     }
   }
 }
 
-// Note frequency helper
+// Ideal equal-tempered note frequencies (A440); noteToFrequency gives the
+// frequency the chip actually plays
 export const NOTE_FREQUENCIES = {
   'C': [16.35, 32.70, 65.41, 130.81, 261.63, 523.25, 1046.50, 2093.00],
   'C#': [17.32, 34.65, 69.30, 138.59, 277.18, 554.37, 1108.73, 2217.46],
@@ -244,17 +1093,19 @@ export const NOTE_FREQUENCIES = {
 /**
  * Convert note name to frequency
  * @param {string} note - e.g., 'C4', 'A#3'
+ * @param {Object} settings - { clock, tuning } (default PAL, A440)
  */
-export function noteToFrequency(note) {
+export function noteToFrequency(note, settings = {}) {
   const match = note.match(/^([A-G]#?)(\d)$/);
-  if (!match) return 440; // Default to A4
+  if (!match) return noteFrequency(69, settings); // Default to A4
 
   const [, name, octave] = match;
   const octaveNum = parseInt(octave, 10);
 
   if (NOTE_FREQUENCIES[name] && octaveNum >= 0 && octaveNum <= 7) {
-    return NOTE_FREQUENCIES[name][octaveNum];
+    const midi = (octaveNum + 1) * 12 + Object.keys(NOTE_FREQUENCIES).indexOf(name);
+    return noteFrequency(midi, settings);
   }
 
-  return 440;
+  return noteFrequency(69, settings);
 }
@@ -0,0 +1,145 @@
+/**
+ * SID Processor - AudioWorklet wrapper around the SID core
+ * Receives timed events from SIDEngine over the port (live playback) or
+ * up front through processorOptions (offline export)
+ */
+
+import { SIDCore } from './sid-core.js';
+
+class SIDProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { voices, filter, chipModel, tuning, mix, sends, events = [] } = options.processorOptions || {};
+    this.core = new SIDCore(sampleRate, { voices, filter, chipModel, tuning, mix, sends });
+
+    // Pending events sorted by frame
+    this.queue = [];
+    this.nextNoteId = 1;
+    this.disposed = false;
+
+    events.forEach(event => this.schedule(event));
+    this.port.onmessage = (e) => this.schedule(e.data);
+  }
+
+  /**
+   * Convert a context time (seconds) to a frame, defaulting to now
+   */
+  toFrame(time) {
+    return time === undefined ? currentFrame : Math.round(time * sampleRate);
+  }
+
+  /**
+   * Queue an event from SIDEngine / AudioExporter
+   */
+  schedule(event) {
+    switch (event.type) {
+      case 'noteOn': {
+        const noteId = this.nextNoteId++;
+        const frame = this.toFrame(event.time);
+        this.enqueue({ ...event, frame, noteId });
+        if (event.duration !== undefined) {
+          const offFrame = this.toFrame((event.time ?? currentTime) + event.duration);
+          this.enqueue({ type: 'noteOff', voice: event.voice, frame: offFrame, noteId });
+        }
+        break;
+      }
+      case 'stop':
+        // Drop anything still pending for this voice
+        this.queue = this.queue.filter(queued => queued.voice !== event.voice);
+        this.core.stopVoice(event.voice);
+        break;
+      case 'stopAll':
+        this.queue = [];
+        this.core.stopAll();
+        break;
+      case 'dispose':
+        // Chip removed: let the node be collected
+        this.queue = [];
+        this.disposed = true;
+        break;
+      default:
+        this.enqueue({ ...event, frame: this.toFrame(event.time) });
+    }
+  }
+
+  enqueue(event) {
+    // Insert after any events at the same frame to keep arrival order
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].frame > event.frame) index--;
+    this.queue.splice(index, 0, event);
+  }
+
+  /**
+   * Apply a queued event to the core
+   */
+  apply(event) {
+    switch (event.type) {
+      case 'noteOn':
+        this.core.noteOn(event.voice, event.frequency, event.noteId, event.effects ?? null);
+        break;
+      case 'noteOff':
+        this.core.noteOff(event.voice, event.noteId ?? null);
+        break;
+      case 'voiceParam':
+        this.core.setVoiceParam(event.voice, event.param, event.value);
+        break;
+      case 'filterParam':
+        this.core.setFilterParam(event.param, event.value);
+        break;
+      case 'chipModel':
+        this.core.setChipModel(event.value);
+        break;
+      case 'tuning':
+        this.core.setTuning(event.value);
+        break;
+      case 'sweepTime':
+        this.core.setSweepTime(event.value);
+        break;
+      case 'frequency':
+        this.core.setFrequency(event.voice, event.value);
+        break;
+      case 'control':
+        this.core.writeControl(event.voice, event.value);
+        break;
+      case 'volume':
+        this.core.setVolume(event.value);
+        break;
+      case 'voiceMix':
+        this.core.setVoiceMix(event.voice, event);
+        break;
+      case 'voiceSends':
+        this.core.setVoiceSends(event.voice, event);
+        break;
+    }
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    const left = output[0];
+    const right = output[1] || null;
+    // Second output: one channel per effect send (see effects.js)
+    const sends = outputs[1]?.length ? outputs[1] : null;
+    const blockEnd = currentFrame + left.length;
+    let position = 0;
+
+    // Render up to each event so it lands on its exact frame
+    while (this.queue.length && this.queue[0].frame < blockEnd) {
+      const event = this.queue.shift();
+      const offset = Math.max(0, event.frame - currentFrame);
+      if (offset > position) {
+        this.core.render(left, right, position, offset - position, sends);
+        position = offset;
+      }
+      this.apply(event);
+    }
+
+    if (position < left.length) {
+      this.core.render(left, right, position, left.length - position, sends);
+    }
+
+    return !this.disposed;
+  }
+}
+
+registerProcessor('sid-processor', SIDProcessor);
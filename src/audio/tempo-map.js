@@ -0,0 +1,124 @@
+/**
+ * Tempo Map - Tempo changes and ramps at bar boundaries
+ * The project tempo plays from the start; each point sets a new tempo from
+ * the start of its bar. A ramp point gets there gradually instead, with the
+ * tempo rising or falling steadily from the previous point (accelerando,
+ * ritardando). Tempos are quarter notes per minute, whatever the meter's
+ * step resolution. Shared by live playback (Transport) and offline rendering
+ * (AudioExporter), which both turn steps into seconds through the segments
+ *
+ * Data: [{ bar: 1-based, bpm: 60-200, ramp: boolean }] (empty = one tempo)
+ */
+
+import { createMeter, barStart, stepsPerQuarter } from './meter.js';
+
+export const MIN_BPM = 60;
+export const MAX_BPM = 200;
+
+/**
+ * Clamp a tempo to the range the transport plays
+ */
+export function clampBPM(bpm) {
+  return Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
+}
+
+/**
+ * Fit a saved tempo map: one point per bar, in bar order
+ * (projects from before the tempo map have none)
+ */
+export function normalizeTempoMap(data) {
+  const points = new Map();
+  (Array.isArray(data) ? data : []).forEach(point => {
+    const bar = Math.round(point?.bar);
+    if (!(bar >= 1) || !Number.isFinite(point.bpm)) return;
+    points.set(bar, { bar, bpm: clampBPM(point.bpm), ramp: Boolean(point.ramp) });
+  });
+  return [...points.values()].sort((a, b) => a.bar - b.bar);
+}
+
+/**
+ * Split a tempo map into segments of a steady or steadily changing tempo
+ * @param {number} bpm - project tempo (before the first point)
+ * @param {Array} tempoMap
+ * @param {Object} meter - where bars start and how long a step is (see meter.js)
+ * @returns {Array<{ step: number, time: number, bpm: number, endBpm: number, steps: number, scale: number }>}
+ *   the last segment runs forever
+ */
+export function tempoSegments(bpm, tempoMap, meter = createMeter()) {
+  const segments = [];
+  const scale = 60 / stepsPerQuarter(meter); // a step lasts scale / bpm seconds
+  let step = 0;
+  let current = clampBPM(bpm);
+
+  normalizeTempoMap(tempoMap).forEach(point => {
+    const start = barStart(meter, point.bar);
+    if (start > step) {
+      segments.push({ step, bpm: current, endBpm: point.ramp ? point.bpm : current, steps: start - step, scale });
+      step = start;
+    }
+    current = point.bpm;
+  });
+  segments.push({ step, bpm: current, endBpm: current, steps: Infinity, scale });
+
+  let time = 0;
+  segments.forEach(segment => {
+    segment.time = time;
+    if (segment.steps !== Infinity) time += segmentTime(segment, segment.steps);
+  });
+
+  return segments;
+}
+
+/**
+ * Seconds from the start to a (fractional) step
+ */
+export function stepToTime(segments, step) {
+  const segment = segmentAtStep(segments, step);
+  return segment.time + segmentTime(segment, step - segment.step);
+}
+
+/**
+ * (Fractional) step playing at a time in seconds
+ */
+export function timeToStep(segments, time) {
+  let segment = segments[0];
+  for (const next of segments) {
+    if (next.time > time) break;
+    segment = next;
+  }
+
+  const elapsed = time - segment.time;
+  const slope = tempoSlope(segment);
+  if (!slope) return segment.step + (elapsed * segment.bpm) / segment.scale;
+  return segment.step + (segment.bpm / slope) * (Math.exp((elapsed * slope) / segment.scale) - 1);
+}
+
+/**
+ * Tempo at a (fractional) step
+ */
+export function tempoAt(segments, step) {
+  const segment = segmentAtStep(segments, step);
+  return segment.bpm + tempoSlope(segment) * (step - segment.step);
+}
+
+function segmentAtStep(segments, step) {
+  let segment = segments[0];
+  for (const next of segments) {
+    if (next.step > step) break;
+    segment = next;
+  }
+  return segment;
+}
+
+// BPM change per step (0 for a steady tempo)
+function tempoSlope(segment) {
+  return segment.steps === Infinity ? 0 : (segment.endBpm - segment.bpm) / segment.steps;
+}
+
+// Seconds from a segment's start to a step offset in it. A step lasts
+// scale / bpm seconds, so under a ramp the time is the integral of that
+function segmentTime(segment, steps) {
+  const slope = tempoSlope(segment);
+  if (!slope) return (steps * segment.scale) / segment.bpm;
+  return (segment.scale / slope) * Math.log((segment.bpm + slope * steps) / segment.bpm);
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTempoMap, tempoSegments, stepToTime, timeToStep, tempoAt } from './tempo-map.js';
+
+describe('normalizeTempoMap', () => {
+  it('keeps one clamped point per bar, in bar order', () => {
+    expect(normalizeTempoMap([
+      { bar: 3, bpm: 300, ramp: 1 },
+      { bar: 2, bpm: 100 },
+      { bar: 2, bpm: 90 },
+      { bar: 0, bpm: 120 },
+      { bar: 4, bpm: 'fast' }
+    ])).toEqual([
+      { bar: 2, bpm: 90, ramp: false },
+      { bar: 3, bpm: 200, ramp: true }
+    ]);
+    expect(normalizeTempoMap(undefined)).toEqual([]);
+  });
+});
+
+describe('tempo segments', () => {
+  it('plays a 16th at 120 BPM in an eighth of a second', () => {
+    const segments = tempoSegments(120, []);
+    expect(stepToTime(segments, 16)).toBe(2);
+    expect(timeToStep(segments, 2)).toBe(16);
+  });
+
+  it('changes tempo at the start of a point\'s bar', () => {
+    const segments = tempoSegments(120, [{ bar: 2, bpm: 60 }]);
+    expect(tempoAt(segments, 15)).toBe(120);
+    expect(tempoAt(segments, 16)).toBe(60);
+    expect(stepToTime(segments, 20)).toBe(2 + 4 * 0.25);
+  });
+
+  it('ramps steadily from the previous point', () => {
+    const segments = tempoSegments(100, [{ bar: 2, bpm: 100 }, { bar: 3, bpm: 140, ramp: true }]);
+    expect(tempoAt(segments, 24)).toBe(120);
+    expect(tempoAt(segments, 32)).toBe(140);
+    expect(tempoAt(segments, 40)).toBe(140);
+  });
+
+  it('round trips steps and seconds through ramps', () => {
+    const segments = tempoSegments(90, [{ bar: 2, bpm: 180, ramp: true }, { bar: 4, bpm: 70, ramp: true }]);
+    [0, 5.5, 16, 23.25, 40, 48, 60].forEach(step => {
+      expect(timeToStep(segments, stepToTime(segments, step))).toBeCloseTo(step);
+    });
+    // Speeding up: bar 1 plays faster than it would at its starting tempo
+    expect(stepToTime(segments, 16)).toBeLessThan(16 * 60 / 90 / 4);
+  });
+});
@@ -3,6 +3,13 @@
  * Handles play/stop, BPM, loop regions, and sequencer scheduling
  */
 
+import { automationAt } from './automation.js';
+import { chipOfVoice } from './sid-core.js';
+import { resolveGroove, grooveOffset } from './groove.js';
+import { clampBPM, normalizeTempoMap, tempoSegments, stepToTime, timeToStep, tempoAt } from './tempo-map.js';
+import { normalizeMeter, barStart, barAt, signatureAt, stepsPerBeat } from './meter.js';
+import { createMetronome, loadMetronomeSettings, saveMetronomeSettings, normalizeMetronome } from './metronome.js';
+
 export class Transport {
   constructor(engine, state) {
     this.engine = engine;
@@ -10,16 +17,44 @@ export class Transport {
 
     this.isPlaying = false;
     this.bpm = state.bpm || 120;
+    this.engine.setTempo(this.bpm);
+
+    // Time signatures and step resolution (per project): where bars start
+    this.meter = normalizeMeter(state.meter);
+
+    // Tempo changes and ramps (per project); the segments turn steps into seconds
+    this.tempoMap = [];
+    this.tempo = tempoSegments(this.bpm, this.tempoMap, this.meter);
+    this.effectsTempo = null; // Last tempo sent to the delay while playing
+
     this.currentBeat = 0;
     this.loopStart = 1;
     this.loopEnd = 4;
 
+    // Swing and per-step offsets (per project)
+    this.groove = resolveGroove(state.groove);
+
+    // Click track and count-in (the player's settings, kept between sessions)
+    this.metronomeSettings = loadMetronomeSettings();
+    this.metronome = null; // Created with the first click (see clickTrack)
+
+    // Filter automation lanes (set by the sequencer)
+    this.automation = null;
+
+    // Notes starting on a beat (set by the sequencer):
+    // (beat, gridTime) => [{ voice, midi, duration, effects }]
+    this.notesAt = null;
+
     // Timing
     this.schedulerInterval = null;
     this.nextBeatTime = 0;
     this.scheduleAheadTime = 0.1; // seconds
     this.lookAhead = 25; // ms
 
+    // Scheduled beats waiting for their time to reach the UI
+    this.beatQueue = [];
+    this.animationFrame = null;
+
     // Callbacks
     this.onBeat = null;
     this.onStop = null;
@@ -32,11 +67,21 @@ export class Transport {
     if (this.isPlaying) return;
 
     this.isPlaying = true;
-    this.currentBeat = (this.loopStart - 1) * 16; // Convert bars to 16th notes
+    this.currentBeat = barStart(this.meter, this.loopStart); // Convert bars to steps
     this.nextBeatTime = this.engine.currentTime;
+    this.effectsTempo = null;
+
+    // Count-in bars click before the first beat
+    if (this.metronomeSettings.countIn) {
+      this.nextBeatTime = this.scheduleCountIn(this.nextBeatTime);
+    }
+
+    // Free-running pulse-width sweeps count from the start of the song
+    this.engine.startSweeps(this.nextBeatTime, this.beatToTime(this.currentBeat));
 
     // Start scheduler
     this.schedulerInterval = setInterval(() => this.scheduler(), this.lookAhead);
+    this.animationFrame = requestAnimationFrame(() => this.draw());
 
     console.log('[Transport] Playing');
   }
@@ -54,11 +99,23 @@ export class Transport {
       this.schedulerInterval = null;
     }
 
-    // Stop all voices
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+    this.beatQueue = [];
+
+    // Drop clicks still to come (a count-in can be bars ahead)
+    this.metronome?.stop();
+
+    // Stop all voices and put the filter and delay back where automation
+    // and the tempo map found them
     this.engine.stopAll();
+    this.engine.resetFilter();
+    this.engine.setTempo(this.bpm);
 
     // Reset position
-    this.currentBeat = (this.loopStart - 1) * 16;
+    this.currentBeat = barStart(this.meter, this.loopStart);
 
     if (this.onStop) this.onStop();
 
@@ -72,38 +129,149 @@ export class Transport {
     const currentTime = this.engine.currentTime;
 
     // Schedule notes while we're within the look-ahead window
-    while (this.nextBeatTime < currentTime + this.scheduleAheadTime) {
-      this.scheduleBeat(this.currentBeat, this.nextBeatTime);
+    while (this.nextStepTime() < currentTime + this.scheduleAheadTime) {
+      this.scheduleClick(this.currentBeat, this.nextBeatTime); // On the grid, not swung
+      this.scheduleTempo(this.currentBeat, this.nextBeatTime);
+      this.scheduleBeat(this.currentBeat, this.nextStepTime());
       this.advanceBeat();
     }
   }
 
+  /**
+   * Time the next beat plays at, once the groove has moved it off the grid
+   */
+  nextStepTime() {
+    return this.nextBeatTime + grooveOffset(this.groove, this.currentBeat, this.meter) * this.stepDuration(this.currentBeat);
+  }
+
+  /**
+   * Seconds a beat lasts at the tempo map's tempo
+   */
+  stepDuration(beat) {
+    return this.beatToTime(beat + 1) - this.beatToTime(beat);
+  }
+
   /**
    * Schedule events for a specific beat
    */
   scheduleBeat(beat, time) {
-    // Trigger beat callback (for UI updates)
-    if (this.onBeat) {
-      // Use setTimeout to update UI at the right time
-      const delay = Math.max(0, (time - this.engine.currentTime) * 1000);
-      setTimeout(() => this.onBeat(beat), delay);
+    // Notes and filter automation land on the step's exact time
+    this.scheduleNotes(beat, time);
+    this.scheduleAutomation(beat, time);
+
+    // The UI catches up when the audio clock gets there (see draw)
+    this.beatQueue.push({ beat, time });
+  }
+
+  /**
+   * Keep the tempo-synced delay on the tempo map's tempo as a beat starts
+   */
+  scheduleTempo(beat, time) {
+    const bpm = tempoAt(this.tempo, beat);
+    if (bpm === this.effectsTempo) return;
+    this.effectsTempo = bpm;
+    this.engine.setTempo(bpm, time);
+  }
+
+  /**
+   * Start the notes of a step on the audio clock
+   */
+  scheduleNotes(beat, time) {
+    if (!this.notesAt) return;
+
+    this.notesAt(beat, step => this.beatToTime(step)).forEach(({ voice, midi, duration, effects }) => {
+      this.engine.playNote(voice, this.engine.noteFrequency(midi), duration, effects, time);
+    });
+  }
+
+  /**
+   * Schedule the filter automation points of a step
+   */
+  scheduleAutomation(beat, time) {
+    const steps = this.automation?.[0]?.cutoff.length;
+    if (!steps) return;
+
+    // Each lane writes its voice's chip
+    automationAt(this.automation, beat % steps).forEach(({ voice, param, value }) => {
+      this.engine.automateFilter(param, value, time, chipOfVoice(voice));
+    });
+  }
+
+  /**
+   * Click the metronome if a beat falls on a step (accented on the downbeat)
+   */
+  scheduleClick(beat, time) {
+    if (!this.metronomeSettings.enabled) return;
+    const metronome = this.clickTrack();
+    if (!metronome) return;
+
+    const { bar, step } = barAt(this.meter, beat);
+    const perBeat = stepsPerBeat(this.meter, signatureAt(this.meter, bar));
+    if (step % perBeat === 0) metronome.click(time, step === 0);
+  }
+
+  /**
+   * Click the count-in bars in the loop start's signature and tempo
+   * @param {number} time - context time the count-in starts at
+   * @returns {number} time playback starts at
+   */
+  scheduleCountIn(time) {
+    const metronome = this.clickTrack();
+    if (!metronome) return time;
+
+    const start = barStart(this.meter, this.loopStart);
+    const { steps } = barAt(this.meter, start);
+    const perBeat = stepsPerBeat(this.meter, signatureAt(this.meter, this.loopStart));
+    const stepDuration = this.stepDuration(start);
+    const countSteps = steps * this.metronomeSettings.countIn;
+
+    for (let step = 0; step < countSteps; step += perBeat) {
+      metronome.click(time + step * stepDuration, step % steps === 0);
+    }
+
+    return time + countSteps * stepDuration;
+  }
+
+  /**
+   * The metronome's click generator, once the audio context exists
+   */
+  clickTrack() {
+    if (!this.metronome && this.engine.audioContext) {
+      this.metronome = createMetronome(this.engine.audioContext, this.metronomeSettings.level);
+    }
+    return this.metronome;
+  }
+
+  /**
+   * Animation frame loop: report the latest beat the audio clock has reached
+   */
+  draw() {
+    const currentTime = this.engine.currentTime;
+    let beat = null;
+
+    while (this.beatQueue.length && this.beatQueue[0].time <= currentTime) {
+      beat = this.beatQueue.shift().beat;
     }
+
+    if (beat !== null && this.onBeat) this.onBeat(beat);
+
+    this.animationFrame = requestAnimationFrame(() => this.draw());
   }
 
   /**
    * Advance to the next beat
    */
   advanceBeat() {
-    // Calculate seconds per 16th note
-    const secondsPerBeat = 60.0 / this.bpm / 4; // 16th notes
-    this.nextBeatTime += secondsPerBeat;
+    // A step at the tempo map's tempo (looping back picks up the loop
+    // start's tempo)
+    this.nextBeatTime += this.stepDuration(this.currentBeat);
 
     // Advance beat counter
     this.currentBeat++;
 
-    // Loop handling
-    const loopEndBeat = this.loopEnd * 16;
-    const loopStartBeat = (this.loopStart - 1) * 16;
+    // Loop handling (the loop end bar plays to its bar line)
+    const loopEndBeat = barStart(this.meter, this.loopEnd + 1);
+    const loopStartBeat = barStart(this.meter, this.loopStart);
 
     if (this.currentBeat >= loopEndBeat) {
       this.currentBeat = loopStartBeat;
@@ -114,11 +282,56 @@ export class Transport {
    * Set BPM
    */
   setBPM(bpm) {
-    this.bpm = Math.max(60, Math.min(200, bpm));
+    this.bpm = clampBPM(bpm);
     this.state.bpm = this.bpm;
+    this.tempo = tempoSegments(this.bpm, this.tempoMap, this.meter);
+    this.engine.setTempo(this.bpm); // Tempo-synced delay
+    this.effectsTempo = null; // Playback puts it back on the tempo map next beat
     console.log(`[Transport] BPM set to ${this.bpm}`);
   }
 
+  /**
+   * Set the tempo map (tempo changes and ramps after the BPM)
+   * @param {Array} tempoMap - [{ bar, bpm, ramp }]
+   */
+  setTempoMap(tempoMap) {
+    this.tempoMap = normalizeTempoMap(tempoMap);
+    this.tempo = tempoSegments(this.bpm, this.tempoMap, this.meter);
+  }
+
+  /**
+   * Set the time signatures and step resolution
+   * @param {Object} meter - { resolution, signatures } (see meter.js)
+   */
+  setMeter(meter) {
+    this.meter = normalizeMeter(meter);
+    this.state.meter = this.meter;
+    this.tempo = tempoSegments(this.bpm, this.tempoMap, this.meter);
+  }
+
+  /**
+   * Set the groove
+   * @param {string|Object} groove - template name or a custom { swing, offsets } table
+   */
+  setGroove(groove) {
+    this.groove = resolveGroove(groove);
+    this.state.groove = groove;
+    console.log(`[Transport] Groove: ${this.groove.name} (${this.groove.swing}% swing)`);
+  }
+
+  /**
+   * Change metronome settings and keep them for next time
+   * @param {Object} settings - any of { enabled, level, countIn }
+   */
+  setMetronome(settings) {
+    this.metronomeSettings = normalizeMetronome({ ...this.metronomeSettings, ...settings });
+    this.metronome?.setLevel(this.metronomeSettings.level);
+    saveMetronomeSettings(this.metronomeSettings);
+
+    const { enabled, countIn } = this.metronomeSettings;
+    console.log(`[Transport] Metronome ${enabled ? 'on' : 'off'}, count-in ${countIn} bar(s)`);
+  }
+
   /**
    * Set loop start (in bars)
    */
@@ -139,24 +352,21 @@ export class Transport {
    * Get current position info
    */
   getPosition() {
-    const bar = Math.floor(this.currentBeat / 16) + 1;
-    const beat = (this.currentBeat % 16) + 1;
-    return { bar, beat, totalBeats: this.currentBeat };
+    const { bar, step } = barAt(this.meter, this.currentBeat);
+    return { bar, beat: step + 1, totalBeats: this.currentBeat };
   }
 
   /**
-   * Convert time to beat position
+   * Convert time to beat position (following the tempo map)
    */
   timeToBeat(seconds) {
-    const secondsPerBeat = 60.0 / this.bpm / 4;
-    return Math.floor(seconds / secondsPerBeat);
+    return Math.floor(timeToStep(this.tempo, seconds) + 1e-9);
   }
 
   /**
-   * Convert beat to time
+   * Convert beat to time (following the tempo map)
    */
   beatToTime(beat) {
-    const secondsPerBeat = 60.0 / this.bpm / 4;
-    return beat * secondsPerBeat;
+    return stepToTime(this.tempo, beat);
   }
 }
@@ -0,0 +1,94 @@
+/**
+ * Tuning - Note frequencies as the SID plays them
+ * The SID plays a 16-bit frequency word counted against the system clock
+ * (985248 Hz on PAL, 1022727 Hz on NTSC), so every note lands on the nearest
+ * word instead of its ideal frequency. A tuning picks the ideal frequencies
+ * first: equal temperament at A=440 or A=432, just intonation on C, or a
+ * custom table.
+ */
+
+import { frequencyFromWord, frequencyToWord } from './registers.js';
+import { PAL_CLOCK } from './envelope.js';
+
+export const CLOCKS = {
+  PAL: PAL_CLOCK,
+  NTSC: 1022727
+};
+
+export const DEFAULT_CLOCK = 'PAL';
+
+// 5-limit just intonation ratios for each semitone above C
+const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+// Tunings: A4 reference and each pitch class's offset in cents from equal
+// temperament, C first (null = equal). Custom tunings use the same shape.
+export const TUNINGS = {
+  equal: { label: 'A440', a4: 440, cents: null },
+  a432: { label: 'A432', a4: 432, cents: null },
+  just: { label: 'JUST', a4: 440, cents: JUST_RATIOS.map((ratio, i) => 1200 * Math.log2(ratio) - 100 * i) }
+};
+
+export const DEFAULT_TUNING = 'equal';
+
+/**
+ * System clock in Hz ('PAL' or 'NTSC'; unknown clocks act as PAL)
+ */
+export function clockRate(clock) {
+  return CLOCKS[clock] || CLOCKS[DEFAULT_CLOCK];
+}
+
+/**
+ * Tuning table for a tuning name or a custom { a4, cents } table
+ */
+export function resolveTuning(tuning) {
+  if (tuning && typeof tuning === 'object') return { ...TUNINGS.equal, ...tuning };
+  return TUNINGS[tuning] || TUNINGS[DEFAULT_TUNING];
+}
+
+/**
+ * Ideal frequency of a MIDI note in a tuning, before the chip rounds it
+ */
+export function idealFrequency(midi, tuning = DEFAULT_TUNING) {
+  const { a4, cents } = resolveTuning(tuning);
+  const offset = cents?.[((midi % 12) + 12) % 12] || 0;
+  return a4 * Math.pow(2, (midi - 69 + offset / 100) / 12);
+}
+
+/**
+ * Round a frequency to the nearest one the frequency register can play
+ */
+export function quantizeFrequency(frequency, clock = DEFAULT_CLOCK) {
+  const rate = clockRate(clock);
+  return frequencyFromWord(frequencyToWord(frequency, rate), rate);
+}
+
+/**
+ * Frequency the SID plays for a MIDI note
+ * @param {number} midi
+ * @param {Object} settings - { clock, tuning } (the project's settings)
+ */
+export function noteFrequency(midi, { clock = DEFAULT_CLOCK, tuning = DEFAULT_TUNING } = {}) {
+  return quantizeFrequency(idealFrequency(midi, tuning), clock);
+}
+
+/**
+ * MIDI note nearest a frequency in a tuning
+ */
+export function nearestNote(frequency, tuning = DEFAULT_TUNING) {
+  return Math.round(69 + 12 * Math.log2(frequency / resolveTuning(tuning).a4));
+}
+
+/**
+ * Frequency the SID plays for a note moved off its pitch: whole-semitone
+ * steps (program notes and arpeggios) land on the tuning's notes, bends
+ * (vibrato, glides and pitch envelopes) move smoothly from there, and the
+ * result is rounded to a frequency word like any note
+ * @param {number} frequency - the note's frequency
+ * @param {number} steps - whole semitones
+ * @param {number} bend - semitones, any fraction
+ * @param {Object} settings - { clock, tuning } (the project's settings)
+ */
+export function shiftFrequency(frequency, steps, bend, { clock = DEFAULT_CLOCK, tuning = DEFAULT_TUNING } = {}) {
+  const note = steps ? idealFrequency(nearestNote(frequency, tuning) + steps, tuning) : frequency;
+  return quantizeFrequency(note * Math.pow(2, bend / 12), clock);
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { CLOCKS, idealFrequency, noteFrequency, nearestNote, shiftFrequency } from './tuning.js';
+
+// Smallest frequency step a clock's frequency word can take
+const wordStep = clock => CLOCKS[clock] / 16777216;
+
+describe('noteFrequency', () => {
+  it('lands on the frequency word nearest the tuning\'s note', () => {
+    expect(Math.abs(noteFrequency(69) - 440)).toBeLessThan(wordStep('PAL') / 2);
+    expect(Math.abs(noteFrequency(69, { tuning: 'a432' }) - 432)).toBeLessThan(wordStep('PAL') / 2);
+    // The same note is a different word on NTSC
+    expect(noteFrequency(60, { clock: 'NTSC' })).not.toBe(noteFrequency(60));
+  });
+
+  it('tunes just intonation from C', () => {
+    expect(idealFrequency(64, 'just') / idealFrequency(60, 'just')).toBeCloseTo(5 / 4);
+    expect(idealFrequency(67, 'just') / idealFrequency(60, 'just')).toBeCloseTo(3 / 2);
+  });
+});
+
+describe('nearestNote', () => {
+  it('finds the note in its tuning', () => {
+    expect(nearestNote(noteFrequency(57))).toBe(57);
+    expect(nearestNote(432, 'a432')).toBe(69);
+    expect(nearestNote(450)).toBe(69);
+  });
+});
+
+describe('shiftFrequency', () => {
+  const settings = { clock: 'PAL', tuning: 'just' };
+
+  it('steps onto the tuning\'s notes', () => {
+    expect(shiftFrequency(noteFrequency(60, settings), 4, 0, settings)).toBe(noteFrequency(64, settings));
+  });
+
+  it('bends smoothly from there and rounds to a word', () => {
+    const shifted = shiftFrequency(noteFrequency(60, settings), 12, 0.5, settings);
+    expect(shifted / idealFrequency(72, 'just')).toBeCloseTo(Math.pow(2, 0.5 / 12), 4);
+    expect(Math.abs(shifted - noteFrequency(72, settings) * Math.pow(2, 0.5 / 12))).toBeLessThan(wordStep('PAL'));
+  });
+
+  it('leaves an unshifted note alone', () => {
+    expect(shiftFrequency(noteFrequency(60), 0, 0)).toBe(noteFrequency(60));
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Waveforms - SID waveform selection and combined-waveform tables
+ * A voice's waveform is a set of flags; several at once give the chip's
+ * AND-ed "combined waveform" timbres
+ */
+
+export const WAVEFORMS = ['triangle', 'sawtooth', 'pulse', 'noise'];
+
+// Control register bit order ($D404 bits 4-7)
+const WAVEFORM_BITS = {
+  triangle: 1,
+  sawtooth: 2,
+  pulse: 4,
+  noise: 8
+};
+
+/**
+ * Normalize a stored waveform to an array of flags
+ * Old projects store a single string ('pulse'), new ones an array
+ * @param {string|string[]} waveform
+ * @returns {string[]}
+ */
+export function normalizeWaveform(waveform) {
+  const list = Array.isArray(waveform) ? waveform : [waveform];
+  const valid = WAVEFORMS.filter(wave => list.includes(wave));
+  return valid.length ? valid : ['pulse'];
+}
+
+/**
+ * Waveform flags as control register bits (tri=1, saw=2, pulse=4, noise=8)
+ */
+export function waveformToBits(waveform) {
+  return normalizeWaveform(waveform).reduce((bits, wave) => bits | WAVEFORM_BITS[wave], 0);
+}
+
+/**
+ * Waveform flags from control register bits
+ */
+export function bitsToWaveform(bits) {
+  return WAVEFORMS.filter(wave => bits & WAVEFORM_BITS[wave]);
+}
+
+/**
+ * 12-bit triangle for a 12-bit accumulator value
+ */
+export function triangleAt(index) {
+  return (((index & 0x800) ? ~index : index) << 1) & 0xfff;
+}
+
+/*
+ * Combined waveforms are not a clean digital AND: selecting several
+ * waveforms shorts their output transistors together, so a bit only stays
+ * high if enough of its neighbours are high too. Each bit is pulled down by
+ * its low neighbours (weighted by distance) and kept if what remains is over
+ * a threshold. The pulse bit adds a constant pull-up. Parameters approximate
+ * the measured behaviour of each chip: the 6581 pulls down hard (sparse,
+ * gritty), the 8580 stays closer to a plain AND.
+ */
+const COMBINED_MODELS = {
+  6581: {
+    3: { threshold: 0.78, pulseStrength: 0, distance: 1.7 },   // tri+saw
+    5: { threshold: 0.93, pulseStrength: 2.1, distance: 1.2 }, // pulse+tri
+    6: { threshold: 0.86, pulseStrength: 2.4, distance: 1.1 }, // pulse+saw
+    7: { threshold: 0.7, pulseStrength: 0.4, distance: 1.2 }   // pulse+tri+saw
+  },
+  8580: {
+    3: { threshold: 0.72, pulseStrength: 0, distance: 2.2 },
+    5: { threshold: 0.88, pulseStrength: 1.1, distance: 1.4 },
+    6: { threshold: 0.82, pulseStrength: 0.9, distance: 1.4 },
+    7: { threshold: 0.80, pulseStrength: 1.0, distance: 1.4 }
+  }
+};
+
+const combinedTables = {};
+
+/**
+ * Apply the pull-down model to an AND-ed 12-bit value
+ */
+function pullDown(value, { threshold, pulseStrength, distance }) {
+  let result = 0;
+
+  for (let bit = 0; bit < 12; bit++) {
+    if (!(value & (1 << bit))) continue;
+
+    let low = 0;
+    let total = 0;
+    for (let other = 0; other < 12; other++) {
+      if (other === bit) continue;
+      const weight = 1 / Math.pow(distance, Math.abs(bit - other));
+      if (!(value & (1 << other))) low += weight;
+      total += weight;
+    }
+
+    const level = 1 - (low - pulseStrength) / total;
+    if (level > threshold) result |= 1 << bit;
+  }
+
+  return result;
+}
+
+/**
+ * Get the combined-waveform table for a chip model and tri/saw/pulse bits
+ * Indexed by the top 12 bits of the accumulator; for combinations with pulse
+ * the value assumes the pulse is high (the caller gates it)
+ * @param {string} chipModel - '6581' or '8580'
+ * @param {number} bits - 3 (tri+saw), 5 (pulse+tri), 6 (pulse+saw) or 7 (all three)
+ * @returns {Uint16Array}
+ */
+export function getCombinedTable(chipModel, bits) {
+  const model = COMBINED_MODELS[chipModel] ? chipModel : '6581';
+  const key = `${model}:${bits}`;
+
+  if (!combinedTables[key]) {
+    const table = new Uint16Array(4096);
+    for (let index = 0; index < 4096; index++) {
+      let value = 0xfff;
+      if (bits & 1) value &= triangleAt(index);
+      if (bits & 2) value &= index;
+      table[index] = pullDown(value, COMBINED_MODELS[model][bits]);
+    }
+    combinedTables[key] = table;
+  }
+
+  return combinedTables[key];
+}
+
+/**
+ * 12-bit output of a waveform set for one accumulator position, without noise
+ * Used to build single-cycle waves for the node-graph engine
+ * @param {number} bits - waveform bits
+ * @param {number} index - top 12 bits of the accumulator
+ * @param {number} pulseWidth - duty cycle 0-1
+ * @param {string} chipModel
+ */
+export function waveformValue(bits, index, pulseWidth, chipModel = '6581') {
+  const pulseHigh = index < Math.round(pulseWidth * 4096);
+
+  switch (bits & 7) {
+    case 1:
+      return triangleAt(index);
+    case 2:
+      return index;
+    case 4:
+      return pulseHigh ? 0xfff : 0;
+    case 0:
+      return 0x800;
+    default: {
+      const value = getCombinedTable(chipModel, bits & 7)[index];
+      return (bits & 4) && !pulseHigh ? 0 : value;
+    }
+  }
+}
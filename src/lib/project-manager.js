@@ -3,15 +3,20 @@
  * Handles local storage with IndexedDB
  */
 
+import { resolveGroove, grooveTemplate } from '../audio/groove.js';
+import { createMeter } from '../audio/meter.js';
+
 const DB_NAME = 'sid-tune-maker';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'projects';
+const GROOVE_STORE = 'grooves'; // shared by every project (since version 2)
 
 export class ProjectManager {
   constructor(state) {
     this.state = state;
     this.db = null;
     this.currentProject = null;
+    this.grooves = [];
 
     this.initDB();
   }
@@ -44,6 +49,11 @@ export class ProjectManager {
           store.createIndex('updatedAt', 'updatedAt', { unique: false });
         }
 
+        // Saved grooves
+        if (!db.objectStoreNames.contains(GROOVE_STORE)) {
+          db.createObjectStore(GROOVE_STORE, { keyPath: 'id' });
+        }
+
         console.log('[ProjectManager] Database schema created');
       };
     });
@@ -57,24 +67,221 @@ export class ProjectManager {
       id: this.generateId(),
       name: 'Untitled',
       bpm: 120,
+      chipModel: '6581',
+      chipCount: 1,
+      chipPan: [0],
+      clock: 'PAL',
+      tuning: 'equal',
+      groove: 'straight',
+      meter: createMeter(),
+      tempoMap: [],
       voices: [
-        { waveform: 'pulse', pulseWidth: 0.5, attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.2 },
-        { waveform: 'sawtooth', pulseWidth: 0.5, attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.2 },
-        { waveform: 'triangle', pulseWidth: 0.5, attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.2 }
+        { waveform: ['pulse'], pulseWidth: 0.5, attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.2 },
+        { waveform: ['sawtooth'], pulseWidth: 0.5, attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.2 },
+        { waveform: ['triangle'], pulseWidth: 0.5, attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.2 }
       ],
       grid: Array(3).fill(null).map(() => Array(64).fill(null)),
-      filter: { type: 'lowpass', cutoff: 80, resonance: 20 },
+      filter: {
+        type: ['lowpass'],
+        cutoff: 80,
+        resonance: 20,
+        routing: [true, true, true],
+        voice3Off: false
+      },
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
 
     this.state.bpm = this.currentProject.bpm;
     this.state.project = this.currentProject;
+    this.applyChipModel(this.currentProject.chipModel);
+    this.applyChips(this.currentProject.chipCount, this.currentProject.chipPan).catch(error => {
+      console.error('[ProjectManager] Chip setup failed:', error);
+      const countSelect = document.getElementById('chip-count');
+      if (countSelect) countSelect.value = this.state.chipCount;
+    });
+    this.applyMixer(null);
+    this.applyEffects(null);
+    this.applyTuning(this.currentProject.clock, this.currentProject.tuning);
+    this.applyGroove(this.currentProject.groove);
+    this.applyMeter(this.currentProject.meter);
+    window.SIDTuneMaker?.sequencer?.loadTempoMap(this.currentProject.tempoMap);
 
     console.log('[ProjectManager] New project created');
     return this.currentProject;
   }
 
+  /**
+   * Set the project's chip model on the engine and the header selector
+   */
+  applyChipModel(chipModel) {
+    this.state.chipModel = chipModel;
+    window.SIDTuneMaker?.engine?.setChipModel(chipModel);
+
+    const chipSelect = document.getElementById('chip-model');
+    if (chipSelect) chipSelect.value = chipModel;
+  }
+
+  /**
+   * Set the project's number of SID chips and their stereo placement on the
+   * engine, the sequencer's tracks and the header selector
+   * @param {number} chipCount - 1, 2 or 3
+   * @param {number[]} chipPans - pan per chip (default spread when missing)
+   */
+  async applyChips(chipCount, chipPans) {
+    const engine = window.SIDTuneMaker?.engine;
+    if (engine) {
+      await engine.setChipCount(chipCount);
+      if (chipPans) engine.setChipPans(chipPans);
+      window.SIDTuneMaker.sequencer?.setVoiceCount(engine.voices.length);
+      window.SIDTuneMaker.sequencer?.updateVoiceControls();
+    }
+    this.state.chipCount = engine?.chipCount ?? chipCount;
+
+    const countSelect = document.getElementById('chip-count');
+    if (countSelect) countSelect.value = this.state.chipCount;
+
+    // A pan slider per chip in use
+    const pans = engine?.exportChipPans() ?? [];
+    document.querySelectorAll('.chip-pan').forEach(input => {
+      const chipIndex = parseInt(input.dataset.chip, 10);
+      input.classList.toggle('hidden', chipIndex >= pans.length);
+      if (chipIndex < pans.length) input.value = Math.round(pans[chipIndex] * 100);
+    });
+  }
+
+  /**
+   * Set the project's mixer on the engine, the track headers and the master
+   * slider (none resets every voice to full level, centred)
+   */
+  applyMixer(mixer) {
+    const engine = window.SIDTuneMaker?.engine;
+    if (!engine) return;
+    engine.loadMixer(mixer);
+    window.SIDTuneMaker.sequencer?.updateVoiceControls();
+
+    const masterInput = document.getElementById('master-level');
+    if (masterInput) masterInput.value = Math.round(engine.mixer.master * 100);
+  }
+
+  /**
+   * Set the project's effects bus and sends on the engine, the track headers
+   * and the header effect controls (none turns every send off)
+   */
+  applyEffects(effects) {
+    const engine = window.SIDTuneMaker?.engine;
+    if (!engine) return;
+    engine.loadEffects(effects);
+    window.SIDTuneMaker.sequencer?.updateVoiceControls();
+
+    const { reverb, delay, chorus } = engine.effects;
+    const values = {
+      'reverb-size': Math.round(reverb.size * 10),
+      'delay-division': delay.division,
+      'delay-feedback': Math.round(delay.feedback * 100),
+      'chorus-rate': Math.round(chorus.rate * 10)
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+  }
+
+  /**
+   * Set the project's clock and tuning on the engine and the header selectors
+   * @param {string} clock - 'PAL' or 'NTSC'
+   * @param {string|Object} tuning - tuning name or a custom { a4, cents } table
+   */
+  applyTuning(clock, tuning) {
+    this.state.clock = clock;
+    this.state.tuning = tuning;
+    window.SIDTuneMaker?.engine?.setClock(clock);
+    window.SIDTuneMaker?.engine?.setTuning(tuning);
+
+    const clockSelect = document.getElementById('clock');
+    if (clockSelect) clockSelect.value = clock;
+    const tuningSelect = document.getElementById('tuning');
+    if (tuningSelect && typeof tuning === 'string') tuningSelect.value = tuning;
+  }
+
+  /**
+   * Set the project's groove on the transport and the header controls
+   * @param {string|Object} groove - template name or a custom { swing, offsets } table
+   */
+  applyGroove(groove) {
+    this.state.groove = groove;
+    window.SIDTuneMaker?.transport?.setGroove(groove);
+
+    const { name, swing } = resolveGroove(groove);
+    const grooveSelect = document.getElementById('groove');
+    if (grooveSelect) {
+      const template = grooveTemplate(groove);
+      const custom = grooveSelect.querySelector('option[value="custom"]');
+      if (custom) custom.textContent = name;
+      grooveSelect.value = template ?? 'custom';
+    }
+    const swingInput = document.getElementById('swing');
+    if (swingInput) swingInput.value = swing;
+
+    // The tempo lane draws the offsets in groove mode
+    window.SIDTuneMaker?.sequencer?.renderTempoLane();
+  }
+
+  /**
+   * Set the project's time signatures and step resolution on the transport,
+   * the grid and the header selectors (none is 4/4 in 16ths)
+   * @param {Object|null} meter - { resolution, signatures } (see meter.js)
+   */
+  applyMeter(meter) {
+    const sequencer = window.SIDTuneMaker?.sequencer;
+    if (sequencer) {
+      sequencer.setMeter(meter);
+    } else {
+      window.SIDTuneMaker?.transport?.setMeter(meter);
+    }
+    this.state.meter = window.SIDTuneMaker?.transport?.meter ?? meter;
+  }
+
+  /**
+   * Save the current groove so other tunes can use it
+   */
+  async saveGroove(name) {
+    if (!this.db) await this.initDB();
+
+    const { swing, offsets } = resolveGroove(this.state.groove);
+    const groove = { id: `groove_${Date.now()}`, name, swing, offsets, createdAt: Date.now() };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([GROOVE_STORE], 'readwrite');
+      const request = transaction.objectStore(GROOVE_STORE).put(groove);
+
+      request.onsuccess = () => {
+        this.grooves.push(groove);
+        console.log('[ProjectManager] Groove saved:', name);
+        resolve(groove);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * List saved grooves, oldest first
+   */
+  async listGrooves() {
+    if (!this.db) await this.initDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([GROOVE_STORE], 'readonly');
+      const request = transaction.objectStore(GROOVE_STORE).getAll();
+
+      request.onsuccess = () => {
+        this.grooves = request.result.sort((a, b) => a.createdAt - b.createdAt);
+        resolve(this.grooves);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Save current project
    */
@@ -89,10 +296,28 @@ export class ProjectManager {
 
     // Collect current state
     this.currentProject.bpm = this.state.bpm;
+    this.currentProject.chipModel = this.state.chipModel;
+    this.currentProject.chipCount = this.state.chipCount;
+    this.currentProject.clock = this.state.clock;
+    this.currentProject.tuning = this.state.tuning;
+    this.currentProject.groove = this.state.groove;
+    this.currentProject.meter = this.state.meter;
 
     // Get grid data from sequencer (if available)
     if (window.SIDTuneMaker?.sequencer) {
       this.currentProject.grid = window.SIDTuneMaker.sequencer.export();
+      this.currentProject.automation = window.SIDTuneMaker.sequencer.exportAutomation();
+      this.currentProject.tempoMap = window.SIDTuneMaker.sequencer.exportTempoMap();
+    }
+
+    // Get voice parameters from engine (waveform, ADSR, ring mod, sync...)
+    if (window.SIDTuneMaker?.engine) {
+      this.currentProject.voices = window.SIDTuneMaker.engine.exportVoices();
+      this.currentProject.filter = window.SIDTuneMaker.engine.exportFilter();
+      this.currentProject.filters = window.SIDTuneMaker.engine.exportFilters();
+      this.currentProject.chipPan = window.SIDTuneMaker.engine.exportChipPans();
+      this.currentProject.mixer = window.SIDTuneMaker.engine.exportMixer();
+      this.currentProject.effects = window.SIDTuneMaker.engine.exportEffects();
     }
 
     // Save to IndexedDB
@@ -149,22 +374,61 @@ export class ProjectManager {
       const store = transaction.objectStore(STORE_NAME);
       const request = store.get(projectId);
 
-      request.onsuccess = () => {
-        const project = request.result;
-        if (project) {
-          this.currentProject = project;
-          this.state.project = project;
-          this.state.bpm = project.bpm;
-
-          // Load grid into sequencer
-          if (window.SIDTuneMaker?.sequencer) {
-            window.SIDTuneMaker.sequencer.load(project.grid);
+      request.onsuccess = async () => {
+        try {
+          const project = request.result;
+          if (project) {
+            this.currentProject = project;
+            this.state.project = project;
+            this.state.bpm = project.bpm;
+
+            // The transport keeps its own tempo (the delay follows it)
+            window.SIDTuneMaker?.transport?.setBPM(project.bpm);
+            const bpmInput = document.getElementById('bpm');
+            if (bpmInput) bpmInput.value = project.bpm;
+
+            // Chips first so the sequencer has a track for every voice
+            // (projects from before multi-SID have one)
+            await this.applyChips(project.chipCount || 1, project.chipPan);
+
+            // Bar lines before the grid draws (projects from before time
+            // signatures are 4/4 in 16ths)
+            this.applyMeter(project.meter);
+
+            // Load grid into sequencer
+            if (window.SIDTuneMaker?.sequencer) {
+              window.SIDTuneMaker.sequencer.load(project.grid);
+              window.SIDTuneMaker.sequencer.loadAutomation(project.automation);
+              window.SIDTuneMaker.sequencer.loadTempoMap(project.tempoMap);
+            }
+
+            // Restore voice parameters
+            if (window.SIDTuneMaker?.engine) {
+              window.SIDTuneMaker.engine.loadVoices(project.voices);
+              if (project.filters) {
+                window.SIDTuneMaker.engine.loadFilters(project.filters);
+              } else {
+                window.SIDTuneMaker.engine.loadFilter(project.filter);
+              }
+              window.SIDTuneMaker.sequencer?.updateVoiceControls();
+            }
+
+            // Projects from before the mixer play every voice at full level
+            this.applyMixer(project.mixer);
+            this.applyEffects(project.effects);
+
+            // Projects from before chip selection were made on the 6581
+            this.applyChipModel(project.chipModel || '6581');
+            this.applyTuning(project.clock || 'PAL', project.tuning || 'equal');
+            this.applyGroove(project.groove || 'straight');
+
+            console.log('[ProjectManager] Project loaded:', project.name);
+            resolve(project);
+          } else {
+            reject(new Error('Project not found'));
           }
-
-          console.log('[ProjectManager] Project loaded:', project.name);
-          resolve(project);
-        } else {
-          reject(new Error('Project not found'));
+        } catch (error) {
+          reject(error);
         }
       };
 
@@ -3,6 +3,9 @@
  * Loads tunes from public/tunes for visualization and learning
  */
 
+import { normalizeWaveform } from '../audio/waveforms.js';
+import { withEnvelopeMode } from '../audio/envelope.js';
+
 // Built-in tune manifest
 const BUILTIN_TUNES = [
   {
@@ -171,7 +174,10 @@ export class TuneLibrary {
   /**
    * Apply a loaded tune to the sequencer
    */
-  applyTune(tuneData) {
+  async applyTune(tuneData) {
+    // Chips first so every voice has a track (tunes without a count are 1SID)
+    await this.projectManager?.applyChips(tuneData.chipCount || 1, tuneData.chipPan);
+
     // Set BPM
     if (tuneData.bpm && this.projectManager?.state) {
       this.projectManager.state.bpm = tuneData.bpm;
@@ -187,26 +193,45 @@ export class TuneLibrary {
     // Set voice parameters
     if (tuneData.voices && this.engine) {
       tuneData.voices.forEach((voice, index) => {
-        if (index < 3) {
-          Object.entries(voice).forEach(([param, value]) => {
-            this.engine.setVoiceParam(index, param, value);
-          });
+        if (index < this.engine.voices.length) {
+          this.engine.setVoiceParams(index, withEnvelopeMode(voice));
 
           // Update UI waveform buttons
           const track = document.querySelector(`.voice-track[data-voice="${index}"]`) ||
                        document.querySelectorAll('.voice-track')[index];
           if (track) {
+            const waves = normalizeWaveform(voice.waveform);
             track.querySelectorAll('.wave-btn').forEach(btn => {
-              btn.classList.toggle('wave-btn--active', btn.dataset.wave === voice.waveform);
+              btn.classList.toggle('wave-btn--active', waves.includes(btn.dataset.wave));
             });
           }
         }
       });
+      this.sequencer?.updateVoiceControls();
+    }
+
+    // Set filter (mode, cutoff, resonance, routing)
+    if (tuneData.filters && this.engine) {
+      this.engine.loadFilters(tuneData.filters);
+    } else if (tuneData.filter && this.engine) {
+      this.engine.loadFilter(tuneData.filter);
     }
 
+    // Mixer (tunes without one play every voice at full level)
+    this.projectManager?.applyMixer(tuneData.mixer);
+    this.projectManager?.applyEffects(tuneData.effects);
+
+    // Groove (tunes without one play straight)
+    this.projectManager?.applyGroove(tuneData.groove || 'straight');
+
+    // Time signatures before the grid draws (tunes without one are 4/4)
+    this.projectManager?.applyMeter(tuneData.meter);
+
     // Load grid data
     if (tuneData.grid && this.sequencer) {
       this.sequencer.load(tuneData.grid);
+      this.sequencer.loadAutomation(tuneData.automation);
+      this.sequencer.loadTempoMap(tuneData.tempoMap);
     }
 
     // Update project manager
@@ -215,6 +240,8 @@ export class TuneLibrary {
       this.projectManager.currentProject.bpm = tuneData.bpm;
       this.projectManager.currentProject.voices = tuneData.voices;
       this.projectManager.currentProject.grid = tuneData.grid;
+      this.projectManager.currentProject.automation = tuneData.automation || null;
+      this.projectManager.currentProject.tempoMap = tuneData.tempoMap || [];
     }
 
     console.log('[TuneLibrary] Loaded tune:', tuneData.name);
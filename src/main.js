@@ -10,10 +10,17 @@ import { Transport } from './audio/transport.js';
 import { ProjectManager } from './lib/project-manager.js';
 import { LibraryModal } from './ui/library-modal.js';
 import { ExportModal } from './ui/export-modal.js';
+import { GROOVE_TEMPLATES } from './audio/groove.js';
 
 // App state
 const state = {
   bpm: 120,
+  chipModel: '6581',
+  chipCount: 1,
+  clock: 'PAL',
+  tuning: 'equal',
+  groove: 'straight',
+  meter: null, // 4/4 in 16ths until a project sets one
   isPlaying: false,
   project: null
 };
@@ -61,11 +68,16 @@ async function init() {
     exportModal = new ExportModal(projectManager, sequencer);
     console.log('[SID] Export modal ready');
 
+    // Export for debugging and cross-module access (before the first
+    // project, which reaches the other modules through it)
+    window.SIDTuneMaker = { state, engine, transport, sequencer, library, libraryModal, exportModal, projectManager };
+
     // Set up event listeners
     setupEventListeners();
 
     // Create default project
     projectManager.createNew();
+    updateSavedGrooves();
 
     // Hide loading screen
     hideLoading();
@@ -108,9 +120,120 @@ function setupEventListeners() {
     if (bpm >= 60 && bpm <= 200) {
       state.bpm = bpm;
       transport.setBPM(bpm);
+      sequencer.renderTempoLane(); // Tempo before the first change
+    }
+  });
+
+  // Groove (per project) - templates, saved grooves or a swing amount
+  document.getElementById('groove')?.addEventListener('change', async (e) => {
+    const value = e.target.value;
+    if (value === 'save') {
+      const name = prompt('Name this groove:', 'My Groove');
+      if (name) {
+        try {
+          await projectManager.saveGroove(name);
+          updateSavedGrooves();
+        } catch (error) {
+          console.error('[SID] Groove save failed:', error);
+          alert('Could not save the groove.');
+        }
+      }
+      projectManager.applyGroove(state.groove);
+      return;
+    }
+
+    const saved = projectManager.grooves.find(groove => groove.id === value);
+    if (saved) {
+      projectManager.applyGroove({ name: saved.name, swing: saved.swing, offsets: saved.offsets });
+    } else if (value !== 'custom') {
+      projectManager.applyGroove(value);
     }
   });
 
+  // Per-step offsets drawn on the tempo lane in groove mode
+  sequencer.onGrooveChange = groove => projectManager.applyGroove(groove);
+
+  document.getElementById('swing')?.addEventListener('change', (e) => {
+    // Keeps any per-step offsets; a plain swing amount lands on its template
+    const swing = parseInt(e.target.value, 10);
+    const current = transport.groove;
+    const template = Object.keys(GROOVE_TEMPLATES).find(name => GROOVE_TEMPLATES[name].swing === swing);
+    projectManager.applyGroove(!current.offsets && template ? template : { swing, offsets: current.offsets });
+  });
+
+  // Time signature and step resolution (per project) - the signature
+  // selector sets the first bar's; later sections are set on the tempo lane
+  document.getElementById('time-signature')?.addEventListener('change', (e) => {
+    const [numerator, denominator] = e.target.value.split('/').map(Number);
+    const { resolution, signatures } = transport.meter;
+    projectManager.applyMeter({
+      resolution,
+      signatures: [{ bar: 1, numerator, denominator }, ...signatures.slice(1)]
+    });
+  });
+
+  // A new resolution moves the notes to the same place in their bars
+  document.getElementById('resolution')?.addEventListener('change', (e) => {
+    if (!sequencer.setResolution(e.target.value)) e.target.value = transport.meter.resolution;
+  });
+
+  // Master level (per project)
+  document.getElementById('master-level')?.addEventListener('input', (e) => {
+    engine.setMasterLevel(parseInt(e.target.value, 10) / 100);
+  });
+
+  // Effects bus (per project) - voices send to it from their track headers
+  document.getElementById('reverb-size')?.addEventListener('change', (e) => {
+    engine.setEffectParam('reverb', 'size', parseInt(e.target.value, 10) / 10);
+  });
+
+  document.getElementById('delay-division')?.addEventListener('change', (e) => {
+    engine.setEffectParam('delay', 'division', e.target.value);
+  });
+
+  document.getElementById('delay-feedback')?.addEventListener('input', (e) => {
+    engine.setEffectParam('delay', 'feedback', parseInt(e.target.value, 10) / 100);
+  });
+
+  document.getElementById('chorus-rate')?.addEventListener('input', (e) => {
+    engine.setEffectParam('chorus', 'rate', parseInt(e.target.value, 10) / 10);
+  });
+
+  // Chip model (per project)
+  document.getElementById('chip-model')?.addEventListener('change', (e) => {
+    state.chipModel = e.target.value;
+    engine.setChipModel(e.target.value);
+  });
+
+  // Number of SID chips (per project) - 2SID/3SID add three voices each
+  document.getElementById('chip-count')?.addEventListener('change', async (e) => {
+    try {
+      await projectManager.applyChips(parseInt(e.target.value, 10));
+    } catch (error) {
+      console.error('[SID] Chip count change failed:', error);
+      alert('Could not change the number of chips.');
+      e.target.value = state.chipCount;
+    }
+  });
+
+  // Chip stereo placement (per project) - one slider per chip in use
+  document.querySelectorAll('.chip-pan').forEach(input => {
+    input.addEventListener('input', (e) => {
+      engine.setChipPan(parseInt(e.target.dataset.chip, 10), parseInt(e.target.value, 10) / 100);
+    });
+  });
+
+  // Clock and tuning (per project) - every note is rounded to a frequency word
+  document.getElementById('clock')?.addEventListener('change', (e) => {
+    state.clock = e.target.value;
+    engine.setClock(e.target.value);
+  });
+
+  document.getElementById('tuning')?.addEventListener('change', (e) => {
+    state.tuning = e.target.value;
+    engine.setTuning(e.target.value);
+  });
+
   // Project controls
   document.getElementById('btn-new')?.addEventListener('click', () => {
     if (confirm('Start a new project? Unsaved changes will be lost.')) {
@@ -129,6 +252,9 @@ function setupEventListeners() {
     await projectManager.save();
   });
 
+  // Metronome and count-in (the player's settings, not the project's)
+  setupMetronomeControls();
+
   // Loop region
   document.getElementById('loop-start')?.addEventListener('change', (e) => {
     transport.setLoopStart(parseInt(e.target.value, 10));
@@ -136,6 +262,7 @@ function setupEventListeners() {
 
   document.getElementById('loop-end')?.addEventListener('change', (e) => {
     transport.setLoopEnd(parseInt(e.target.value, 10));
+    sequencer.fitToMeter(); // The grid covers the whole loop
   });
 
   // Keyboard shortcuts
@@ -149,6 +276,54 @@ function setupEventListeners() {
   setupMobileToolbar();
 }
 
+/**
+ * Set up the metronome controls from the saved settings
+ */
+function setupMetronomeControls() {
+  const { enabled, level, countIn } = transport.metronomeSettings;
+
+  const clickBtn = document.getElementById('metronome');
+  clickBtn?.classList.toggle('metronome-btn--active', enabled);
+  clickBtn?.addEventListener('click', () => {
+    const on = !transport.metronomeSettings.enabled;
+    transport.setMetronome({ enabled: on });
+    clickBtn.classList.toggle('metronome-btn--active', on);
+  });
+
+  const levelInput = document.getElementById('metronome-level');
+  if (levelInput) levelInput.value = Math.round(level * 100);
+  levelInput?.addEventListener('change', (e) => {
+    transport.setMetronome({ level: parseInt(e.target.value, 10) / 100 });
+  });
+
+  const countInSelect = document.getElementById('count-in');
+  if (countInSelect) countInSelect.value = countIn;
+  countInSelect?.addEventListener('change', (e) => {
+    transport.setMetronome({ countIn: parseInt(e.target.value, 10) });
+  });
+}
+
+/**
+ * Fill the groove selector's saved grooves from the database
+ */
+async function updateSavedGrooves() {
+  const group = document.getElementById('saved-grooves');
+  if (!group) return;
+
+  try {
+    const grooves = await projectManager.listGrooves();
+    group.replaceChildren(...grooves.map(groove => {
+      const option = document.createElement('option');
+      option.value = groove.id;
+      option.textContent = groove.name;
+      return option;
+    }));
+    projectManager.applyGroove(state.groove);
+  } catch (error) {
+    console.warn('[SID] Saved grooves unavailable:', error);
+  }
+}
+
 /**
  * Set up mobile toolbar event listeners
  */
@@ -156,6 +331,7 @@ function setupMobileToolbar() {
   const libraryEl = document.getElementById('library');
   const selectBtn = document.getElementById('mobile-select');
   const rapidBtn = document.getElementById('mobile-rapid');
+  const fxBtn = document.getElementById('mobile-fx');
 
   // Sounds button - toggle sound library
   document.getElementById('mobile-sounds')?.addEventListener('click', () => {
@@ -171,10 +347,12 @@ function setupMobileToolbar() {
   selectBtn?.addEventListener('click', () => {
     sequencer.mobileSelectMode = !sequencer.mobileSelectMode;
     selectBtn.classList.toggle('mobile-btn--active', sequencer.mobileSelectMode);
-    // Turn off rapid mode if select is on
+    // Turn off the other modes if select is on
     if (sequencer.mobileSelectMode) {
       sequencer.mobileRapidMode = false;
       rapidBtn?.classList.remove('mobile-btn--active');
+      sequencer.mobileFxMode = false;
+      fxBtn?.classList.remove('mobile-btn--active');
     }
   });
 
@@ -182,10 +360,24 @@ function setupMobileToolbar() {
   rapidBtn?.addEventListener('click', () => {
     sequencer.mobileRapidMode = !sequencer.mobileRapidMode;
     rapidBtn.classList.toggle('mobile-btn--active', sequencer.mobileRapidMode);
-    // Turn off select mode if rapid is on
+    // Turn off the other modes if rapid is on
     if (sequencer.mobileRapidMode) {
       sequencer.mobileSelectMode = false;
       selectBtn?.classList.remove('mobile-btn--active');
+      sequencer.mobileFxMode = false;
+      fxBtn?.classList.remove('mobile-btn--active');
+    }
+  });
+
+  // Note effects mode toggle - tap a note to edit its effects
+  fxBtn?.addEventListener('click', () => {
+    sequencer.mobileFxMode = !sequencer.mobileFxMode;
+    fxBtn.classList.toggle('mobile-btn--active', sequencer.mobileFxMode);
+    if (sequencer.mobileFxMode) {
+      sequencer.mobileSelectMode = false;
+      selectBtn?.classList.remove('mobile-btn--active');
+      sequencer.mobileRapidMode = false;
+      rapidBtn?.classList.remove('mobile-btn--active');
     }
   });
 
@@ -305,6 +497,3 @@ if (document.readyState === 'loading') {
 } else {
   init();
 }
-
-// Export for debugging and cross-module access
-window.SIDTuneMaker = { state, engine, transport, sequencer, library, libraryModal, exportModal, projectManager };
@@ -92,22 +92,28 @@ export class ExportModal {
     // Get fresh grid data from sequencer
     if (this.sequencer) {
       project.grid = this.sequencer.export();
+      project.automation = this.sequencer.exportAutomation();
+      project.tempoMap = this.sequencer.exportTempoMap();
     }
 
-    // Get voice parameters from engine (already in proper units)
+    // Get voice and filter parameters from engine (already in proper units)
     if (window.SIDTuneMaker?.engine) {
-      const engine = window.SIDTuneMaker.engine;
-      project.voices = engine.voices.map(voice => ({
-        waveform: voice.params.waveform,
-        attack: voice.params.attack,    // seconds
-        decay: voice.params.decay,      // seconds
-        sustain: voice.params.sustain,  // 0-1 level
-        release: voice.params.release   // seconds
-      }));
+      project.voices = window.SIDTuneMaker.engine.exportVoices();
+      project.filter = window.SIDTuneMaker.engine.exportFilter();
+      project.filters = window.SIDTuneMaker.engine.exportFilters();
+      project.chipCount = window.SIDTuneMaker.engine.chipCount;
+      project.chipPan = window.SIDTuneMaker.engine.exportChipPans();
+      project.mixer = window.SIDTuneMaker.engine.exportMixer();
+      project.effects = window.SIDTuneMaker.engine.exportEffects();
+      project.chipModel = window.SIDTuneMaker.engine.chipModel;
+      project.clock = window.SIDTuneMaker.engine.clock;
+      project.tuning = window.SIDTuneMaker.engine.tuning;
     }
 
-    // Get BPM
+    // Get BPM, groove and meter
     project.bpm = this.projectManager.state?.bpm || 120;
+    project.groove = this.projectManager.state?.groove || 'straight';
+    project.meter = this.projectManager.state?.meter;
 
     return project;
   }
@@ -3,6 +3,9 @@
  * Manages saved tunes with load, save, delete capabilities
  */
 
+import { normalizeWaveform } from '../audio/waveforms.js';
+import { withEnvelopeMode } from '../audio/envelope.js';
+
 // Built-in example tunes
 const EXAMPLE_TUNES = [
   {
@@ -191,14 +194,17 @@ export class LibraryModal {
       }
 
       const tuneData = this.exampleTunesCache.get(id);
-      this.applyTune(tuneData);
+      await this.applyTune(tuneData);
       console.log('[LibraryModal] Example tune loaded:', tuneMeta.name);
     } catch (error) {
       console.error('[LibraryModal] Failed to load example:', error);
     }
   }
 
-  applyTune(tuneData) {
+  async applyTune(tuneData) {
+    // Chips first so every voice has a track (tunes without a count are 1SID)
+    await this.projectManager?.applyChips(tuneData.chipCount || 1, tuneData.chipPan);
+
     // Set BPM
     if (tuneData.bpm && this.projectManager?.state) {
       this.projectManager.state.bpm = tuneData.bpm;
@@ -213,25 +219,44 @@ export class LibraryModal {
     // Set voice parameters
     if (tuneData.voices && this.engine) {
       tuneData.voices.forEach((voice, index) => {
-        if (index < 3) {
-          Object.entries(voice).forEach(([param, value]) => {
-            this.engine.setVoiceParam(index, param, value);
-          });
+        if (index < this.engine.voices.length) {
+          this.engine.setVoiceParams(index, withEnvelopeMode(voice));
 
           // Update UI waveform buttons
           const track = document.querySelector(`.voice-track[data-voice="${index}"]`);
           if (track) {
+            const waves = normalizeWaveform(voice.waveform);
             track.querySelectorAll('.wave-btn').forEach(btn => {
-              btn.classList.toggle('wave-btn--active', btn.dataset.wave === voice.waveform);
+              btn.classList.toggle('wave-btn--active', waves.includes(btn.dataset.wave));
             });
           }
         }
       });
+      this.sequencer?.updateVoiceControls();
+    }
+
+    // Set filter (mode, cutoff, resonance, routing)
+    if (tuneData.filters && this.engine) {
+      this.engine.loadFilters(tuneData.filters);
+    } else if (tuneData.filter && this.engine) {
+      this.engine.loadFilter(tuneData.filter);
     }
 
+    // Mixer (tunes without one play every voice at full level)
+    this.projectManager?.applyMixer(tuneData.mixer);
+    this.projectManager?.applyEffects(tuneData.effects);
+
+    // Groove (tunes without one play straight)
+    this.projectManager?.applyGroove(tuneData.groove || 'straight');
+
+    // Time signatures before the grid draws (tunes without one are 4/4)
+    this.projectManager?.applyMeter(tuneData.meter);
+
     // Load grid
     if (tuneData.grid && this.sequencer) {
       this.sequencer.load(tuneData.grid);
+      this.sequencer.loadAutomation(tuneData.automation);
+      this.sequencer.loadTempoMap(tuneData.tempoMap);
     }
 
     // Update project manager
@@ -240,6 +265,8 @@ export class LibraryModal {
       this.projectManager.currentProject.bpm = tuneData.bpm;
       this.projectManager.currentProject.voices = tuneData.voices;
       this.projectManager.currentProject.grid = tuneData.grid;
+      this.projectManager.currentProject.automation = tuneData.automation || null;
+      this.projectManager.currentProject.tempoMap = tuneData.tempoMap || [];
     }
   }
 
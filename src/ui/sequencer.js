@@ -3,6 +3,45 @@
  * Each voice has its own piano roll with multiple pitch rows
  */
 
+import { normalizeWaveform } from '../audio/waveforms.js';
+import { convertEnvelope } from '../audio/envelope.js';
+import {
+  FILTER_LANES,
+  LANE_FILTER_TYPES,
+  createAutomation,
+  normalizeAutomation,
+  filterTypeLabel
+} from '../audio/automation.js';
+import {
+  ARP_CHORDS,
+  DEFAULT_ARPEGGIO,
+  DEFAULT_PITCH_ENVELOPE,
+  DEFAULT_PWM,
+  DEFAULT_VIBRATO,
+  hasNoteEffects,
+  neighbourMidi,
+  resolveNoteEffects
+} from '../audio/modulation.js';
+import { VOICES_PER_CHIP, MAX_CHIPS, chipOfVoice, normalizeFilterType } from '../audio/sid-core.js';
+import { MIN_BPM, MAX_BPM, normalizeTempoMap, tempoAt } from '../audio/tempo-map.js';
+import { isTriplet, grooveTemplate } from '../audio/groove.js';
+import {
+  TIME_SIGNATURES,
+  normalizeMeter,
+  signatureLabel,
+  barStart,
+  barAt,
+  wholeBars,
+  stepsPerQuarter
+} from '../audio/meter.js';
+
+// Tempo lane modes: what a click on a bar (or for the groove, a step) does
+const TEMPO_MODES = ['bpm', 'ramp', 'sig', 'groove'];
+const TEMPO_MODE_LABELS = { bpm: 'BPM', ramp: 'RMP', sig: 'SIG', groove: 'GRV' };
+
+// Lane selector labels
+const LANE_LABELS = { cutoff: 'CUT', resonance: 'RES', type: 'TYP' };
+
 // Note definitions for the piano roll (two octaves, proper chromatic scale)
 const NOTES = [
   { name: 'C5', midi: 72, black: false },
@@ -41,19 +80,32 @@ export class Sequencer {
     // Reference to sound library (set after construction)
     this.soundLibrary = null;
 
-    // Grid configuration
-    this.voices = 3;
+    // Grid configuration (3 voices per SID chip, see setVoiceCount)
+    this.voices = engine.voices.length || VOICES_PER_CHIP;
     this.cols = 64; // 4 bars of 16th notes (can be extended by loaded tunes)
     this.notes = NOTES;
     this.maxCols = 1024; // Support up to 64 bars for long-form pieces
 
-    // Grid data: [voice][noteIndex][step] = { length: n } or null
+    // Grid data: [voice][noteIndex][step] = { length: n, ...effects } or null
     // length = how many steps the note spans (1 = 16th, 2 = 8th, 4 = quarter, etc)
-    this.grid = Array(this.voices).fill(null).map(() =>
-      Array(this.notes.length).fill(null).map(() =>
-        Array(this.cols).fill(null)
-      )
-    );
+    // effects = optional vibrato, portamento, slide, bend (see modulation.js)
+    this.grid = Array(this.voices).fill(null).map(() => this.createVoiceGrid());
+
+    // Filter automation lanes: [voice] = { cutoff, resonance, type } per step
+    this.automation = createAutomation(this.voices, this.cols);
+    this.laneParams = Array(this.voices).fill('cutoff'); // Lane shown per voice
+    this.laneDrawVoice = null; // Voice whose lane is being drawn
+
+    // Notes and lanes of voices a smaller chip count hid, until it grows again
+    this.hiddenVoices = [];
+
+    // Tempo lane: [{ bar, bpm, ramp }] after the project BPM
+    this.tempoMap = [];
+    this.tempoMode = 'bpm'; // Click sets a bar's tempo, toggles its ramp or cycles its time signature
+    this.tempoDrawing = false;
+
+    // Groove offsets drawn on the tempo lane (set by main: applies the groove)
+    this.onGrooveChange = null;
 
     // For drawing notes by dragging
     this.isDrawing = false;
@@ -65,6 +117,11 @@ export class Sequencer {
     // Mobile mode toggles (controlled by toolbar buttons)
     this.mobileSelectMode = false;
     this.mobileRapidMode = false;
+    this.mobileFxMode = false; // Tap a note to edit its effects
+
+    // Note whose effects are being edited { voice, noteIndex, col }
+    this.fxNote = null;
+    this.fxEl = document.getElementById('note-fx');
 
     // Long-press for delete
     this.longPressTimer = null;
@@ -74,9 +131,12 @@ export class Sequencer {
     this.lastPlacedNote = null;
     this.lastPlacedTime = 0;
 
-    // DOM elements
+    // DOM elements (tracks for the voices of extra SID chips are added first)
+    this.createVoiceTracks();
     this.pianoKeyEls = document.querySelectorAll('.piano-keys');
     this.pianoGridEls = document.querySelectorAll('.piano-grid');
+    this.laneEls = document.querySelectorAll('.lane-steps');
+    this.tempoEl = document.getElementById('tempo-steps');
 
     // Current playback position
     this.currentStep = 0;
@@ -92,27 +152,126 @@ export class Sequencer {
     this.maxUndoHistory = 50;
 
     // Initialize
+    this.updateVoiceTracks();
     this.render();
     this.setupEvents();
+    this.setupLaneEvents();
+    this.setupTempoEvents();
+    this.setupNoteEffects();
     this.setupVoiceControls();
     this.setupKeyboardShortcuts();
     this.setupScrollSync();
 
     // Connect to transport
+    this.transport.automation = this.automation;
+    this.transport.notesAt = (beat, gridTime) => this.notesAt(beat, gridTime);
     this.transport.onBeat = (beat) => this.onBeat(beat);
     this.transport.onStop = () => this.onStop();
   }
 
+  /**
+   * Empty piano roll for one voice
+   */
+  createVoiceGrid() {
+    return Array(this.notes.length).fill(null).map(() =>
+      Array(this.cols).fill(null)
+    );
+  }
+
+  /**
+   * Add hidden tracks for the voices of a second and third SID chip, copied
+   * from the first track (labels and colours follow the voice's place on
+   * its chip)
+   */
+  createVoiceTracks() {
+    const template = document.querySelector('.voice-track[data-voice="0"]');
+    if (!template) return;
+
+    let last = document.querySelector(`.voice-track[data-voice="${VOICES_PER_CHIP - 1}"]`) || template;
+    for (let voice = VOICES_PER_CHIP; voice < MAX_CHIPS * VOICES_PER_CHIP; voice++) {
+      const track = template.cloneNode(true);
+      track.dataset.voice = voice;
+      track.querySelectorAll('[data-voice]').forEach(el => {
+        el.dataset.voice = voice;
+      });
+
+      const label = track.querySelector('.voice-track__label');
+      const source = document.querySelector(`.voice-track[data-voice="${voice % VOICES_PER_CHIP}"] .voice-track__label`);
+      if (label) {
+        label.textContent = `V${voice + 1}`;
+        label.style.color = source?.style.color || '';
+      }
+
+      track.classList.add('hidden');
+      last.after(track);
+      last = track;
+    }
+  }
+
+  /**
+   * Show the tracks of the voices in use
+   */
+  updateVoiceTracks() {
+    document.querySelectorAll('.voice-track').forEach(track => {
+      track.classList.toggle('hidden', parseInt(track.dataset.voice, 10) >= this.voices);
+    });
+    document.querySelector('.sequencer')?.classList.toggle('sequencer--multi', this.voices > VOICES_PER_CHIP);
+  }
+
+  /**
+   * Change the number of voices (3 per SID chip)
+   * Voices removed keep their notes and lanes, hidden, and get them back
+   * when the chip count grows again
+   */
+  setVoiceCount(count) {
+    if (count === this.voices) return;
+
+    for (let voice = count; voice < this.voices; voice++) {
+      this.hiddenVoices[voice] = {
+        grid: this.grid[voice],
+        lanes: this.automation[voice],
+        laneParam: this.laneParams[voice]
+      };
+    }
+
+    // Voices coming back into use
+    const shown = Array.from({ length: count }, (_, voice) => voice < this.voices ? null : this.hiddenVoices[voice]);
+    this.voices = count;
+    this.grid = Array.from({ length: count }, (_, voice) =>
+      this.grid[voice] || shown[voice]?.grid || this.createVoiceGrid());
+    this.laneParams = Array.from({ length: count }, (_, voice) =>
+      this.laneParams[voice] || shown[voice]?.laneParam || 'cutoff');
+    this.setAutomation(normalizeAutomation(
+      Array.from({ length: count }, (_, voice) => this.automation[voice] || shown[voice]?.lanes),
+      count,
+      this.cols
+    ));
+    shown.forEach((entry, voice) => {
+      if (entry) delete this.hiddenVoices[voice];
+    });
+    if (this.selection?.voice >= count) this.clearSelection();
+    if (this.fxNote?.voice >= count) this.closeNoteEffects();
+
+    this.updateVoiceTracks();
+    this.fitToMeter(); // Voices coming back may be longer or shorter (redraws)
+    console.log(`[Sequencer] ${count} voices`);
+  }
+
   /**
    * Save current grid state to undo history
    */
   saveToHistory() {
-    // Deep copy the grid
-    const snapshot = this.grid.map(voice =>
-      voice.map(noteRow =>
-        noteRow.map(cell => cell ? { ...cell } : null)
-      )
-    );
+    // Deep copy the grid, the automation lanes and the tempo lane
+    const snapshot = {
+      grid: this.grid.map(voice =>
+        voice.map(noteRow =>
+          noteRow.map(cell => cell ? { ...cell } : null)
+        )
+      ),
+      automation: normalizeAutomation(this.automation, this.voices, this.cols),
+      tempoMap: normalizeTempoMap(this.tempoMap),
+      meter: normalizeMeter(this.transport.meter)
+    };
     this.undoHistory.push(snapshot);
     // Limit history size
     if (this.undoHistory.length > this.maxUndoHistory) {
@@ -126,8 +285,12 @@ export class Sequencer {
   undo() {
     if (this.undoHistory.length === 0) return false;
     const previousState = this.undoHistory.pop();
-    this.grid = previousState;
-    this.render();
+    // Voices the snapshot doesn't have (the chip count grew since) stay as they are
+    this.grid = Array.from({ length: this.voices }, (_, voice) => previousState.grid[voice] || this.grid[voice]);
+    this.setAutomation(Array.from({ length: this.voices }, (_, voice) =>
+      previousState.automation[voice] || this.automation[voice]));
+    this.setTempoMap(previousState.tempoMap);
+    this.setMeter(previousState.meter); // Redraws the grid
     return true;
   }
 
@@ -148,6 +311,19 @@ export class Sequencer {
       keysEl.addEventListener('scroll', () => {
         gridEl.scrollTop = keysEl.scrollTop;
       });
+
+      // Automation lane follows the grid sideways
+      const laneEl = this.laneEls[voiceIndex];
+      if (laneEl) {
+        gridEl.addEventListener('scroll', () => {
+          laneEl.scrollLeft = gridEl.scrollLeft;
+        });
+      }
+
+      // So does the tempo lane, after whichever grid scrolled
+      gridEl.addEventListener('scroll', () => {
+        if (this.tempoEl) this.tempoEl.scrollLeft = gridEl.scrollLeft;
+      });
     });
   }
 
@@ -159,7 +335,9 @@ export class Sequencer {
     for (let voice = 0; voice < this.voices; voice++) {
       this.renderPianoKeys(voice);
       this.renderGrid(voice);
+      this.renderLane(voice);
     }
+    this.renderTempoLane();
   }
 
   /**
@@ -194,6 +372,7 @@ export class Sequencer {
     if (!gridEl) return;
 
     let html = '';
+    const barEnds = this.barEnds();
 
     // Create rows for each note
     for (let noteIndex = 0; noteIndex < this.notes.length; noteIndex++) {
@@ -203,7 +382,7 @@ export class Sequencer {
       // Create cells for each step
       for (let col = 0; col < this.cols; col++) {
         const cellData = this.grid[voice][noteIndex][col];
-        const isBar = (col + 1) % 16 === 0;
+        const isBar = barEnds.has(col);
 
         // Check if this cell is the start of a note
         const isNoteStart = cellData && cellData.length;
@@ -212,6 +391,7 @@ export class Sequencer {
 
         let cellClass = 'grid-cell';
         if (isNoteStart) cellClass += ' grid-cell--active grid-cell--note-start';
+        if (isNoteStart && hasNoteEffects(cellData)) cellClass += ' grid-cell--fx';
         if (isContinuation) cellClass += ' grid-cell--active grid-cell--note-cont';
         if (isBar) cellClass += ' grid-cell--bar';
 
@@ -230,6 +410,111 @@ export class Sequencer {
     gridEl.innerHTML = html;
   }
 
+  /**
+   * Render the automation lane shown under a voice's grid
+   */
+  renderLane(voice) {
+    const laneEl = this.laneEls[voice];
+    if (!laneEl) return;
+
+    let html = '';
+    const barEnds = this.barEnds();
+    for (let col = 0; col < this.cols; col++) {
+      const isBar = barEnds.has(col);
+      html += `<div class="lane-cell ${isBar ? 'lane-cell--bar' : ''}" data-voice="${voice}" data-col="${col}">` +
+        this.laneCellContent(voice, col) +
+        '</div>';
+    }
+    laneEl.innerHTML = html;
+
+    const button = document.querySelector(`.lane-btn[data-voice="${voice}"]`);
+    if (button) button.textContent = LANE_LABELS[this.laneParams[voice]];
+  }
+
+  /**
+   * Steps that end a bar (the grid's bar lines), in the transport's meter
+   */
+  barEnds() {
+    const ends = new Set();
+    const meter = this.transport.meter;
+    for (let bar = 2, end = barStart(meter, bar) - 1; end < this.cols; end = barStart(meter, ++bar) - 1) {
+      ends.add(end);
+    }
+    return ends;
+  }
+
+  /**
+   * Render the tempo lane: the tempo at every step, labelled where it or
+   * the time signature changes
+   */
+  renderTempoLane() {
+    if (!this.tempoEl) return;
+
+    let html = '';
+    const barEnds = this.barEnds();
+    for (let col = 0; col < this.cols; col++) {
+      const isBar = barEnds.has(col);
+      html += `<div class="lane-cell tempo-cell ${isBar ? 'lane-cell--bar' : ''}" data-col="${col}">` +
+        this.tempoCellContent(col) +
+        '</div>';
+    }
+    this.tempoEl.innerHTML = html;
+
+    const button = document.getElementById('tempo-mode');
+    if (button) button.textContent = TEMPO_MODE_LABELS[this.tempoMode];
+  }
+
+  /**
+   * Inner HTML of a tempo lane cell: a level bar for the tempo, plus on the
+   * first step of a bar its new time signature and tempo (/ for a ramp)
+   */
+  tempoCellContent(col) {
+    if (this.tempoMode === 'groove') return this.grooveCellContent(col);
+
+    const bpm = tempoAt(this.transport.tempo, col);
+    const height = ((bpm - MIN_BPM) / (MAX_BPM - MIN_BPM)) * 100;
+    const bar = barAt(this.transport.meter, col);
+    const changes = [];
+
+    if (bar.step === 0) {
+      const signature = this.transport.meter.signatures.find(entry => entry.bar === bar.bar);
+      const point = this.tempoMap.find(entry => entry.bar === bar.bar);
+      if (signature) changes.push(signatureLabel(signature));
+      if (point) changes.push(`${point.ramp ? '/' : ''}${point.bpm}`);
+    }
+
+    const label = changes.length ? `<span class="tempo-cell__label">${changes.join(' ')}</span>` : '';
+    return `<div class="lane-cell__bar" style="height: ${height}%"></div>${label}`;
+  }
+
+  /**
+   * Inner HTML of a tempo lane cell in groove mode: the step's offset from
+   * the groove table, up for later and down for earlier
+   */
+  grooveCellContent(col) {
+    const { offsets } = this.transport.groove;
+    const offset = offsets ? offsets[barAt(this.transport.meter, col).step % offsets.length] : 0;
+    if (!offset) return '';
+
+    const height = Math.abs(offset) * 100; // 0.5 steps fills half the cell
+    const edge = offset > 0 ? 'bottom' : 'top';
+    return `<div class="lane-cell__bar tempo-cell__offset" style="${edge}: 50%; height: ${height}%"></div>`;
+  }
+
+  /**
+   * Inner HTML of a lane cell: a level bar, or the filter type's label
+   */
+  laneCellContent(voice, col) {
+    const param = this.laneParams[voice];
+    const value = this.automation[voice][param][col];
+    if (value === null || value === undefined) return '';
+
+    if (param === 'type') {
+      return `<span class="lane-cell__type">${filterTypeLabel(value)}</span>`;
+    }
+    return `<div class="lane-cell__bar" style="height: ${value}%"></div>`;
+  }
+
   /**
    * Check if a cell is a continuation of a note started earlier
    */
@@ -260,10 +545,11 @@ export class Sequencer {
     const cellData = this.grid[voice][noteIndex][col];
 
     // Clear old classes
-    cell.classList.remove('grid-cell--active', 'grid-cell--note-start', 'grid-cell--note-cont');
+    cell.classList.remove('grid-cell--active', 'grid-cell--note-start', 'grid-cell--note-cont', 'grid-cell--fx');
 
     if (cellData && cellData.length) {
       cell.classList.add('grid-cell--active', 'grid-cell--note-start');
+      cell.classList.toggle('grid-cell--fx', hasNoteEffects(cellData));
     }
   }
 
@@ -278,7 +564,7 @@ export class Sequencer {
     for (let c = startCol; c < startCol + Math.max(newLength, oldLength); c++) {
       const cell = gridEl.querySelector(`.grid-cell[data-note="${noteIndex}"][data-col="${c}"]`);
       if (cell) {
-        cell.classList.remove('grid-cell--active', 'grid-cell--note-start', 'grid-cell--note-cont');
+        cell.classList.remove('grid-cell--active', 'grid-cell--note-start', 'grid-cell--note-cont', 'grid-cell--fx');
       }
     }
 
@@ -289,6 +575,7 @@ export class Sequencer {
         cell.classList.add('grid-cell--active');
         if (c === startCol) {
           cell.classList.add('grid-cell--note-start');
+          cell.classList.toggle('grid-cell--fx', hasNoteEffects(this.grid[voice][noteIndex][startCol]));
         } else {
           cell.classList.add('grid-cell--note-cont');
         }
@@ -373,6 +660,446 @@ export class Sequencer {
     });
   }
 
+  /**
+   * Set up drawing on the automation lanes
+   * Drag to draw cutoff/resonance levels, click to cycle a filter type,
+   * right-click to remove a point
+   */
+  setupLaneEvents() {
+    // Lane selector cycles cutoff -> resonance -> type
+    document.querySelectorAll('.lane-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const voice = parseInt(btn.dataset.voice, 10);
+        const next = (FILTER_LANES.indexOf(this.laneParams[voice]) + 1) % FILTER_LANES.length;
+        this.laneParams[voice] = FILTER_LANES[next];
+        this.renderLane(voice);
+      });
+    });
+
+    this.laneEls.forEach(laneEl => {
+      laneEl.addEventListener('mousedown', (e) => {
+        this.handleLaneDown(e.target, e.clientY);
+      });
+
+      laneEl.addEventListener('mousemove', (e) => {
+        this.handleLaneMove(e.target, e.clientY);
+      });
+
+      laneEl.addEventListener('touchstart', (e) => {
+        const touch = e.touches[0];
+        e.preventDefault();
+        this.handleLaneDown(document.elementFromPoint(touch.clientX, touch.clientY), touch.clientY);
+      }, { passive: false });
+
+      laneEl.addEventListener('touchmove', (e) => {
+        if (this.laneDrawVoice === null) return;
+        const touch = e.touches[0];
+        e.preventDefault();
+        this.handleLaneMove(document.elementFromPoint(touch.clientX, touch.clientY), touch.clientY);
+      }, { passive: false });
+
+      laneEl.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        const cell = e.target.closest('.lane-cell');
+        if (!cell) return;
+        this.saveToHistory();
+        this.setLanePoint(parseInt(cell.dataset.voice, 10), parseInt(cell.dataset.col, 10), null);
+      });
+    });
+
+    const endDraw = () => {
+      this.laneDrawVoice = null;
+    };
+    document.addEventListener('mouseup', endDraw);
+    document.addEventListener('touchend', endDraw);
+  }
+
+  /**
+   * Start drawing on a lane
+   */
+  handleLaneDown(target, clientY) {
+    const cell = target?.closest('.lane-cell');
+    if (!cell) return;
+
+    const voice = parseInt(cell.dataset.voice, 10);
+    const col = parseInt(cell.dataset.col, 10);
+    this.saveToHistory();
+
+    // Type points cycle through the filter types, then clear
+    if (this.laneParams[voice] === 'type') {
+      const current = filterTypeLabel(this.automation[voice].type[col]);
+      const index = LANE_FILTER_TYPES.findIndex(entry => entry.label === current);
+      const next = LANE_FILTER_TYPES[index + 1];
+      this.setLanePoint(voice, col, next ? [...next.type] : null);
+      return;
+    }
+
+    this.laneDrawVoice = voice;
+    this.setLanePoint(voice, col, this.laneValueAt(cell, clientY));
+  }
+
+  /**
+   * Continue drawing a level lane across steps
+   */
+  handleLaneMove(target, clientY) {
+    if (this.laneDrawVoice === null) return;
+
+    const cell = target?.closest('.lane-cell');
+    if (!cell || parseInt(cell.dataset.voice, 10) !== this.laneDrawVoice) return;
+
+    this.setLanePoint(this.laneDrawVoice, parseInt(cell.dataset.col, 10), this.laneValueAt(cell, clientY));
+  }
+
+  /**
+   * Level 0-100 from the pointer's height in a lane cell
+   */
+  laneValueAt(cell, clientY) {
+    const rect = cell.getBoundingClientRect();
+    const level = 1 - (clientY - rect.top) / rect.height;
+    return Math.round(Math.max(0, Math.min(1, level)) * 100);
+  }
+
+  /**
+   * Set up editing on the tempo lane
+   * Drag to set a bar's tempo (60-200 BPM from the bottom up), in ramp mode
+   * click to ramp into a bar's tempo, in signature mode click to cycle the
+   * time signature from a bar on, in groove mode drag to nudge steps early
+   * (down) or late (up); right-click removes a change
+   */
+  setupTempoEvents() {
+    if (!this.tempoEl) return;
+
+    document.getElementById('tempo-mode')?.addEventListener('click', () => {
+      this.tempoMode = TEMPO_MODES[(TEMPO_MODES.indexOf(this.tempoMode) + 1) % TEMPO_MODES.length];
+      this.renderTempoLane();
+    });
+
+    this.tempoEl.addEventListener('mousedown', (e) => {
+      this.handleTempoDown(e.target, e.clientY);
+    });
+
+    this.tempoEl.addEventListener('mousemove', (e) => {
+      if (this.tempoDrawing) this.handleTempoMove(e.target, e.clientY);
+    });
+
+    this.tempoEl.addEventListener('touchstart', (e) => {
+      const touch = e.touches[0];
+      e.preventDefault();
+      this.handleTempoDown(document.elementFromPoint(touch.clientX, touch.clientY), touch.clientY);
+    }, { passive: false });
+
+    this.tempoEl.addEventListener('touchmove', (e) => {
+      if (!this.tempoDrawing) return;
+      const touch = e.touches[0];
+      e.preventDefault();
+      this.handleTempoMove(document.elementFromPoint(touch.clientX, touch.clientY), touch.clientY);
+    }, { passive: false });
+
+    this.tempoEl.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      const cell = e.target.closest('.tempo-cell');
+      if (!cell) return;
+      if (this.tempoMode === 'groove') {
+        this.setGrooveOffset(parseInt(cell.dataset.col, 10), 0);
+        return;
+      }
+      this.saveToHistory();
+      const bar = this.barOfCol(parseInt(cell.dataset.col, 10));
+      if (this.tempoMode === 'sig') {
+        this.setSignature(bar, null);
+      } else {
+        this.setTempoMap(this.tempoMap.filter(point => point.bar !== bar));
+      }
+    });
+
+    const endDraw = () => {
+      this.tempoDrawing = false;
+    };
+    document.addEventListener('mouseup', endDraw);
+    document.addEventListener('touchend', endDraw);
+  }
+
+  /**
+   * Start editing the tempo lane
+   */
+  handleTempoDown(target, clientY) {
+    const cell = target?.closest('.tempo-cell');
+    if (!cell) return;
+
+    // The groove is the project's, outside the grid's undo (as the swing)
+    if (this.tempoMode === 'groove') {
+      this.tempoDrawing = true;
+      this.handleTempoMove(target, clientY);
+      return;
+    }
+
+    const bar = this.barOfCol(parseInt(cell.dataset.col, 10));
+    this.saveToHistory();
+
+    // Ramp mode toggles the ramp into a bar (adding a change at its tempo)
+    if (this.tempoMode === 'ramp') {
+      const point = this.tempoMap.find(entry => entry.bar === bar);
+      const bpm = point ? point.bpm : Math.round(tempoAt(this.transport.tempo, barStart(this.transport.meter, bar)));
+      this.setTempoPoint(bar, bpm, !point?.ramp);
+      return;
+    }
+
+    // Signature mode cycles the bar's signature, then clears it (bar 1
+    // always has one)
+    if (this.tempoMode === 'sig') {
+      const current = this.transport.meter.signatures.find(entry => entry.bar === bar);
+      const index = current
+        ? TIME_SIGNATURES.findIndex(entry => signatureLabel(entry) === signatureLabel(current))
+        : -1;
+      const next = TIME_SIGNATURES[index + 1] ?? (bar === 1 ? TIME_SIGNATURES[0] : null);
+      this.setSignature(bar, next);
+      return;
+    }
+
+    this.tempoDrawing = true;
+    this.handleTempoMove(target, clientY);
+  }
+
+  /**
+   * Set the tempo of the bar under the pointer from its height (or in
+   * groove mode the step's offset)
+   */
+  handleTempoMove(target, clientY) {
+    const cell = target?.closest('.tempo-cell');
+    if (!cell) return;
+
+    if (this.tempoMode === 'groove') {
+      this.setGrooveOffset(parseInt(cell.dataset.col, 10), (this.laneValueAt(cell, clientY) - 50) / 100);
+      return;
+    }
+
+    const bar = this.barOfCol(parseInt(cell.dataset.col, 10));
+    const level = this.laneValueAt(cell, clientY) / 100;
+    const point = this.tempoMap.find(entry => entry.bar === bar);
+    this.setTempoPoint(bar, Math.round(MIN_BPM + level * (MAX_BPM - MIN_BPM)), point?.ramp ?? false);
+  }
+
+  /**
+   * Bar (1-based) a step is in
+   */
+  barOfCol(col) {
+    return barAt(this.transport.meter, col).bar;
+  }
+
+  /**
+   * Set or clear (null) the time signature a section starts with at a bar
+   * @param {Object|null} signature - { numerator, denominator }
+   */
+  setSignature(bar, signature) {
+    const { resolution, signatures } = this.transport.meter;
+    const others = signatures.filter(entry => entry.bar !== bar);
+    this.setMeter({
+      resolution,
+      signatures: signature ? [...others, { bar, ...signature }] : others
+    });
+  }
+
+  /**
+   * Set the groove table's offset for the place in the bar a step is at
+   * (every bar shares the table); a table of zeros goes back to plain swing
+   * @param {number} offset - fraction of a step (-0.5-0.5, + later)
+   */
+  setGrooveOffset(col, offset) {
+    const groove = this.transport.groove;
+    const position = barAt(this.transport.meter, col);
+    const offsets = groove.offsets ? [...groove.offsets] : Array(position.steps).fill(0);
+    offsets[position.step % offsets.length] = offset;
+
+    const custom = {
+      name: grooveTemplate(this.state.groove) ? 'CUSTOM' : groove.name,
+      swing: groove.swing,
+      offsets: offsets.some(Boolean) ? offsets : null
+    };
+    if (this.onGrooveChange) this.onGrooveChange(grooveTemplate(custom) ?? custom);
+  }
+
+  /**
+   * Set a bar's tempo change
+   */
+  setTempoPoint(bar, bpm, ramp) {
+    this.setTempoMap([...this.tempoMap.filter(point => point.bar !== bar), { bar, bpm, ramp }]);
+  }
+
+  /**
+   * Set or clear (null) a point on the voice's shown lane
+   */
+  setLanePoint(voice, col, value) {
+    const param = this.laneParams[voice];
+    this.automation[voice][param][col] = value;
+
+    const cell = this.laneEls[voice]?.querySelector(`.lane-cell[data-col="${col}"]`);
+    if (cell) cell.innerHTML = this.laneCellContent(voice, col);
+  }
+
+  /**
+   * Note effects popover (Alt+click a note, or FX mode on mobile)
+   */
+  setupNoteEffects() {
+    if (!this.fxEl) return;
+
+    const fields = ['fx-vib-depth', 'fx-vib-speed', 'fx-vib-delay', 'fx-porta', 'fx-bend', 'fx-arp-speed'];
+    fields.forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => this.applyNoteEffects());
+    });
+    ['fx-slide', 'fx-arp-unit', 'fx-arp-dir'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.applyNoteEffects());
+    });
+
+    // Chord picker fills in the arpeggio notes; typed notes pick the matching chord
+    const chordSelect = document.getElementById('fx-arp-chord');
+    const offsetsInput = document.getElementById('fx-arp-offsets');
+    if (chordSelect) {
+      chordSelect.innerHTML = '<option value="">OFF</option>' +
+        ARP_CHORDS.map(chord => `<option value="${chord.name}">${chord.name.toUpperCase()}</option>`).join('') +
+        '<option value="custom">CUSTOM</option>';
+      chordSelect.addEventListener('change', () => {
+        const chord = ARP_CHORDS.find(entry => entry.name === chordSelect.value);
+        if (offsetsInput && chordSelect.value !== 'custom') {
+          offsetsInput.value = chord ? chord.offsets.join(' ') : '';
+        }
+        this.applyNoteEffects();
+      });
+    }
+    offsetsInput?.addEventListener('input', () => {
+      if (chordSelect) chordSelect.value = this.chordName(this.parseArpOffsets(offsetsInput.value));
+      this.applyNoteEffects();
+    });
+
+    document.getElementById('fx-clear')?.addEventListener('click', () => {
+      if (!this.fxNote) return;
+      const { voice, noteIndex, col } = this.fxNote;
+      const current = this.grid[voice][noteIndex][col];
+      if (current) {
+        this.grid[voice][noteIndex][col] = { length: current.length };
+        this.updateCellVisual(voice, noteIndex, col);
+      }
+      this.closeNoteEffects();
+    });
+
+    document.getElementById('fx-close')?.addEventListener('click', () => this.closeNoteEffects());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.fxNote) this.closeNoteEffects();
+    });
+  }
+
+  /**
+   * Show the effects popover for the note starting at a column
+   */
+  openNoteEffects(voice, noteIndex, col, cellEl) {
+    if (!this.fxEl) return;
+
+    this.saveToHistory();
+    this.fxNote = { voice, noteIndex, col };
+
+    const cellData = this.grid[voice][noteIndex][col];
+    const vibrato = { ...DEFAULT_VIBRATO, depth: 0, ...cellData.vibrato };
+    const setValue = (id, value) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    };
+    setValue('fx-vib-depth', vibrato.depth);
+    setValue('fx-vib-speed', vibrato.speed);
+    setValue('fx-vib-delay', vibrato.delay);
+    setValue('fx-porta', cellData.portamento || 0);
+    setValue('fx-bend', cellData.bend || 0);
+    const slide = document.getElementById('fx-slide');
+    if (slide) slide.checked = Boolean(cellData.slide);
+
+    const arpeggio = { ...DEFAULT_ARPEGGIO, offsets: [], ...cellData.arpeggio };
+    setValue('fx-arp-chord', this.chordName(arpeggio.offsets));
+    setValue('fx-arp-offsets', arpeggio.offsets.join(' '));
+    setValue('fx-arp-speed', arpeggio.speed);
+    setValue('fx-arp-unit', arpeggio.unit);
+    setValue('fx-arp-dir', arpeggio.direction);
+
+    const title = this.fxEl.querySelector('.note-fx__title');
+    if (title) title.textContent = `${this.notes[noteIndex].name} · Voice ${voice + 1}`;
+
+    // Place below the cell, kept on screen
+    const rect = cellEl.getBoundingClientRect();
+    this.fxEl.hidden = false;
+    const width = this.fxEl.offsetWidth;
+    const height = this.fxEl.offsetHeight;
+    const left = Math.min(rect.left, window.innerWidth - width - 8);
+    const top = rect.bottom + height + 8 > window.innerHeight ? rect.top - height - 4 : rect.bottom + 4;
+    this.fxEl.style.left = `${Math.max(8, left)}px`;
+    this.fxEl.style.top = `${Math.max(8, top)}px`;
+  }
+
+  /**
+   * Write the popover's values to the note being edited
+   */
+  applyNoteEffects() {
+    if (!this.fxNote) return;
+
+    const { voice, noteIndex, col } = this.fxNote;
+    const current = this.grid[voice][noteIndex][col];
+    if (!current) {
+      // The note went away (undo, clear) while the popover was open
+      this.closeNoteEffects();
+      return;
+    }
+
+    const number = (id) => parseFloat(document.getElementById(id)?.value) || 0;
+    const cellData = { length: current.length };
+
+    const depth = number('fx-vib-depth');
+    if (depth > 0) {
+      cellData.vibrato = { depth, speed: number('fx-vib-speed'), delay: number('fx-vib-delay') };
+    }
+    const portamento = number('fx-porta');
+    if (portamento > 0) cellData.portamento = portamento;
+    if (document.getElementById('fx-slide')?.checked) cellData.slide = true;
+    const bend = number('fx-bend');
+    if (bend) cellData.bend = bend;
+
+    const offsets = this.parseArpOffsets(document.getElementById('fx-arp-offsets')?.value);
+    if (offsets.length > 1) {
+      cellData.arpeggio = {
+        offsets,
+        speed: Math.max(1, Math.round(number('fx-arp-speed'))),
+        unit: document.getElementById('fx-arp-unit')?.value || DEFAULT_ARPEGGIO.unit,
+        direction: document.getElementById('fx-arp-dir')?.value || DEFAULT_ARPEGGIO.direction
+      };
+    }
+
+    this.grid[voice][noteIndex][col] = cellData;
+    this.updateCellVisual(voice, noteIndex, col);
+  }
+
+  /**
+   * Semitone offsets typed as "0 4 7" (commas work too)
+   */
+  parseArpOffsets(text) {
+    return (text || '')
+      .split(/[\s,]+/)
+      .map(value => parseInt(value, 10))
+      .filter(value => Number.isFinite(value) && Math.abs(value) <= 24);
+  }
+
+  /**
+   * Chord picker entry for a set of offsets ('' = off, 'custom' = no match)
+   */
+  chordName(offsets) {
+    if (offsets.length < 2) return '';
+    const chord = ARP_CHORDS.find(entry => entry.offsets.join() === offsets.join());
+    return chord ? chord.name : 'custom';
+  }
+
+  /**
+   * Hide the effects popover
+   */
+  closeNoteEffects() {
+    this.fxNote = null;
+    if (this.fxEl) this.fxEl.hidden = true;
+  }
+
   /**
    * Handle pointer down (mouse or touch)
    */
@@ -389,6 +1116,15 @@ export class Sequencer {
       this.startLongPressTimer(voice, noteIndex, col);
     }
 
+    // Alt+click or mobile FX mode on a note edits its effects
+    const noteStart = this.findNoteStart(voice, noteIndex, col);
+    if ((e.altKey || this.mobileFxMode) && noteStart !== null) {
+      this.clearLongPressTimer();
+      this.openNoteEffects(voice, noteIndex, noteStart, cell);
+      e.preventDefault();
+      return;
+    }
+
     if (isShift || this.mobileSelectMode) {
       // Shift+click or mobile select mode starts selection
       this.startSelection(voice, noteIndex, col);
@@ -468,7 +1204,7 @@ export class Sequencer {
         const oldLength = this.grid[startVoice][startNote][startCol]?.length || 1;
 
         if (newLength !== oldLength) {
-          this.grid[startVoice][startNote][startCol] = { length: newLength };
+          this.grid[startVoice][startNote][startCol] = { ...this.grid[startVoice][startNote][startCol], length: newLength };
           this.updateNoteVisual(startVoice, startNote, startCol, newLength, oldLength);
         }
       }
@@ -515,6 +1251,21 @@ export class Sequencer {
     this.longPressData = null;
   }
 
+  /**
+   * Column where the note covering a cell starts (null if no note)
+   */
+  findNoteStart(voice, noteIndex, col) {
+    if (this.grid[voice][noteIndex][col]?.length) return col;
+
+    for (let c = col - 1; c >= 0; c--) {
+      const startData = this.grid[voice][noteIndex][c];
+      if (startData && startData.length) {
+        return c + startData.length > col ? c : null;
+      }
+    }
+    return null;
+  }
+
   /**
    * Delete a note at a position (finds the note start and removes it)
    */
@@ -703,7 +1454,7 @@ export class Sequencer {
           notes.push({
             noteOffset: n - startNote,
             colOffset: c - startCol,
-            length: cellData.length
+            cell: { ...cellData }
           });
         }
       }
@@ -733,7 +1484,7 @@ export class Sequencer {
       const c = startCol + note.colOffset;
 
       if (n >= 0 && n < this.notes.length && c >= 0 && c < this.cols) {
-        this.grid[voice][n][c] = { length: note.length };
+        this.grid[voice][n][c] = { ...note.cell };
       }
     }
 
@@ -759,7 +1510,7 @@ export class Sequencer {
         if (cellData && cellData.length) {
           const newCol = targetCol + (c - startCol);
           if (newCol < this.cols) {
-            this.grid[voice][n][newCol] = { length: cellData.length };
+            this.grid[voice][n][newCol] = { ...cellData };
           }
         }
       }
@@ -795,7 +1546,7 @@ export class Sequencer {
       for (let c = startCol; c <= endCol; c++) {
         const cellData = this.grid[voice][n][c];
         if (cellData && cellData.length) {
-          activeNotes.push({ n, c, length: cellData.length });
+          activeNotes.push({ n, c, cell: cellData });
         }
       }
     }
@@ -806,8 +1557,8 @@ export class Sequencer {
     }
 
     // Set new positions
-    for (const { n, c, length } of activeNotes) {
-      this.grid[voice][n + direction][c] = { length };
+    for (const { n, c, cell } of activeNotes) {
+      this.grid[voice][n + direction][c] = cell;
     }
 
     this.renderGrid(voice);
@@ -838,7 +1589,7 @@ export class Sequencer {
       for (let c = startCol; c <= endCol; c++) {
         const cellData = this.grid[voice][n][c];
         if (cellData && cellData.length) {
-          activeNotes.push({ n, c, length: cellData.length });
+          activeNotes.push({ n, c, cell: cellData });
         }
       }
     }
@@ -849,8 +1600,8 @@ export class Sequencer {
     }
 
     // Set new positions
-    for (const { n, c, length } of activeNotes) {
-      this.grid[voice][n][c + direction] = { length };
+    for (const { n, c, cell } of activeNotes) {
+      this.grid[voice][n][c + direction] = cell;
     }
 
     this.renderGrid(voice);
@@ -884,19 +1635,22 @@ export class Sequencer {
    * Set up voice control event listeners
    */
   setupVoiceControls() {
-    // Waveform buttons
+    // Waveform buttons toggle flags; several at once give combined waveforms
     document.querySelectorAll('.voice-track .wave-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         const voice = parseInt(btn.dataset.voice, 10);
         const wave = btn.dataset.wave;
+        const current = normalizeWaveform(this.engine.voices[voice]?.params.waveform);
 
-        // Update active state
-        const track = btn.closest('.voice-track');
-        track.querySelectorAll('.wave-btn').forEach(b => {
-          b.classList.toggle('wave-btn--active', b.dataset.wave === wave);
-        });
+        const waves = current.includes(wave)
+          ? current.filter(w => w !== wave)
+          : [...current, wave];
 
-        this.engine.setVoiceParam(voice, 'waveform', wave);
+        // A voice always has at least one waveform
+        if (!waves.length) return;
+
+        this.engine.setVoiceParam(voice, 'waveform', waves);
+        this.updateVoiceControls();
       });
     });
 
@@ -906,6 +1660,14 @@ export class Sequencer {
         const voice = parseInt(slider.dataset.voice, 10);
         const param = slider.dataset.param;
         const value = parseInt(e.target.value, 10);
+        const params = this.engine.voices[voice]?.params;
+
+        // SID envelope: the slider picks one of the 16 register values
+        if (params && params.envelopeMode !== 'modern') {
+          const adsr = { ...params.adsr, [param]: Math.round((value / 100) * 15) };
+          this.engine.setVoiceParam(voice, 'adsr', adsr);
+          return;
+        }
 
         let mappedValue;
         if (param === 'sustain') {
@@ -917,6 +1679,229 @@ export class Sequencer {
         this.engine.setVoiceParam(voice, param, mappedValue);
       });
     });
+
+    // Envelope mode: the current envelope is converted so the sound stays close
+    document.querySelectorAll('.env-mode').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const voice = parseInt(select.dataset.voice, 10);
+        const params = this.engine.voices[voice]?.params;
+        if (!params) return;
+        this.engine.setVoiceParams(voice, convertEnvelope(params, e.target.value));
+        this.updateVoiceControls();
+      });
+    });
+
+    // Ring mod and hard sync, both driven by the previous voice on the chip
+    document.querySelectorAll('.tone-btn[data-mod]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const voice = parseInt(btn.dataset.voice, 10);
+        const params = this.engine.voices[voice]?.params;
+        if (!params) return;
+        this.engine.setVoiceParam(voice, btn.dataset.mod, !params[btn.dataset.mod]);
+        this.updateVoiceControls();
+      });
+    });
+
+    // Mixer: level, pan and effect send sliders, mute and solo toggles
+    document.querySelectorAll('.mix-mini').forEach(slider => {
+      slider.addEventListener('input', (e) => {
+        const voice = parseInt(slider.dataset.voice, 10);
+        const value = parseInt(e.target.value, 10) / 100;
+        if (slider.dataset.send) {
+          this.engine.setVoiceSend(voice, slider.dataset.send, value);
+        } else {
+          this.engine.setVoiceMix(voice, slider.dataset.mix, value);
+        }
+      });
+    });
+
+    document.querySelectorAll('.mix-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const voice = parseInt(btn.dataset.voice, 10);
+        const mix = this.engine.mixer.voices[voice];
+        if (!mix) return;
+        this.engine.setVoiceMix(voice, btn.dataset.mix, !mix[btn.dataset.mix]);
+        this.updateVoiceControls();
+      });
+    });
+
+    // Pulse-width sweep: speed (0-100 -> 0 to 2 widths per second), the
+    // range it bounces in and whether it restarts at every note
+    document.querySelectorAll('.tone-mini[data-pwm]').forEach(slider => {
+      slider.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value, 10) / 100;
+        this.setPWM(parseInt(slider.dataset.voice, 10), slider.dataset.pwm, slider.dataset.pwm === 'speed' ? value * 2 : value);
+      });
+    });
+
+    document.querySelectorAll('.tone-btn[data-pwm]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const voice = parseInt(btn.dataset.voice, 10);
+        const pwm = this.engine.voices[voice]?.params.pwm || DEFAULT_PWM;
+        this.setPWM(voice, btn.dataset.pwm, !pwm[btn.dataset.pwm]);
+        this.updateVoiceControls();
+      });
+    });
+
+    // Pitch envelope: semitones the note starts away, decay (0-100 -> 0.01s
+    // to 1s) and curve
+    document.querySelectorAll('.tone-mini[data-pitch]').forEach(slider => {
+      slider.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value, 10);
+        const voice = parseInt(slider.dataset.voice, 10);
+        if (slider.dataset.pitch === 'decay') {
+          this.setPitchEnvelope(voice, 'decay', 0.01 + (value / 100) * 0.99);
+        } else {
+          this.setPitchEnvelope(voice, 'semitones', value);
+        }
+      });
+    });
+
+    document.querySelectorAll('.tone-select[data-pitch]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.setPitchEnvelope(parseInt(select.dataset.voice, 10), select.dataset.pitch, e.target.value);
+      });
+    });
+
+    document.querySelectorAll('.tone-btn[data-filter]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.toggleFilter(parseInt(btn.dataset.voice, 10), btn.dataset.filter);
+        this.updateVoiceControls();
+      });
+    });
+  }
+
+  /**
+   * Filter buttons: the voice's routing through its chip's filter, the
+   * chip's modes (any mix of LP, BP and HP, at least one) and 3OFF
+   */
+  toggleFilter(voice, control) {
+    const chipIndex = chipOfVoice(voice);
+    const filterParams = this.engine.chips[chipIndex]?.filterParams;
+    const params = this.engine.voices[voice]?.params;
+    if (!filterParams || !params) return;
+
+    if (control === 'route') {
+      this.engine.setVoiceParam(voice, 'useFilter', !params.useFilter);
+    } else if (control === 'voice3Off') {
+      this.engine.setFilterParam('voice3Off', !filterParams.voice3Off, chipIndex);
+    } else {
+      const modes = normalizeFilterType(filterParams.type);
+      const next = modes.includes(control) ? modes.filter(mode => mode !== control) : [...modes, control];
+      if (next.length) this.engine.setFilterParam('type', next, chipIndex);
+    }
+  }
+
+  /**
+   * Set one pitch envelope parameter of a voice (semitones, decay in
+   * seconds, curve)
+   */
+  setPitchEnvelope(voice, param, value) {
+    const params = this.engine.voices[voice]?.params;
+    if (!params) return;
+    this.engine.setVoiceParam(voice, 'pitchEnvelope', { ...(params.pitchEnvelope || DEFAULT_PITCH_ENVELOPE), [param]: value });
+  }
+
+  /**
+   * Set one pulse-width sweep parameter of a voice (the sweep starts from
+   * the voice's pulse width)
+   */
+  setPWM(voice, param, value) {
+    const params = this.engine.voices[voice]?.params;
+    if (!params) return;
+    this.engine.setVoiceParam(voice, 'pwm', { ...(params.pwm || DEFAULT_PWM), [param]: value });
+  }
+
+  /**
+   * Sync the track header controls with the engine's voice parameters
+   * (waveform, ring mod and sync, envelope, pitch envelope, pulse-width
+   * sweep, filter routing), the chips' filters, mixer and effect sends
+   */
+  updateVoiceControls() {
+    document.querySelectorAll('.voice-track .wave-btn').forEach(btn => {
+      const voice = parseInt(btn.dataset.voice, 10);
+      const waves = normalizeWaveform(this.engine.voices[voice]?.params.waveform);
+      btn.classList.toggle('wave-btn--active', waves.includes(btn.dataset.wave));
+    });
+
+    document.querySelectorAll('.tone-btn[data-mod]').forEach(btn => {
+      const params = this.engine.voices[parseInt(btn.dataset.voice, 10)]?.params;
+      btn.classList.toggle('tone-btn--active', Boolean(params?.[btn.dataset.mod]));
+    });
+
+    document.querySelectorAll('.env-mode').forEach(select => {
+      const params = this.engine.voices[parseInt(select.dataset.voice, 10)]?.params;
+      if (params) select.value = params.envelopeMode === 'modern' ? 'modern' : 'sid';
+    });
+
+    // ADSR sliders: register values in SID mode, seconds in modern mode
+    document.querySelectorAll('.adsr-mini').forEach(slider => {
+      const params = this.engine.voices[parseInt(slider.dataset.voice, 10)]?.params;
+      const param = slider.dataset.param;
+      if (!params) return;
+
+      if (params.envelopeMode !== 'modern') {
+        slider.value = Math.round((params.adsr[param] / 15) * 100);
+      } else if (param === 'sustain') {
+        slider.value = Math.round(params.sustain * 100);
+      } else {
+        slider.value = Math.round(((params[param] - 0.001) / 1.999) * 100);
+      }
+    });
+
+    document.querySelectorAll('.mix-mini').forEach(slider => {
+      const voice = parseInt(slider.dataset.voice, 10);
+      const value = slider.dataset.send
+        ? this.engine.effects.sends[voice]?.[slider.dataset.send]
+        : this.engine.mixer.voices[voice]?.[slider.dataset.mix];
+      if (value !== undefined) slider.value = Math.round(value * 100);
+    });
+
+    document.querySelectorAll('.mix-btn').forEach(btn => {
+      const mix = this.engine.mixer.voices[parseInt(btn.dataset.voice, 10)];
+      btn.classList.toggle('mix-btn--active', Boolean(mix?.[btn.dataset.mix]));
+    });
+
+    document.querySelectorAll('.tone-mini[data-pwm]').forEach(slider => {
+      const params = this.engine.voices[parseInt(slider.dataset.voice, 10)]?.params;
+      if (!params) return;
+      const value = (params.pwm || DEFAULT_PWM)[slider.dataset.pwm];
+      slider.value = Math.round((slider.dataset.pwm === 'speed' ? value / 2 : value) * 100);
+    });
+
+    document.querySelectorAll('.tone-btn[data-pwm]').forEach(btn => {
+      const pwm = this.engine.voices[parseInt(btn.dataset.voice, 10)]?.params.pwm || DEFAULT_PWM;
+      btn.classList.toggle('tone-btn--active', Boolean(pwm[btn.dataset.pwm]));
+    });
+
+    document.querySelectorAll('.voice-track [data-pitch]').forEach(control => {
+      const params = this.engine.voices[parseInt(control.dataset.voice, 10)]?.params;
+      if (!params) return;
+      const envelope = params.pitchEnvelope || DEFAULT_PITCH_ENVELOPE;
+      const param = control.dataset.pitch;
+      control.value = param === 'decay' ? Math.round(((envelope.decay - 0.01) / 0.99) * 100) : envelope[param];
+    });
+
+    // Filter: the voice's routing, its chip's modes and 3OFF (third voices only)
+    document.querySelectorAll('.tone-btn[data-filter]').forEach(btn => {
+      const voice = parseInt(btn.dataset.voice, 10);
+      const filterParams = this.engine.chips[chipOfVoice(voice)]?.filterParams;
+      const control = btn.dataset.filter;
+      if (control === 'voice3Off') {
+        btn.classList.toggle('hidden', voice % VOICES_PER_CHIP !== VOICES_PER_CHIP - 1);
+      }
+      if (!filterParams) return;
+
+      let active;
+      if (control === 'route') {
+        active = this.engine.voices[voice]?.params.useFilter ?? true;
+      } else if (control === 'voice3Off') {
+        active = filterParams.voice3Off;
+      } else {
+        active = normalizeFilterType(filterParams.type).includes(control);
+      }
+      btn.classList.toggle('tone-btn--active', Boolean(active));
+    });
   }
 
   /**
@@ -964,34 +1949,50 @@ export class Sequencer {
    */
   previewNote(voice, noteIndex) {
     const note = this.notes[noteIndex];
-    const freq = 440 * Math.pow(2, (note.midi - 69) / 12);
+    const freq = this.engine.noteFrequency(note.midi);
     this.engine.playNote(voice, freq, 0.2);
   }
 
   /**
-   * Called on each beat during playback
+   * Called when playback reaches a beat (UI only; the transport plays the notes)
    */
   onBeat(beat) {
-    const step = beat % this.cols;
-
-    // Update visual
-    this.highlightStep(step);
+    this.highlightStep(beat % this.cols);
+  }
 
-    // Play notes for each voice
-    const stepDuration = 60 / this.state.bpm / 4; // duration of one 16th note
+  /**
+   * Notes starting on a beat, for the transport to schedule
+   * @param {number} beat
+   * @param {Function} gridTime - time of a step on the tempo map (note
+   *   lengths are measured on it, as in exports)
+   * @returns {Array<{ voice: number, midi: number, duration: number, effects: Object|null }>}
+   */
+  notesAt(beat, gridTime) {
+    const step = beat % this.cols;
+    const notes = [];
 
     for (let voice = 0; voice < this.voices; voice++) {
       for (let noteIndex = 0; noteIndex < this.notes.length; noteIndex++) {
         const cellData = this.grid[voice][noteIndex][step];
         if (cellData && cellData.length) {
           const note = this.notes[noteIndex];
-          const freq = 440 * Math.pow(2, (note.midi - 69) / 12);
-          // Duration based on note length
-          const duration = stepDuration * cellData.length * 0.95;
-          this.engine.playNote(voice, freq, duration);
+          // Duration based on note length (through any tempo ramp)
+          const duration = gridTime(beat + cellData.length) - gridTime(beat);
+          const effects = hasNoteEffects(cellData)
+            ? resolveNoteEffects(cellData, {
+              midi: note.midi,
+              duration,
+              stepTime: gridTime(beat + 1) - gridTime(beat),
+              previousMidi: neighbourMidi(this.grid[voice], this.notes, step, -1),
+              nextMidi: neighbourMidi(this.grid[voice], this.notes, step, 1)
+            })
+            : null;
+          notes.push({ voice, midi: note.midi, duration, effects });
         }
       }
     }
+
+    return notes;
   }
 
   /**
@@ -1034,6 +2035,7 @@ export class Sequencer {
         }
       }
     }
+    this.setAutomation(createAutomation(this.voices, this.cols));
     this.render();
   }
 
@@ -1044,6 +2046,7 @@ export class Sequencer {
    */
   load(data) {
     if (!data) return;
+    this.hiddenVoices = []; // Another tune's voices
 
     // Detect grid width from loaded data
     const loadedCols = data[0]?.[0]?.length || 64;
@@ -1054,9 +2057,10 @@ export class Sequencer {
       console.log(`[Sequencer] Expanded grid to ${this.cols} columns for long-form piece`);
     }
 
-    // Convert old format to new format if needed
-    this.grid = data.map(voice =>
-      voice.map(noteRow =>
+    // Convert old format to new format if needed; one grid per voice in
+    // use (3-voice tunes leave the extra chips' tracks empty)
+    this.grid = Array.from({ length: this.voices }, (_, v) => !data[v] ? this.createVoiceGrid() :
+      data[v].map(noteRow =>
         noteRow.map(cell => {
           // Old format: true/false
           if (cell === true) return { length: 1 };
@@ -1067,7 +2071,11 @@ export class Sequencer {
       )
     );
 
-    this.render();
+    // Keep the lanes as long as the grid
+    this.setAutomation(normalizeAutomation(this.automation, this.voices, this.cols));
+
+    // Whole bars of the meter, covering the loop (redraws)
+    this.fitToMeter();
   }
 
   /**
@@ -1076,4 +2084,167 @@ export class Sequencer {
   export() {
     return this.grid;
   }
+
+  /**
+   * Load filter automation lanes (none for projects and tunes without)
+   */
+  loadAutomation(data) {
+    this.setAutomation(normalizeAutomation(data, this.voices, this.cols));
+    for (let voice = 0; voice < this.voices; voice++) {
+      this.renderLane(voice);
+    }
+  }
+
+  /**
+   * Export filter automation lanes
+   */
+  exportAutomation() {
+    return this.automation;
+  }
+
+  /**
+   * Set the time signatures and step resolution: the transport counts bars
+   * with them and the grid redraws its bar lines
+   * @param {Object} meter - { resolution, signatures } (see meter.js)
+   */
+  setMeter(meter) {
+    // Same number of bars in the new meter
+    const bars = barAt(this.transport.meter, this.cols - 1).bar;
+    this.transport.setMeter(meter);
+    this.fitToMeter(bars);
+
+    // Header selectors show the first bar's signature and the resolution
+    const { resolution, signatures } = this.transport.meter;
+    const signatureSelect = document.getElementById('time-signature');
+    if (signatureSelect) signatureSelect.value = signatureLabel(signatures[0]);
+    const resolutionSelect = document.getElementById('resolution');
+    if (resolutionSelect) resolutionSelect.value = resolution;
+    // Triplets play unswung
+    const swingInput = document.getElementById('swing');
+    if (swingInput) swingInput.disabled = isTriplet(this.transport.meter);
+  }
+
+  /**
+   * Size the grid to whole bars of the meter, enough for a number of bars,
+   * the loop region and every note and automation point, so live playback
+   * wraps where an export ends. A loop past the longest grid is clamped
+   * @param {number} bars - bars to keep (default the grid's current bars)
+   */
+  fitToMeter(bars = barAt(this.transport.meter, this.cols - 1).bar) {
+    const meter = this.transport.meter;
+    const transport = this.transport;
+
+    const maxBars = barAt(meter, this.maxCols).bar - 1;
+    if (transport.loopEnd > maxBars) {
+      transport.setLoopStart(Math.min(transport.loopStart, maxBars - 1));
+      transport.setLoopEnd(maxBars);
+      const loopStart = document.getElementById('loop-start');
+      if (loopStart) loopStart.value = transport.loopStart;
+      const loopEnd = document.getElementById('loop-end');
+      if (loopEnd) loopEnd.value = transport.loopEnd;
+    }
+
+    // Last step holding a note or an automation point
+    let used = 0;
+    const rows = [...this.grid.flat(), ...this.automation.flatMap(lanes => Object.values(lanes))];
+    rows.forEach(row => {
+      for (let step = row.length - 1; step >= used; step--) {
+        if (row[step] !== null && row[step] !== undefined) {
+          used = step + 1;
+          break;
+        }
+      }
+    });
+
+    const cols = Math.min(
+      barStart(meter, maxBars + 1),
+      Math.max(barStart(meter, bars + 1), barStart(meter, transport.loopEnd + 1), wholeBars(meter, used))
+    );
+    if (cols !== this.cols) console.log(`[Sequencer] Grid fitted to ${cols} steps`);
+    this.cols = cols;
+    this.grid = this.grid.map(voiceGrid => voiceGrid.map(noteRow =>
+      Array.from({ length: cols }, (_, step) => noteRow[step] ?? null)
+    ));
+    this.setAutomation(normalizeAutomation(this.automation, this.voices, cols));
+
+    this.render();
+  }
+
+  /**
+   * Change the step resolution, moving notes and automation points to the
+   * same place in their bars. Steps with nowhere to go (a 16th off the beat
+   * in 8ths) snap to the nearest step after asking first; undo goes back
+   * @param {string} resolution - '8', '16', '8t' or '16t'
+   * @returns {boolean} whether the resolution changed
+   */
+  setResolution(resolution) {
+    const from = this.transport.meter;
+    const meter = normalizeMeter({ ...from, resolution });
+    if (meter.resolution === from.resolution) return false;
+
+    // Positions and lengths scale with the steps in a quarter note
+    const scale = stepsPerQuarter(meter) / stepsPerQuarter(from);
+    const cols = Math.ceil(this.cols * scale);
+    let snapped = false;
+    const rescale = (steps, min = 0) => {
+      const scaled = Math.max(min, Math.round(steps * scale));
+      if (scaled !== steps * scale) snapped = true;
+      return scaled;
+    };
+    const moveRow = (row, moveValue) => {
+      const moved = Array(cols).fill(null);
+      row.forEach((value, step) => {
+        if (value !== null && value !== undefined) moved[Math.min(rescale(step), cols - 1)] = moveValue(value);
+      });
+      return moved;
+    };
+
+    const grid = this.grid.map(voiceGrid => voiceGrid.map(noteRow =>
+      moveRow(noteRow, cell => ({ ...cell, length: rescale(cell.length, 1) }))
+    ));
+    const automation = this.automation.map(lanes => Object.fromEntries(
+      Object.entries(lanes).map(([lane, values]) => [lane, moveRow(values, value => value)])
+    ));
+
+    if (snapped && !confirm('Some notes fall between the new steps and will snap to the nearest one. Change the resolution?')) {
+      return false;
+    }
+
+    this.saveToHistory();
+    this.grid = grid;
+    this.setAutomation(automation);
+    this.setMeter(meter);
+    return true;
+  }
+
+  /**
+   * Load the tempo lane (none for projects and tunes without)
+   */
+  loadTempoMap(data) {
+    this.setTempoMap(data);
+  }
+
+  /**
+   * Export the tempo lane
+   */
+  exportTempoMap() {
+    return this.tempoMap;
+  }
+
+  /**
+   * Replace the tempo map on the transport and redraw the tempo lane
+   */
+  setTempoMap(tempoMap) {
+    this.tempoMap = normalizeTempoMap(tempoMap);
+    this.transport.setTempoMap(this.tempoMap);
+    this.renderTempoLane();
+  }
+
+  /**
+   * Replace the lanes (the transport schedules from the same object)
+   */
+  setAutomation(automation) {
+    this.automation = automation;
+    this.transport.automation = automation;
+  }
 }
@@ -3,6 +3,8 @@
  * Manages the sidebar with sound categories and presets
  */
 
+import { DEFAULT_PITCH_ENVELOPE, DEFAULT_PWM } from '../audio/modulation.js';
+
 // Preset sound definitions - short names to fit compact UI
 const PRESETS = {
   bass: [
@@ -10,12 +12,19 @@ const PRESETS = {
     { name: 'Wobble', note: 'C2', waveform: 'sawtooth', attack: 0.01, decay: 0.3, sustain: 0.5, release: 0.2 },
     { name: 'Sub', note: 'C1', waveform: 'triangle', attack: 0.02, decay: 0.1, sustain: 0.9, release: 0.3 },
     { name: 'Punch', note: 'C2', waveform: 'pulse', pulseWidth: 50, attack: 0.005, decay: 0.15, sustain: 0.4, release: 0.1 },
+    { name: 'PWM', note: 'C2', waveform: 'pulse', pulseWidth: 15, attack: 0.01, decay: 0.3, sustain: 0.7, release: 0.2,
+      pwm: { speed: 0.8, min: 0.1, max: 0.5, sync: true } },
   ],
   lead: [
     { name: 'Bright', note: 'C4', waveform: 'sawtooth', attack: 0.01, decay: 0.2, sustain: 0.8, release: 0.3 },
     { name: 'Dark', note: 'C4', waveform: 'pulse', pulseWidth: 25, attack: 0.02, decay: 0.3, sustain: 0.6, release: 0.2 },
     { name: 'Pluck', note: 'C4', waveform: 'pulse', pulseWidth: 50, attack: 0.005, decay: 0.1, sustain: 0.3, release: 0.1 },
     { name: 'Soft', note: 'C4', waveform: 'triangle', attack: 0.1, decay: 0.2, sustain: 0.7, release: 0.4 },
+    // Pulse table sweeps the width back and forth
+    { name: 'Sweep', note: 'C4', waveform: 'pulse', attack: 0.01, decay: 0.2, sustain: 0.8, release: 0.3,
+      program: {
+        pulse: { steps: [{ width: 0.1 }, { speed: 0.02, frames: 35 }, { speed: -0.02, frames: 35 }], loop: 1 }
+      } },
   ],
   arp: [
     { name: 'Classic', note: 'C4', waveform: 'pulse', pulseWidth: 50, attack: 0.005, decay: 0.1, sustain: 0.5, release: 0.05 },
@@ -23,16 +32,35 @@ const PRESETS = {
     { name: 'Stac', note: 'C4', waveform: 'pulse', pulseWidth: 40, attack: 0.002, decay: 0.05, sustain: 0.2, release: 0.02 },
   ],
   drums: [
-    { name: 'Kick', note: 'C1', waveform: 'triangle', attack: 0.001, decay: 0.15, sustain: 0.0, release: 0.1, pitchDecay: true },
+    { name: 'Kick', note: 'C1', waveform: 'triangle', attack: 0.001, decay: 0.15, sustain: 0.0, release: 0.1,
+      pitchEnvelope: { semitones: 24, decay: 0.08, curve: 'exponential' } },
     { name: 'Snare', note: 'C3', waveform: 'noise', attack: 0.001, decay: 0.1, sustain: 0.0, release: 0.1 },
     { name: 'HiHat', note: 'C5', waveform: 'noise', attack: 0.001, decay: 0.05, sustain: 0.0, release: 0.02 },
-    { name: 'Tom', note: 'G2', waveform: 'triangle', attack: 0.001, decay: 0.2, sustain: 0.0, release: 0.1 },
+    { name: 'Tom', note: 'G2', waveform: 'triangle', attack: 0.001, decay: 0.2, sustain: 0.0, release: 0.1,
+      pitchEnvelope: { semitones: 12, decay: 0.15, curve: 'exponential' } },
+    // Tracker drums: the wave table switches waveform and pitch every frame
+    { name: 'Kick64', note: 'C2', waveform: 'triangle', attack: 0.001, decay: 0.15, sustain: 0.0, release: 0.1,
+      program: {
+        wave: { steps: [
+          { waveform: ['noise'], note: 48 }, { waveform: ['triangle'], note: 12 },
+          { note: 8 }, { note: 5 }, { note: 3 }, { note: 1 }, { note: 0 }
+        ], loop: null }
+      } },
+    { name: 'Snare64', note: 'C3', waveform: 'pulse', attack: 0.001, decay: 0.12, sustain: 0.0, release: 0.1,
+      program: {
+        wave: { steps: [
+          { waveform: ['sawtooth'], note: 12 }, { waveform: ['pulse'], note: 7 },
+          { note: 3 }, { waveform: ['noise'], note: 36 }
+        ], loop: null },
+        pulse: { steps: [{ width: 0.5 }], loop: null }
+      } },
   ],
   fx: [
     { name: 'Up', note: 'C3', waveform: 'sawtooth', attack: 0.5, decay: 0.1, sustain: 0.8, release: 0.2 },
     { name: 'Down', note: 'C5', waveform: 'sawtooth', attack: 0.01, decay: 0.5, sustain: 0.0, release: 0.1 },
     { name: 'Blip', note: 'C6', waveform: 'pulse', pulseWidth: 50, attack: 0.001, decay: 0.02, sustain: 0.0, release: 0.01 },
-    { name: 'Laser', note: 'C5', waveform: 'sawtooth', attack: 0.001, decay: 0.3, sustain: 0.0, release: 0.1, pitchDecay: true },
+    { name: 'Laser', note: 'C5', waveform: 'sawtooth', attack: 0.001, decay: 0.3, sustain: 0.0, release: 0.1,
+      pitchEnvelope: { semitones: 24, decay: 0.3, curve: 'linear' } },
   ]
 };
 
@@ -56,6 +84,7 @@ export class SoundLibrary {
     this.listEl = document.getElementById('sound-list');
 
     this.renderAllSounds();
+    this.setupDropTargets();
   }
 
   /**
@@ -117,6 +146,61 @@ export class SoundLibrary {
     });
   }
 
+  /**
+   * Let presets be dropped onto the sequencer's voice tracks
+   */
+  setupDropTargets() {
+    document.querySelectorAll('.voice-track').forEach(track => {
+      const voice = parseInt(track.dataset.voice, 10);
+
+      track.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('application/json')) return;
+        e.preventDefault();
+        track.classList.add('voice-track--drop');
+      });
+
+      track.addEventListener('dragleave', () => {
+        track.classList.remove('voice-track--drop');
+      });
+
+      track.addEventListener('drop', (e) => {
+        track.classList.remove('voice-track--drop');
+        let data;
+        try {
+          data = JSON.parse(e.dataTransfer.getData('application/json'));
+        } catch (error) {
+          return;
+        }
+
+        const sound = this.getPreset(data.category, data.index);
+        if (!sound) return;
+
+        e.preventDefault();
+        this.applyPreset(voice, sound);
+        this.sequencer.updateVoiceControls();
+        console.log(`[Library] ${sound.name} -> voice ${voice + 1}`);
+      });
+    });
+  }
+
+  /**
+   * Apply a preset to a voice (its instrument program comes along)
+   */
+  applyPreset(voiceIndex, sound) {
+    const engine = this.sequencer.engine;
+
+    // Set voice parameters (the envelope is converted for SID mode)
+    const { waveform, attack, decay, sustain, release } = sound;
+    const pitchEnvelope = sound.pitchEnvelope || DEFAULT_PITCH_ENVELOPE;
+    const program = sound.program || null;
+    const pwm = sound.pwm || DEFAULT_PWM;
+    engine.setVoiceParams(voiceIndex, { waveform, attack, decay, sustain, release, pitchEnvelope, program, pwm });
+
+    if (sound.pulseWidth !== undefined) {
+      engine.setVoiceParam(voiceIndex, 'pulseWidth', sound.pulseWidth / 100);
+    }
+  }
+
   /**
    * Select a sound (and preview it)
    */
@@ -171,21 +255,11 @@ export class SoundLibrary {
 
     // Apply sound settings to voice 0 and play
     const engine = this.sequencer.engine;
-
-    // Set voice parameters
-    engine.setVoiceParam(0, 'waveform', sound.waveform);
-    engine.setVoiceParam(0, 'attack', sound.attack);
-    engine.setVoiceParam(0, 'decay', sound.decay);
-    engine.setVoiceParam(0, 'sustain', sound.sustain);
-    engine.setVoiceParam(0, 'release', sound.release);
-
-    if (sound.pulseWidth !== undefined) {
-      engine.setVoiceParam(0, 'pulseWidth', sound.pulseWidth / 100);
-    }
+    this.applyPreset(0, sound);
 
     // Play the note
     import('../audio/sid-engine.js').then(({ noteToFrequency }) => {
-      const freq = noteToFrequency(sound.note);
+      const freq = noteToFrequency(sound.note, { clock: engine.clock, tuning: engine.tuning });
       engine.playNote(0, freq, 0.5);
     });
 